@@ -0,0 +1,33 @@
+-- Full-text index over post titles, summaries and content.
+-- External-content FTS5 table: rows live in `posts`, the index is kept in
+-- sync by the triggers below (view count updates do not touch the index).
+
+CREATE VIRTUAL TABLE IF NOT EXISTS posts_fts USING fts5(
+  title,
+  summary,
+  content,
+  content = 'posts',
+  content_rowid = 'id',
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS posts_fts_after_insert AFTER INSERT ON posts BEGIN
+  INSERT INTO posts_fts (rowid, title, summary, content)
+  VALUES (new.id, new.title, new.summary, new.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS posts_fts_after_delete AFTER DELETE ON posts BEGIN
+  INSERT INTO posts_fts (posts_fts, rowid, title, summary, content)
+  VALUES ('delete', old.id, old.title, old.summary, old.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS posts_fts_after_update
+AFTER UPDATE OF title, summary, content ON posts BEGIN
+  INSERT INTO posts_fts (posts_fts, rowid, title, summary, content)
+  VALUES ('delete', old.id, old.title, old.summary, old.content);
+  INSERT INTO posts_fts (rowid, title, summary, content)
+  VALUES (new.id, new.title, new.summary, new.content);
+END;
+
+-- Index posts that existed before this migration
+INSERT INTO posts_fts (posts_fts) VALUES ('rebuild');
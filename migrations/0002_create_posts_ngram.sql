@@ -0,0 +1,17 @@
+-- Hangul-aware search index.
+-- `posts_ngram` stores pre-tokenized text (Hangul words split into bigrams and
+-- trigrams by the worker, see src/utils/hangul.js), keyed by post id as rowid.
+-- Tokenization happens in JavaScript, so the index cannot be maintained by
+-- triggers; the scheduled job re-indexes posts whose `updated_at` differs from
+-- the value recorded in `posts_ngram_state`.
+
+CREATE VIRTUAL TABLE IF NOT EXISTS posts_ngram USING fts5(
+  title,
+  body,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE TABLE IF NOT EXISTS posts_ngram_state (
+  post_id INTEGER PRIMARY KEY,
+  indexed_updated_at TEXT NOT NULL
+);
@@ -0,0 +1,9 @@
+-- Threaded comment replies.
+-- `parent_id` points at the comment being replied to (NULL for top-level
+-- comments); `depth` is 0 for top-level comments and parent depth + 1 for
+-- replies, so nesting limits can be enforced without walking the chain.
+
+ALTER TABLE comments ADD COLUMN parent_id TEXT REFERENCES comments(id);
+ALTER TABLE comments ADD COLUMN depth INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_comments_parent_id ON comments(parent_id);
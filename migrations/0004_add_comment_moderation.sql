@@ -0,0 +1,12 @@
+-- Comment moderation.
+-- New comments are scored by the spam filter and stored as approved, pending
+-- (held for review) or rejected. Only approved comments are listed publicly.
+-- `spam_reasons` is a JSON array of the rules that contributed to the score.
+
+ALTER TABLE comments ADD COLUMN status TEXT NOT NULL DEFAULT 'approved'
+  CHECK (status IN ('approved', 'pending', 'rejected'));
+ALTER TABLE comments ADD COLUMN spam_score INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE comments ADD COLUMN spam_reasons TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_comments_post_status ON comments(post_id, status);
+CREATE INDEX IF NOT EXISTS idx_comments_created_at ON comments(created_at);
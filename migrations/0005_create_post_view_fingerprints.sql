@@ -0,0 +1,15 @@
+-- Unique view counting.
+-- One row per post and visitor fingerprint per dedup window. The fingerprint
+-- is a salted SHA-256 of IP + user agent whose salt rotates every window, so
+-- raw IPs are never stored and rows cannot be linked across windows.
+-- Expired rows are pruned by the scheduled job.
+
+CREATE TABLE IF NOT EXISTS post_view_fingerprints (
+  post_id INTEGER NOT NULL,
+  fingerprint TEXT NOT NULL,
+  viewed_at TEXT NOT NULL,
+  PRIMARY KEY (post_id, fingerprint)
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_view_fingerprints_viewed_at
+  ON post_view_fingerprints(viewed_at);
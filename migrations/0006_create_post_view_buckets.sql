@@ -0,0 +1,15 @@
+-- Daily view buckets for trending posts.
+-- One row per post and UTC day, incremented for every counted view (see
+-- post_view_fingerprints), so recent popularity can be ranked separately
+-- from the lifetime posts.views counter.
+-- Buckets older than the retention period are pruned by the scheduled job.
+
+CREATE TABLE IF NOT EXISTS post_view_buckets (
+  post_id INTEGER NOT NULL,
+  day TEXT NOT NULL,
+  views INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (post_id, day)
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_view_buckets_day
+  ON post_view_buckets(day);
@@ -0,0 +1,12 @@
+-- Daily view totals per post for statistics.
+-- One row per post and day in the site time zone (SITE_TIMEZONE), incremented
+-- alongside posts.views for every counted view. Unlike post_view_buckets,
+-- rows are kept indefinitely. Views counted before this table existed only
+-- appear in the lifetime total.
+
+CREATE TABLE IF NOT EXISTS post_view_daily (
+  post_id INTEGER NOT NULL,
+  day TEXT NOT NULL,
+  views INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (post_id, day)
+);
@@ -0,0 +1,9 @@
+-- Self-service comment edits and deletion.
+-- New comments get a secret edit token that is returned once to the author;
+-- only its SHA-256 hash is stored in `edit_token_hash`. `edited_at` marks
+-- edited comments. Deleted comments keep their row (with content and author
+-- cleared) and `deleted_at` set, so replies to them stay in the thread.
+
+ALTER TABLE comments ADD COLUMN edit_token_hash TEXT;
+ALTER TABLE comments ADD COLUMN edited_at TEXT;
+ALTER TABLE comments ADD COLUMN deleted_at TEXT;
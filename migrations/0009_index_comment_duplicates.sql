@@ -0,0 +1,6 @@
+-- Duplicate comment lookups.
+-- The spam filter looks for identical content by the same author on the same
+-- post within the last 24 hours; this index narrows that to a few rows.
+
+CREATE INDEX IF NOT EXISTS idx_comments_post_author_created
+  ON comments(post_id, author_name, created_at);
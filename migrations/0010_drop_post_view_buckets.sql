@@ -0,0 +1,10 @@
+-- One daily view table.
+-- Trending posts are now ranked from post_view_daily (days in the site time
+-- zone), so the UTC buckets of 0006 are no longer written or read. The index
+-- serves the trending query, which scans recent days across all posts.
+
+DROP INDEX IF EXISTS idx_post_view_buckets_day;
+DROP TABLE IF EXISTS post_view_buckets;
+
+CREATE INDEX IF NOT EXISTS idx_post_view_daily_day
+  ON post_view_daily(day);
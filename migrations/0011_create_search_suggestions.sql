@@ -0,0 +1,31 @@
+-- Autocomplete index for GET /search/suggest.
+-- One row per character of each published post title (`post_id`) and tag
+-- name (`tag_id`), lowercased and without whitespace: `term` is the label from
+-- that character on, `initials` the same text with every Hangul syllable
+-- replaced by its initial consonant (see src/utils/hangul.js). A query is a
+-- prefix range on `initials`, narrowed exactly by a GLOB on `term`.
+-- Post rows are written by the scheduled job together with `posts_ngram`, tag
+-- rows when a tag is new or renamed (tracked in `search_suggestion_tags`).
+
+CREATE TABLE IF NOT EXISTS search_suggestions (
+  post_id INTEGER,
+  tag_id INTEGER,
+  position INTEGER NOT NULL,
+  term TEXT NOT NULL,
+  initials TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_suggestions_initials
+  ON search_suggestions(initials);
+CREATE INDEX IF NOT EXISTS idx_search_suggestions_post_id
+  ON search_suggestions(post_id);
+CREATE INDEX IF NOT EXISTS idx_search_suggestions_tag_id
+  ON search_suggestions(tag_id);
+
+CREATE TABLE IF NOT EXISTS search_suggestion_tags (
+  tag_id INTEGER PRIMARY KEY,
+  indexed_name TEXT NOT NULL
+);
+
+-- Re-index every post so its title gets suggestion rows
+UPDATE posts_ngram_state SET indexed_updated_at = '';
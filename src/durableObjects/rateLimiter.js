@@ -0,0 +1,53 @@
+/**
+ * Durable Object holding fixed-window request counters.
+ *
+ * One instance exists per rate limit key (route + client), so every
+ * increment for a key is serialized through the same object regardless of
+ * which colo handled the request.
+ */
+export class RateLimiter {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  /**
+   * Count one request against the window
+   * Expects a POST body of { limit, windowSeconds }
+   * @param {Request} request - Internal request from checkRateLimit
+   * @returns {Promise<Response>} JSON { allowed, limit, remaining, resetSeconds }
+   */
+  async fetch(request) {
+    const { limit, windowSeconds } = await request.json();
+    const now = Date.now();
+    const windowMs = windowSeconds * 1000;
+
+    let window = await this.state.storage.get("window");
+    if (!window || now - window.start >= windowMs) {
+      window = { start: now, count: 0 };
+    }
+
+    window.count += 1;
+    await this.state.storage.put("window", window);
+
+    // Let storage clean itself up once the window has passed
+    await this.state.storage.setAlarm(window.start + windowMs);
+
+    return Response.json({
+      allowed: window.count <= limit,
+      limit,
+      remaining: Math.max(0, limit - window.count),
+      resetSeconds: Math.max(
+        1,
+        Math.ceil((window.start + windowMs - now) / 1000),
+      ),
+    });
+  }
+
+  /**
+   * Drop the expired window
+   */
+  async alarm() {
+    await this.state.storage.deleteAll();
+  }
+}
@@ -0,0 +1,150 @@
+import { jsonResponse, errorResponse } from "../utils/response.js";
+import { toAPIError } from "../utils/errors.js";
+import { createLogger, createPerformanceTracker } from "../utils/logger.js";
+import { CACHE_CONTROL, cacheHeaders } from "../utils/conditional.js";
+import { cacheTagHeaders } from "../utils/cache.js";
+import { createPostRepository } from "../repositories/postRepository.js";
+import { createPostService } from "../services/postService.js";
+
+/**
+ * GET /archive
+ * Published post counts grouped by year and month
+ */
+export async function handleGetArchive(
+  _request,
+  env,
+  _ctx,
+  _params,
+  _user,
+  requestId,
+) {
+  const logger = createLogger(requestId);
+
+  try {
+    logger.debug("Fetching archive periods", {
+      type: "handler",
+      handler: "handleGetArchive",
+    });
+
+    const tracker = createPerformanceTracker(logger, "getArchive");
+    const postRepository = createPostRepository(env);
+    const postService = createPostService(postRepository, env);
+
+    const data = await postService.getArchive();
+    tracker.end({ yearCount: data.years.length });
+
+    logger.info("Archive periods retrieved successfully", {
+      type: "handler",
+      handler: "handleGetArchive",
+      yearCount: data.years.length,
+      timeZone: data.timeZone,
+    });
+
+    const response = {
+      success: true,
+      data,
+      error: null,
+    };
+
+    return jsonResponse(response, 200, cacheHeaders(CACHE_CONTROL.archive));
+  } catch (error) {
+    logger.error("Error in handleGetArchive", {
+      type: "handler",
+      handler: "handleGetArchive",
+      error: {
+        message: error.message,
+        name: error.name,
+        stack: error.stack,
+      },
+    });
+
+    const apiError = toAPIError(error);
+    return errorResponse(apiError.message, apiError.status);
+  }
+}
+
+/**
+ * GET /archive/:year and GET /archive/:year/:month
+ * Paginated posts published in a year or month (same query parameters as
+ * GET /posts: page, size, sort, cursor, fields, include)
+ */
+export async function handleGetArchivePosts(
+  request,
+  env,
+  _ctx,
+  params,
+  _user,
+  requestId,
+  query,
+) {
+  const logger = createLogger(requestId);
+
+  try {
+    const { year, month = null } = params;
+    const { page, size, sort, cursor, fields = null, include = [] } = query;
+
+    logger.debug("Fetching archive posts", {
+      type: "handler",
+      handler: "handleGetArchivePosts",
+      params: { year, month, page, size, sort, cursor, fields, include },
+    });
+
+    const tracker = createPerformanceTracker(logger, "getArchivePosts");
+    const postRepository = createPostRepository(env);
+    const postService = createPostService(postRepository, env);
+
+    const { sources, ...data } = await postService.getArchivePosts({
+      year,
+      month,
+      page,
+      size,
+      sort,
+      cursor,
+      fields,
+      include,
+    });
+    tracker.end({
+      resultCount: data.content.length,
+      totalElements: data.totalElements,
+    });
+
+    logger.info("Archive posts retrieved successfully", {
+      type: "handler",
+      handler: "handleGetArchivePosts",
+      year,
+      month,
+      resultCount: data.content.length,
+      totalElements: data.totalElements,
+    });
+
+    const response = {
+      success: true,
+      data,
+      error: null,
+    };
+
+    const cacheTags = sources.flatMap((post) => [
+      `post:${post.id}`,
+      ...(include.includes("commentCount") ? [`comments:${post.id}`] : []),
+    ]);
+
+    return jsonResponse(response, 200, {
+      ...cacheHeaders(CACHE_CONTROL.archive),
+      ...cacheTagHeaders(cacheTags),
+    });
+  } catch (error) {
+    logger.error("Error in handleGetArchivePosts", {
+      type: "handler",
+      handler: "handleGetArchivePosts",
+      params,
+      error: {
+        message: error.message,
+        name: error.name,
+        stack: error.stack,
+      },
+    });
+
+    const apiError = toAPIError(error);
+    return errorResponse(apiError.message, apiError.status);
+  }
+}
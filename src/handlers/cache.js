@@ -0,0 +1,73 @@
+import { jsonResponse, errorResponse } from "../utils/response.js";
+import { toAPIError, ValidationError } from "../utils/errors.js";
+import { createLogger, createPerformanceTracker } from "../utils/logger.js";
+import { purgeCacheTags, purgeCacheUrls } from "../utils/cache.js";
+
+/**
+ * POST /cache/purge
+ * Invalidate cached responses by cache tag or URL. Called by the admin worker
+ * after edits; requires `Authorization: Bearer <CACHE_PURGE_SECRET>`.
+ */
+export async function handleCachePurge(
+  _request,
+  env,
+  _ctx,
+  _params,
+  body,
+  requestId,
+) {
+  const logger = createLogger(requestId);
+
+  try {
+    // Credentials and the body schema are checked by the route's middleware
+    const tags = body.tags || [];
+    const urls = body.urls || [];
+    if (tags.length === 0 && urls.length === 0) {
+      throw new ValidationError("At least one tag or URL is required");
+    }
+
+    logger.debug("Purging cache", {
+      type: "handler",
+      handler: "handleCachePurge",
+      tags,
+      urls,
+    });
+
+    const tracker = createPerformanceTracker(logger, "purgeCache");
+    const [purgedTags, purgedUrls] = await Promise.all([
+      purgeCacheTags(env, tags),
+      purgeCacheUrls(env, urls),
+    ]);
+    tracker.end({ purgedTags, purgedUrls });
+
+    logger.info("Cache purged successfully", {
+      type: "handler",
+      handler: "handleCachePurge",
+      tags,
+      urls,
+      purgedTags,
+      purgedUrls,
+    });
+
+    const response = {
+      success: true,
+      data: { tags, urls, purged: purgedTags + purgedUrls },
+      error: null,
+    };
+
+    return jsonResponse(response, 200);
+  } catch (error) {
+    logger.error("Error in handleCachePurge", {
+      type: "handler",
+      handler: "handleCachePurge",
+      error: {
+        message: error.message,
+        name: error.name,
+        stack: error.stack,
+      },
+    });
+
+    const apiError = toAPIError(error);
+    return errorResponse(apiError.message, apiError.status);
+  }
+}
@@ -1,37 +1,51 @@
 import { jsonResponse, errorResponse } from "../utils/response.js";
 import { toAPIError } from "../utils/errors.js";
 import { createLogger, createPerformanceTracker } from "../utils/logger.js";
+import {
+  CACHE_CONTROL,
+  cacheHeaders,
+  latestTimestamp,
+} from "../utils/conditional.js";
+import { cacheTagHeaders, purgeCacheTags } from "../utils/cache.js";
 import { createCommentRepository } from "../repositories/commentRepository.js";
 import { createCommentService } from "../services/commentService.js";
+import { COMMENT_STATUS } from "../services/moderationService.js";
 
 /**
  * GET /comments/:postId
- * Retrieve all comments for a specific post
+ * Retrieve all comments for a specific post as a reply tree
+ * (?format=flat for a flat list with parentId fields)
  */
 export async function handleGetComments(
-  _request,
+  request,
   env,
   _ctx,
   params,
   _user,
   requestId,
+  query,
 ) {
   const logger = createLogger(requestId);
 
   try {
     const { postId } = params;
+    const { format } = query;
 
     logger.debug("Fetching comments for post", {
       type: "handler",
       handler: "handleGetComments",
       postId,
+      format,
     });
 
     const tracker = createPerformanceTracker(logger, "getCommentsByPostId");
     const commentRepository = createCommentRepository(env);
     const commentService = createCommentService(commentRepository, env);
 
-    const data = await commentService.getCommentsByPostId(postId);
+    const [data, lastModified] = await Promise.all([
+      commentService.getCommentsByPostId(postId, { format }),
+      commentService.getCommentsLastModified(postId),
+    ]);
     tracker.end({ postId, commentCount: data?.length || 0 });
 
     logger.info("Comments retrieved successfully", {
@@ -47,7 +61,10 @@ export async function handleGetComments(
       error: null,
     };
 
-    return jsonResponse(response, 200);
+    return jsonResponse(response, 200, {
+      ...cacheHeaders(CACHE_CONTROL.comments, latestTimestamp([lastModified])),
+      ...cacheTagHeaders([`comments:${postId}`, `post:${postId}`]),
+    });
   } catch (error) {
     logger.error("Error in handleGetComments", {
       type: "handler",
@@ -67,12 +84,13 @@ export async function handleGetComments(
 
 /**
  * POST /comments/:postId
- * Create a new comment on a post
+ * Create a new comment on a post. Comments held by the spam filter are
+ * answered with 202 Accepted and status "pending".
  */
 export async function handleCreateComment(
   request,
   env,
-  _ctx,
+  ctx,
   params,
   body,
   requestId,
@@ -87,6 +105,7 @@ export async function handleCreateComment(
       handler: "handleCreateComment",
       postId,
       author: body.author,
+      parentId: body.parentId,
     });
 
     const tracker = createPerformanceTracker(logger, "createComment");
@@ -102,15 +121,27 @@ export async function handleCreateComment(
       postId,
       commentId: data.id,
       author: body.author,
+      status: data.status,
     });
 
+    const pending = data.status === COMMENT_STATUS.PENDING;
+
+    // Held comments are not listed, so only published ones invalidate the cache
+    if (!pending) {
+      ctx.waitUntil(purgeCacheTags(env, [`comments:${postId}`]));
+    }
     const response = {
       success: true,
-      data,
+      data: pending
+        ? {
+            ...data,
+            message: "Your comment is awaiting moderation",
+          }
+        : data,
       error: null,
     };
 
-    return jsonResponse(response, 200);
+    return jsonResponse(response, pending ? 202 : 200);
   } catch (error) {
     logger.error("Error in handleCreateComment", {
       type: "handler",
@@ -127,3 +158,162 @@ export async function handleCreateComment(
     return errorResponse(apiError.message, apiError.status);
   }
 }
+
+/**
+ * Read the edit token from `Authorization: Bearer <token>`
+ * @param {Request} request - Request object
+ * @returns {string} Token, or an empty string
+ */
+function editToken(request) {
+  const authorization = request.headers.get("Authorization") || "";
+  return authorization.replace(/^Bearer\s+/i, "").trim();
+}
+
+/**
+ * PATCH /comments/:postId/:commentId
+ * Edit a comment within the edit window, authorized by the edit token
+ * returned when it was created. Edits held by the spam filter are answered
+ * with 202 Accepted and status "pending".
+ */
+export async function handleUpdateComment(
+  request,
+  env,
+  ctx,
+  params,
+  body,
+  requestId,
+) {
+  const logger = createLogger(requestId);
+
+  try {
+    const { postId, commentId } = params;
+
+    logger.debug("Updating comment", {
+      type: "handler",
+      handler: "handleUpdateComment",
+      postId,
+      commentId,
+    });
+
+    const tracker = createPerformanceTracker(logger, "updateComment");
+    const commentRepository = createCommentRepository(env);
+    const commentService = createCommentService(commentRepository, env);
+
+    const data = await commentService.updateComment(
+      postId,
+      commentId,
+      editToken(request),
+      body,
+    );
+    tracker.end({ postId, commentId });
+
+    logger.info("Comment updated successfully", {
+      type: "handler",
+      handler: "handleUpdateComment",
+      postId,
+      commentId,
+      status: data.status,
+    });
+
+    ctx.waitUntil(purgeCacheTags(env, [`comments:${postId}`]));
+
+    const pending = data.status === COMMENT_STATUS.PENDING;
+    const response = {
+      success: true,
+      data: pending
+        ? {
+            ...data,
+            message: "Your comment is awaiting moderation",
+          }
+        : data,
+      error: null,
+    };
+
+    return jsonResponse(response, pending ? 202 : 200);
+  } catch (error) {
+    logger.error("Error in handleUpdateComment", {
+      type: "handler",
+      handler: "handleUpdateComment",
+      postId: params.postId,
+      commentId: params.commentId,
+      error: {
+        message: error.message,
+        name: error.name,
+        stack: error.stack,
+      },
+    });
+
+    const apiError = toAPIError(error);
+    return errorResponse(apiError.message, apiError.status);
+  }
+}
+
+/**
+ * DELETE /comments/:postId/:commentId
+ * Delete a comment, authorized by the edit token returned when it was
+ * created. Replies stay listed under a "[deleted]" placeholder.
+ */
+export async function handleDeleteComment(
+  request,
+  env,
+  ctx,
+  params,
+  _user,
+  requestId,
+) {
+  const logger = createLogger(requestId);
+
+  try {
+    const { postId, commentId } = params;
+
+    logger.debug("Deleting comment", {
+      type: "handler",
+      handler: "handleDeleteComment",
+      postId,
+      commentId,
+    });
+
+    const tracker = createPerformanceTracker(logger, "deleteComment");
+    const commentRepository = createCommentRepository(env);
+    const commentService = createCommentService(commentRepository, env);
+
+    const data = await commentService.deleteComment(
+      postId,
+      commentId,
+      editToken(request),
+    );
+    tracker.end({ postId, commentId });
+
+    logger.info("Comment deleted successfully", {
+      type: "handler",
+      handler: "handleDeleteComment",
+      postId,
+      commentId,
+    });
+
+    ctx.waitUntil(purgeCacheTags(env, [`comments:${postId}`]));
+
+    const response = {
+      success: true,
+      data,
+      error: null,
+    };
+
+    return jsonResponse(response);
+  } catch (error) {
+    logger.error("Error in handleDeleteComment", {
+      type: "handler",
+      handler: "handleDeleteComment",
+      postId: params.postId,
+      commentId: params.commentId,
+      error: {
+        message: error.message,
+        name: error.name,
+        stack: error.stack,
+      },
+    });
+
+    const apiError = toAPIError(error);
+    return errorResponse(apiError.message, apiError.status);
+  }
+}
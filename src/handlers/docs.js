@@ -0,0 +1,105 @@
+import {
+  jsonResponse,
+  textResponse,
+  errorResponse,
+} from "../utils/response.js";
+import { toAPIError } from "../utils/errors.js";
+import { createLogger } from "../utils/logger.js";
+import { CACHE_CONTROL, cacheHeaders } from "../utils/conditional.js";
+import { getSiteConfig } from "../utils/site.js";
+import { buildOpenApiDocument, renderDocsPage } from "../utils/openapi.js";
+
+/**
+ * Generate the OpenAPI document for the current route table
+ * @param {Request} request - Request object (its origin is the server URL)
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {Array<Object>} routes - Route entries
+ * @returns {Object} OpenAPI document
+ */
+function generateDocument(request, env, routes) {
+  const site = getSiteConfig(env);
+  return buildOpenApiDocument(routes, {
+    serverUrl: new URL(request.url).origin,
+    title: `${site.title} Public API`,
+  });
+}
+
+/**
+ * Create the API documentation handlers. The route table is passed lazily
+ * because the router registers these handlers inside the table they describe.
+ * @param {Function} getRoutes - Returns the router's route entries
+ * @returns {{handleGetOpenApi: Function, handleGetDocs: Function}}
+ */
+export function createDocsHandlers(getRoutes) {
+  return {
+    /**
+     * GET /openapi.json
+     * OpenAPI 3.1 document generated from the route table
+     */
+    handleGetOpenApi: async (request, env, _ctx, _params, _user, requestId) => {
+      const logger = createLogger(requestId);
+
+      try {
+        const document = generateDocument(request, env, getRoutes());
+
+        logger.debug("OpenAPI document generated", {
+          type: "handler",
+          handler: "handleGetOpenApi",
+          pathCount: Object.keys(document.paths).length,
+        });
+
+        return jsonResponse(document, 200, cacheHeaders(CACHE_CONTROL.docs));
+      } catch (error) {
+        logger.error("Error in handleGetOpenApi", {
+          type: "handler",
+          handler: "handleGetOpenApi",
+          error: {
+            message: error.message,
+            name: error.name,
+            stack: error.stack,
+          },
+        });
+
+        const apiError = toAPIError(error);
+        return errorResponse(apiError.message, apiError.status);
+      }
+    },
+
+    /**
+     * GET /docs
+     * Human-readable API reference rendered from the OpenAPI document
+     */
+    handleGetDocs: async (request, env, _ctx, _params, _user, requestId) => {
+      const logger = createLogger(requestId);
+
+      try {
+        const document = generateDocument(request, env, getRoutes());
+
+        logger.debug("API docs page rendered", {
+          type: "handler",
+          handler: "handleGetDocs",
+        });
+
+        return textResponse(
+          renderDocsPage(document),
+          "text/html; charset=utf-8",
+          200,
+          cacheHeaders(CACHE_CONTROL.docs),
+        );
+      } catch (error) {
+        logger.error("Error in handleGetDocs", {
+          type: "handler",
+          handler: "handleGetDocs",
+          error: {
+            message: error.message,
+            name: error.name,
+            stack: error.stack,
+          },
+        });
+
+        const apiError = toAPIError(error);
+        return errorResponse(apiError.message, apiError.status);
+      }
+    },
+  };
+}
@@ -0,0 +1,164 @@
+import { errorResponse, textResponse } from "../utils/response.js";
+import { toAPIError } from "../utils/errors.js";
+import { createLogger, createPerformanceTracker } from "../utils/logger.js";
+import { createPostRepository } from "../repositories/postRepository.js";
+import { createFeedService } from "../services/feedService.js";
+
+/**
+ * Build the feed model shared by all feed handlers
+ * @param {Request} request - Request object
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {Object} query - Validated query parameters (tag, mode)
+ * @param {Object} logger - Request logger
+ * @param {string} format - Feed format name (for logging)
+ * @returns {Promise<Object>} Feed service and feed model
+ */
+async function loadFeed(request, env, query, logger, format) {
+  const { tag, mode } = query;
+
+  logger.debug("Generating feed", {
+    type: "handler",
+    handler: "loadFeed",
+    format,
+    tag,
+    mode,
+  });
+
+  const tracker = createPerformanceTracker(logger, `generateFeed:${format}`);
+  const postRepository = createPostRepository(env);
+  const feedService = createFeedService(postRepository, env);
+
+  const feed = await feedService.getFeed({ tag, mode, selfUrl: request.url });
+  tracker.end({ format, tag, itemCount: feed.items.length });
+
+  logger.info("Feed generated successfully", {
+    type: "handler",
+    handler: "loadFeed",
+    format,
+    tag,
+    itemCount: feed.items.length,
+  });
+
+  return { feedService, feed };
+}
+
+/**
+ * Log a feed handler failure and convert it into an error response
+ * @param {Object} logger - Request logger
+ * @param {string} handler - Handler name
+ * @param {Error} error - Thrown error
+ * @returns {Response}
+ */
+function feedErrorResponse(logger, handler, error) {
+  logger.error(`Error in ${handler}`, {
+    type: "handler",
+    handler,
+    error: {
+      message: error.message,
+      name: error.name,
+      stack: error.stack,
+    },
+  });
+
+  const apiError = toAPIError(error);
+  return errorResponse(apiError.message, apiError.status);
+}
+
+/**
+ * GET /feed.xml
+ * RSS 2.0 feed of published posts (?tag= for per-tag feeds, ?mode=full|summary)
+ */
+export async function handleGetRssFeed(
+  request,
+  env,
+  _ctx,
+  _params,
+  _user,
+  requestId,
+  query,
+) {
+  const logger = createLogger(requestId);
+
+  try {
+    const { feedService, feed } = await loadFeed(
+      request,
+      env,
+      query,
+      logger,
+      "rss",
+    );
+
+    return textResponse(
+      feedService.renderRss(feed),
+      "application/rss+xml; charset=utf-8",
+    );
+  } catch (error) {
+    return feedErrorResponse(logger, "handleGetRssFeed", error);
+  }
+}
+
+/**
+ * GET /atom.xml
+ * Atom 1.0 feed of published posts (?tag= for per-tag feeds, ?mode=full|summary)
+ */
+export async function handleGetAtomFeed(
+  request,
+  env,
+  _ctx,
+  _params,
+  _user,
+  requestId,
+  query,
+) {
+  const logger = createLogger(requestId);
+
+  try {
+    const { feedService, feed } = await loadFeed(
+      request,
+      env,
+      query,
+      logger,
+      "atom",
+    );
+
+    return textResponse(
+      feedService.renderAtom(feed),
+      "application/atom+xml; charset=utf-8",
+    );
+  } catch (error) {
+    return feedErrorResponse(logger, "handleGetAtomFeed", error);
+  }
+}
+
+/**
+ * GET /feed.json
+ * JSON Feed 1.1 of published posts (?tag= for per-tag feeds, ?mode=full|summary)
+ */
+export async function handleGetJsonFeed(
+  request,
+  env,
+  _ctx,
+  _params,
+  _user,
+  requestId,
+  query,
+) {
+  const logger = createLogger(requestId);
+
+  try {
+    const { feedService, feed } = await loadFeed(
+      request,
+      env,
+      query,
+      logger,
+      "json",
+    );
+
+    return textResponse(
+      JSON.stringify(feedService.renderJsonFeed(feed)),
+      "application/feed+json; charset=utf-8",
+    );
+  } catch (error) {
+    return feedErrorResponse(logger, "handleGetJsonFeed", error);
+  }
+}
@@ -1,12 +1,30 @@
 import { jsonResponse, errorResponse } from "../utils/response.js";
 import { toAPIError } from "../utils/errors.js";
 import { createLogger, createPerformanceTracker } from "../utils/logger.js";
+import {
+  CACHE_CONTROL,
+  cacheHeaders,
+  latestTimestamp,
+} from "../utils/conditional.js";
+import { cacheTagHeaders } from "../utils/cache.js";
 import { createPostRepository } from "../repositories/postRepository.js";
 import { createPostService } from "../services/postService.js";
+import {
+  detectAutomatedView,
+  createVisitorFingerprint,
+} from "../utils/visitor.js";
+
+/**
+ * Whether this isolate has already warned that VIEW_FINGERPRINT_SECRET is
+ * missing (once is enough; the setting cannot change until redeploy)
+ */
+let missingFingerprintSecretReported = false;
 
 /**
  * GET /posts
  * Retrieve paginated list of posts with optional filtering and sorting
+ * (?tags=a,b&match=all|any, ?excludeTags=c), and sparse fieldsets
+ * (?fields=slug,title&include=commentCount,tags)
  */
 export async function handleGetPosts(
   request,
@@ -15,21 +33,39 @@ export async function handleGetPosts(
   _params,
   _user,
   requestId,
+  query,
 ) {
   const logger = createLogger(requestId);
 
   try {
-    const url = new URL(request.url);
-
-    const tag = url.searchParams.get("tag");
-    const page = parseInt(url.searchParams.get("page") || "0", 10);
-    const size = parseInt(url.searchParams.get("size") || "10", 10);
-    const sort = url.searchParams.get("sort") || "createdAt,desc";
+    const {
+      tag,
+      tags = [],
+      match,
+      excludeTags = [],
+      page,
+      size,
+      sort,
+      cursor,
+      fields = null,
+      include = [],
+    } = query;
 
     logger.debug("Fetching posts", {
       type: "handler",
       handler: "handleGetPosts",
-      params: { tag, page, size, sort },
+      params: {
+        tag,
+        tags,
+        match,
+        excludeTags,
+        page,
+        size,
+        sort,
+        cursor,
+        fields,
+        include,
+      },
       envKeys: Object.keys(env || {}),
       hasDB: !!env?.DB,
     });
@@ -48,7 +84,18 @@ export async function handleGetPosts(
     const postRepository = createPostRepository(env);
     const postService = createPostService(postRepository, env);
 
-    const data = await postService.getPosts({ tag, page, size, sort });
+    const { sources, ...data } = await postService.getPosts({
+      tag,
+      tags,
+      match,
+      excludeTags,
+      page,
+      size,
+      sort,
+      cursor,
+      fields,
+      include,
+    });
     tracker.end({
       resultCount: data.content?.length || 0,
       totalElements: data.totalElements,
@@ -67,7 +114,19 @@ export async function handleGetPosts(
       error: null,
     };
 
-    return jsonResponse(response, 200);
+    const cacheTags = sources.flatMap((post) => [
+      `post:${post.id}`,
+      ...post.tags.map((name) => `tag:${name}`),
+      ...(include.includes("commentCount") ? [`comments:${post.id}`] : []),
+    ]);
+    for (const name of [tag, ...tags, ...excludeTags].filter(Boolean)) {
+      cacheTags.push(`tag:${name}`);
+    }
+
+    return jsonResponse(response, 200, {
+      ...cacheHeaders(CACHE_CONTROL.posts),
+      ...cacheTagHeaders(cacheTags),
+    });
   } catch (error) {
     logger.error("Error in handleGetPosts", {
       type: "handler",
@@ -88,6 +147,7 @@ export async function handleGetPosts(
  * GET /posts/:slug
  * Retrieve single post by slug or ID
  * If ID provided, redirects to slug-based URL
+ * ?include=neighbors adds previous/next posts (?tag= scopes them to a tag)
  */
 export async function handleGetPostBySlug(
   request,
@@ -96,6 +156,7 @@ export async function handleGetPostBySlug(
   params,
   _user,
   requestId,
+  query,
 ) {
   const logger = createLogger(requestId);
 
@@ -112,12 +173,20 @@ export async function handleGetPostBySlug(
     const postRepository = createPostRepository(env);
     const postService = createPostService(postRepository, env);
 
-    const result = await postService.getPostBySlug(slug);
+    const includeNeighbors = (query.include ?? []).includes("neighbors");
+    const neighborTag = query.tag;
+    const render = query.render;
+
+    const result = await postService.getPostBySlug(slug, {
+      includeNeighbors,
+      neighborTag,
+      render,
+    });
     tracker.end({ slug, redirect: result.redirect });
 
     if (result.redirect) {
       const url = new URL(request.url);
-      const redirectUrl = `${url.origin}/posts/${result.slug}`;
+      const redirectUrl = `${url.origin}/posts/${encodeURIComponent(result.slug)}${url.search}`;
 
       logger.info("Redirecting to slug-based URL", {
         type: "handler",
@@ -148,7 +217,30 @@ export async function handleGetPostBySlug(
       error: null,
     };
 
-    return jsonResponse(response, 200);
+    // Neighbor links change without touching this post, so they rely on the
+    // ETag alone
+    const lastModified = includeNeighbors
+      ? null
+      : latestTimestamp([result.data.updatedAt, result.data.createdAt]);
+
+    const cacheTags = [
+      `post:${result.data.id}`,
+      ...result.data.tags.map((name) => `tag:${name}`),
+    ];
+    if (includeNeighbors) {
+      // A newly published post becomes the next link of the latest one
+      cacheTags.push("posts");
+      for (const neighbor of [result.data.previous, result.data.next]) {
+        if (neighbor) {
+          cacheTags.push(`post:${neighbor.id}`);
+        }
+      }
+    }
+
+    return jsonResponse(response, 200, {
+      ...cacheHeaders(CACHE_CONTROL.post, lastModified),
+      ...cacheTagHeaders(cacheTags),
+    });
   } catch (error) {
     logger.error("Error in handleGetPostBySlug", {
       type: "handler",
@@ -166,12 +258,218 @@ export async function handleGetPostBySlug(
   }
 }
 
+/**
+ * GET /posts/:slug/related
+ * Retrieve published posts related to a post by shared tags
+ */
+export async function handleGetRelatedPosts(
+  request,
+  env,
+  _ctx,
+  params,
+  _user,
+  requestId,
+  query,
+) {
+  const logger = createLogger(requestId);
+
+  try {
+    const { slug } = params;
+    const limit = query.limit ?? null;
+
+    logger.debug("Fetching related posts", {
+      type: "handler",
+      handler: "handleGetRelatedPosts",
+      slug,
+      limit,
+    });
+
+    const tracker = createPerformanceTracker(logger, "getRelatedPosts");
+    const postRepository = createPostRepository(env);
+    const postService = createPostService(postRepository, env);
+
+    const data = await postService.getRelatedPosts(slug, { limit });
+    tracker.end({ slug, resultCount: data.length });
+
+    logger.info("Related posts retrieved successfully", {
+      type: "handler",
+      handler: "handleGetRelatedPosts",
+      slug,
+      resultCount: data.length,
+    });
+
+    const response = {
+      success: true,
+      data,
+      error: null,
+    };
+
+    return jsonResponse(response, 200, {
+      ...cacheHeaders(CACHE_CONTROL.related),
+      ...cacheTagHeaders(data.map((post) => `post:${post.id}`)),
+    });
+  } catch (error) {
+    logger.error("Error in handleGetRelatedPosts", {
+      type: "handler",
+      handler: "handleGetRelatedPosts",
+      slug: params.slug,
+      error: {
+        message: error.message,
+        name: error.name,
+        stack: error.stack,
+      },
+    });
+
+    const apiError = toAPIError(error);
+    return errorResponse(apiError.message, apiError.status);
+  }
+}
+
+/**
+ * GET /posts/trending
+ * Posts ranked by time-decayed views in a recent window (?window=7d&limit=10)
+ */
+export async function handleGetTrendingPosts(
+  request,
+  env,
+  _ctx,
+  _params,
+  _user,
+  requestId,
+  query,
+) {
+  const logger = createLogger(requestId);
+
+  try {
+    const { window, limit } = query;
+
+    logger.debug("Fetching trending posts", {
+      type: "handler",
+      handler: "handleGetTrendingPosts",
+      window,
+      limit,
+    });
+
+    const tracker = createPerformanceTracker(logger, "getTrendingPosts");
+    const postRepository = createPostRepository(env);
+    const postService = createPostService(postRepository, env);
+
+    const data = await postService.getTrendingPosts({ window, limit });
+    tracker.end({ window: data.window, resultCount: data.content.length });
+
+    logger.info("Trending posts retrieved successfully", {
+      type: "handler",
+      handler: "handleGetTrendingPosts",
+      window: data.window,
+      resultCount: data.content.length,
+    });
+
+    const response = {
+      success: true,
+      data,
+      error: null,
+    };
+
+    return jsonResponse(response, 200, {
+      ...cacheHeaders(CACHE_CONTROL.trending),
+      ...cacheTagHeaders(data.content.map((post) => `post:${post.id}`)),
+    });
+  } catch (error) {
+    logger.error("Error in handleGetTrendingPosts", {
+      type: "handler",
+      handler: "handleGetTrendingPosts",
+      error: {
+        message: error.message,
+        name: error.name,
+        stack: error.stack,
+      },
+    });
+
+    const apiError = toAPIError(error);
+    return errorResponse(apiError.message, apiError.status);
+  }
+}
+
+/**
+ * GET /posts/:postId/stats
+ * A post's views over time (?from=YYYY-MM-DD&to=YYYY-MM-DD&granularity=day|week|month)
+ */
+export async function handleGetPostStats(
+  request,
+  env,
+  _ctx,
+  params,
+  _user,
+  requestId,
+  query,
+) {
+  const logger = createLogger(requestId);
+
+  try {
+    const { postId } = params;
+    const { from, to, granularity } = query;
+
+    logger.debug("Fetching post stats", {
+      type: "handler",
+      handler: "handleGetPostStats",
+      postId,
+      from,
+      to,
+      granularity,
+    });
+
+    const tracker = createPerformanceTracker(logger, "getPostStats");
+    const postRepository = createPostRepository(env);
+    const postService = createPostService(postRepository, env);
+
+    const data = await postService.getPostStats(postId, {
+      from,
+      to,
+      granularity,
+    });
+    tracker.end({ postId, points: data.series.length });
+
+    logger.info("Post stats retrieved successfully", {
+      type: "handler",
+      handler: "handleGetPostStats",
+      postId,
+      points: data.series.length,
+      views: data.totals.views,
+    });
+
+    const response = {
+      success: true,
+      data,
+      error: null,
+    };
+
+    return jsonResponse(response, 200, {
+      ...cacheHeaders(CACHE_CONTROL.stats),
+      ...cacheTagHeaders([`post:${data.postId}`]),
+    });
+  } catch (error) {
+    logger.error("Error in handleGetPostStats", {
+      type: "handler",
+      handler: "handleGetPostStats",
+      postId: params.postId,
+      error: {
+        message: error.message,
+        name: error.name,
+        stack: error.stack,
+      },
+    });
+
+    const apiError = toAPIError(error);
+    return errorResponse(apiError.message, apiError.status);
+  }
+}
+
 /**
  * PATCH /posts/:postId/views
- * Increment post view count
+ * Count a unique, human view of a post
  */
 export async function handleIncrementViews(
-  _request,
+  request,
   env,
   _ctx,
   params,
@@ -193,14 +491,34 @@ export async function handleIncrementViews(
     const postRepository = createPostRepository(env);
     const postService = createPostService(postRepository, env);
 
-    const data = await postService.incrementPostViews(postId);
-    tracker.end({ postId, newViewCount: data.views });
+    const automatedReason = detectAutomatedView(request, env);
+    const fingerprint = automatedReason
+      ? null
+      : await createVisitorFingerprint(request, env);
+    if (!automatedReason && !fingerprint && !missingFingerprintSecretReported) {
+      missingFingerprintSecretReported = true;
+      logger.warn(
+        "VIEW_FINGERPRINT_SECRET is not set, views are not deduplicated",
+        {
+          type: "handler",
+          handler: "handleIncrementViews",
+        },
+      );
+    }
+
+    const data = await postService.incrementPostViews(postId, {
+      fingerprint,
+      automatedReason,
+    });
+    tracker.end({ postId, newViewCount: data.views, counted: data.counted });
 
-    logger.info("Post views incremented", {
+    logger.info("Post view processed", {
       type: "handler",
       handler: "handleIncrementViews",
       postId,
       newViewCount: data.views,
+      counted: data.counted,
+      reason: data.reason,
     });
 
     const response = {
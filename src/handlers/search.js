@@ -0,0 +1,148 @@
+import { jsonResponse, errorResponse } from "../utils/response.js";
+import { toAPIError } from "../utils/errors.js";
+import { createLogger, createPerformanceTracker } from "../utils/logger.js";
+import { CACHE_CONTROL, cacheHeaders } from "../utils/conditional.js";
+import { createSearchRepository } from "../repositories/searchRepository.js";
+import { createPostRepository } from "../repositories/postRepository.js";
+import { createSearchService } from "../services/searchService.js";
+
+/**
+ * GET /search
+ * Full-text search over published posts, optionally filtered by tag
+ */
+export async function handleSearch(
+  request,
+  env,
+  _ctx,
+  _params,
+  _user,
+  requestId,
+  query,
+) {
+  const logger = createLogger(requestId);
+
+  try {
+    const { q, tag, page, size, mode } = query;
+
+    logger.debug("Searching posts", {
+      type: "handler",
+      handler: "handleSearch",
+      params: { q, tag, page, size, mode },
+    });
+
+    const tracker = createPerformanceTracker(logger, "searchPosts");
+    const searchRepository = createSearchRepository(env);
+    const postRepository = createPostRepository(env);
+    const searchService = createSearchService(
+      searchRepository,
+      postRepository,
+      env,
+    );
+
+    const data = await searchService.searchPosts({
+      q,
+      tag,
+      page,
+      size,
+      mode,
+    });
+    tracker.end({
+      resultCount: data.content.length,
+      totalElements: data.totalElements,
+    });
+
+    logger.info("Search completed successfully", {
+      type: "handler",
+      handler: "handleSearch",
+      resultCount: data.content.length,
+      totalElements: data.totalElements,
+    });
+
+    const response = {
+      success: true,
+      data,
+      error: null,
+    };
+
+    return jsonResponse(response, 200);
+  } catch (error) {
+    logger.error("Error in handleSearch", {
+      type: "handler",
+      handler: "handleSearch",
+      error: {
+        message: error.message,
+        name: error.name,
+        stack: error.stack,
+      },
+    });
+
+    const apiError = toAPIError(error);
+    return errorResponse(apiError.message, apiError.status);
+  }
+}
+
+/**
+ * GET /search/suggest
+ * Autocomplete over post titles and tag names, with choseong (initial
+ * consonant) matching for Korean queries
+ */
+export async function handleSearchSuggest(
+  request,
+  env,
+  _ctx,
+  _params,
+  _user,
+  requestId,
+  query,
+) {
+  const logger = createLogger(requestId);
+
+  try {
+    const { q, limit } = query;
+
+    logger.debug("Fetching search suggestions", {
+      type: "handler",
+      handler: "handleSearchSuggest",
+      params: { q, limit },
+    });
+
+    const tracker = createPerformanceTracker(logger, "suggest");
+    const searchRepository = createSearchRepository(env);
+    const postRepository = createPostRepository(env);
+    const searchService = createSearchService(
+      searchRepository,
+      postRepository,
+      env,
+    );
+
+    const data = await searchService.suggest({ q, limit });
+    tracker.end({ suggestionCount: data.length });
+
+    logger.info("Search suggestions retrieved successfully", {
+      type: "handler",
+      handler: "handleSearchSuggest",
+      suggestionCount: data.length,
+    });
+
+    const response = {
+      success: true,
+      data,
+      error: null,
+    };
+
+    return jsonResponse(response, 200, cacheHeaders(CACHE_CONTROL.suggest));
+  } catch (error) {
+    logger.error("Error in handleSearchSuggest", {
+      type: "handler",
+      handler: "handleSearchSuggest",
+      error: {
+        message: error.message,
+        name: error.name,
+        stack: error.stack,
+      },
+    });
+
+    const apiError = toAPIError(error);
+    return errorResponse(apiError.message, apiError.status);
+  }
+}
@@ -1,5 +1,9 @@
-import { jsonResponse, errorResponse } from "../utils/response.js";
-import { toAPIError } from "../utils/errors.js";
+import {
+  jsonResponse,
+  errorResponse,
+  textResponse,
+} from "../utils/response.js";
+import { toAPIError, NotFoundError } from "../utils/errors.js";
 import { createLogger, createPerformanceTracker } from "../utils/logger.js";
 import { createTagRepository } from "../repositories/tagRepository.js";
 import { createSitemapService } from "../services/sitemapService.js";
@@ -26,7 +30,7 @@ export async function handleGetSitemap(
 
     const tracker = createPerformanceTracker(logger, "generateSitemap");
     const tagRepository = createTagRepository(env);
-    const sitemapService = createSitemapService(tagRepository);
+    const sitemapService = createSitemapService(tagRepository, env);
 
     const data = await sitemapService.generateSitemap();
     tracker.end({ urlCount: data?.urls?.length || 0 });
@@ -59,3 +63,144 @@ export async function handleGetSitemap(
     return errorResponse(apiError.message, apiError.status);
   }
 }
+
+const XML_CONTENT_TYPE = "application/xml; charset=utf-8";
+
+/**
+ * Log a sitemap handler failure and convert it into an error response
+ * @param {Object} logger - Request logger
+ * @param {string} handler - Handler name
+ * @param {Error} error - Thrown error
+ * @returns {Response}
+ */
+function sitemapErrorResponse(logger, handler, error) {
+  logger.error(`Error in ${handler}`, {
+    type: "handler",
+    handler,
+    error: {
+      message: error.message,
+      name: error.name,
+      stack: error.stack,
+    },
+  });
+
+  const apiError = toAPIError(error);
+  return errorResponse(apiError.message, apiError.status);
+}
+
+/**
+ * GET /sitemap.xml
+ * XML sitemap of posts, tag listings and archives. Served as a sitemap index
+ * once the URL count exceeds the 50,000 URL per-file limit.
+ */
+export async function handleGetSitemapXml(
+  request,
+  env,
+  _ctx,
+  _params,
+  _user,
+  requestId,
+) {
+  const logger = createLogger(requestId);
+
+  try {
+    const { origin } = new URL(request.url);
+
+    const tracker = createPerformanceTracker(logger, "generateSitemapXml");
+    const tagRepository = createTagRepository(env);
+    const sitemapService = createSitemapService(tagRepository, env);
+
+    const { xml, isIndex, urlCount } =
+      await sitemapService.generateSitemapXml(origin);
+    tracker.end({ urlCount, isIndex });
+
+    logger.info("XML sitemap generated successfully", {
+      type: "handler",
+      handler: "handleGetSitemapXml",
+      urlCount,
+      isIndex,
+    });
+
+    return textResponse(xml, XML_CONTENT_TYPE);
+  } catch (error) {
+    return sitemapErrorResponse(logger, "handleGetSitemapXml", error);
+  }
+}
+
+/**
+ * GET /sitemap-index.xml
+ * Sitemap index pointing at the numbered child sitemaps
+ */
+export async function handleGetSitemapIndex(
+  request,
+  env,
+  _ctx,
+  _params,
+  _user,
+  requestId,
+) {
+  const logger = createLogger(requestId);
+
+  try {
+    const { origin } = new URL(request.url);
+
+    const tracker = createPerformanceTracker(logger, "generateSitemapIndex");
+    const tagRepository = createTagRepository(env);
+    const sitemapService = createSitemapService(tagRepository, env);
+
+    const { xml, pageCount } =
+      await sitemapService.generateSitemapIndex(origin);
+    tracker.end({ pageCount });
+
+    logger.info("Sitemap index generated successfully", {
+      type: "handler",
+      handler: "handleGetSitemapIndex",
+      pageCount,
+    });
+
+    return textResponse(xml, XML_CONTENT_TYPE);
+  } catch (error) {
+    return sitemapErrorResponse(logger, "handleGetSitemapIndex", error);
+  }
+}
+
+/**
+ * GET /sitemaps/:page
+ * Numbered child sitemap (e.g. /sitemaps/1.xml)
+ */
+export async function handleGetSitemapPage(
+  _request,
+  env,
+  _ctx,
+  params,
+  _user,
+  requestId,
+) {
+  const logger = createLogger(requestId);
+
+  try {
+    const match = /^(\d+)\.xml$/.exec(params.page);
+    if (!match) {
+      throw new NotFoundError("Sitemap not found");
+    }
+    const page = parseInt(match[1], 10);
+
+    const tracker = createPerformanceTracker(logger, "generateSitemapPage");
+    const tagRepository = createTagRepository(env);
+    const sitemapService = createSitemapService(tagRepository, env);
+
+    const { xml, urlCount } = await sitemapService.generateSitemapPage(page);
+    tracker.end({ page, urlCount });
+
+    logger.info("Child sitemap generated successfully", {
+      type: "handler",
+      handler: "handleGetSitemapPage",
+      page,
+      urlCount,
+    });
+
+    return textResponse(xml, XML_CONTENT_TYPE);
+  } catch (error) {
+    return sitemapErrorResponse(logger, "handleGetSitemapPage", error);
+  }
+}
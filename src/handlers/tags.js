@@ -1,6 +1,8 @@
 import { jsonResponse, errorResponse } from "../utils/response.js";
 import { toAPIError } from "../utils/errors.js";
 import { createLogger, createPerformanceTracker } from "../utils/logger.js";
+import { CACHE_CONTROL, cacheHeaders } from "../utils/conditional.js";
+import { cacheTagHeaders } from "../utils/cache.js";
 import { createTagRepository } from "../repositories/tagRepository.js";
 import { createTagService } from "../services/tagService.js";
 
@@ -43,7 +45,10 @@ export async function handleGetTags(
       error: null,
     };
 
-    return jsonResponse(response, 200);
+    return jsonResponse(response, 200, {
+      ...cacheHeaders(CACHE_CONTROL.tags),
+      ...cacheTagHeaders(data.map((tag) => `tag:${tag.name}`)),
+    });
   } catch (error) {
     logger.error("Error in handleGetTags", {
       type: "handler",
@@ -0,0 +1,26 @@
+import { ForbiddenError, UnauthorizedError } from "../utils/errors.js";
+import { timingSafeEqual } from "../utils/crypto.js";
+
+/**
+ * Create middleware requiring `Authorization: Bearer <secret>`, where the
+ * secret is a Worker secret. Without the secret configured, the route is
+ * disabled (403).
+ * @param {string} secretName - Name of the secret in env
+ * @returns {Function} Middleware
+ */
+export function requireBearerSecret(secretName) {
+  return async (context, next) => {
+    const secret = context.env[secretName];
+    if (!secret) {
+      throw new ForbiddenError("Authentication is not configured");
+    }
+
+    const authorization = context.request.headers.get("Authorization") || "";
+    const token = authorization.replace(/^Bearer\s+/i, "");
+    if (!token || !(await timingSafeEqual(token, secret))) {
+      throw new UnauthorizedError("Invalid credentials");
+    }
+
+    return next();
+  };
+}
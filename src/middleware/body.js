@@ -0,0 +1,29 @@
+import { ValidationError } from "../utils/errors.js";
+
+const BODY_METHODS = ["POST", "PUT", "PATCH"];
+
+/**
+ * Parse the JSON body of POST, PUT and PATCH requests into `context.body`
+ * (an empty body becomes `{}`)
+ * @param {Object} context - Request context
+ * @param {Function} next - Next middleware
+ * @returns {Promise<Response>}
+ * @throws {ValidationError} If the body is not valid JSON
+ */
+export async function parseJsonBody(context, next) {
+  if (BODY_METHODS.includes(context.request.method)) {
+    const text = await context.request.text();
+    try {
+      context.body = text ? JSON.parse(text) : {};
+    } catch {
+      throw new ValidationError("Invalid JSON in request body");
+    }
+
+    context.logger.debug("Request body parsed", {
+      type: "routing",
+      bodySize: text.length,
+    });
+  }
+
+  return next();
+}
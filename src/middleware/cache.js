@@ -0,0 +1,105 @@
+import { withHeaders } from "../utils/response.js";
+import {
+  getCachePolicy,
+  normalizeCacheUrl,
+  getCachedResponse,
+  putCachedResponse,
+  stripCacheTags,
+} from "../utils/cache.js";
+import { conditionalResponse } from "../utils/conditional.js";
+
+/**
+ * Serve a cacheable request from the response cache. Fresh entries are
+ * returned as-is; stale entries are returned while the handler refreshes
+ * them in the background; misses run the handler and store its response.
+ * Cache failures never fail the request.
+ * @param {Object} context - Request context
+ * @param {Object} policy - Cache policy from getCachePolicy
+ * @param {Function} runHandler - Produces a fresh response
+ * @returns {Promise<Response>} Response with an X-Cache header
+ */
+async function serveCached(context, policy, runHandler) {
+  const { request, env, ctx, logger } = context;
+  const cacheUrl = normalizeCacheUrl(request.url);
+
+  const store = async (response, generatedAt) => {
+    if (response.status !== 200) {
+      return;
+    }
+    try {
+      await putCachedResponse(env, cacheUrl, response, policy, generatedAt);
+    } catch (error) {
+      logger.warn("Cache write failed", {
+        type: "cache",
+        url: cacheUrl,
+        error: { message: error.message, name: error.name },
+      });
+    }
+  };
+
+  let cached = null;
+  try {
+    cached = await getCachedResponse(env, cacheUrl);
+  } catch (error) {
+    logger.warn("Cache read failed", {
+      type: "cache",
+      url: cacheUrl,
+      error: { message: error.message, name: error.name },
+    });
+  }
+
+  if (cached) {
+    logger.debug("Cache hit", {
+      type: "cache",
+      url: cacheUrl,
+      stale: cached.stale,
+    });
+
+    if (cached.stale) {
+      const generatedAt = Date.now();
+      ctx.waitUntil(
+        runHandler().then((response) => store(response, generatedAt)),
+      );
+    }
+    return cached.response;
+  }
+
+  logger.debug("Cache miss", { type: "cache", url: cacheUrl });
+
+  const generatedAt = Date.now();
+  const response = await runHandler();
+  if (response.status === 200) {
+    ctx.waitUntil(store(response.clone(), generatedAt));
+  }
+  return withHeaders(response, { "X-Cache": "MISS" });
+}
+
+/**
+ * Serve GET requests of routes with a cache policy from the KV response
+ * cache, and remove internal cache tag headers from every response
+ * @param {Object} context - Request context
+ * @param {Function} next - Next middleware
+ * @returns {Promise<Response>}
+ */
+export async function responseCache(context, next) {
+  const policy =
+    context.request.method === "GET"
+      ? getCachePolicy(context.env, context.pattern)
+      : null;
+  const response = policy
+    ? await serveCached(context, policy, next)
+    : await next();
+
+  return stripCacheTags(response);
+}
+
+/**
+ * Add ETags and answer If-None-Match / If-Modified-Since with 304. Placed
+ * outside responseCache, so cached entries are always full responses.
+ * @param {Object} context - Request context
+ * @param {Function} next - Next middleware
+ * @returns {Promise<Response>}
+ */
+export async function conditionalRequests(context, next) {
+  return conditionalResponse(context.request, await next());
+}
@@ -0,0 +1,30 @@
+/**
+ * Middleware pipeline. A middleware is `async (context, next) => Response`:
+ * code before `await next()` runs on the way in, code after it on the way
+ * out (onion order), and returning a response without calling `next`
+ * short-circuits everything after it, including the handler.
+ *
+ * The context is shared by the whole pipeline of one request:
+ *   { request, env, ctx, url, requestId, logger, resolution, route, pattern,
+ *     params, allowedMethods, query, body }
+ * Middleware may replace `params`, `query` and `body` for later stages.
+ */
+
+/**
+ * Compose middleware into a single function
+ * @param {Array<Function>} middleware - Middleware, outermost first
+ * @returns {Function} `(context, handler) => Promise<Response>`; `handler`
+ *   receives the context after all middleware called `next`. A middleware
+ *   may call `next` again (e.g. to refresh a stale cache entry), which runs
+ *   the rest of the pipeline again.
+ */
+export function compose(middleware) {
+  return (context, handler) => {
+    const dispatch = async (index) =>
+      index < middleware.length
+        ? middleware[index](context, () => dispatch(index + 1))
+        : handler(context);
+
+    return dispatch(0);
+  };
+}
@@ -0,0 +1,23 @@
+import { handleCORS, addCORSHeaders } from "../utils/response.js";
+
+/**
+ * Answer OPTIONS requests (including CORS preflights) for known paths with
+ * the methods their routes allow, and add CORS headers to every response
+ * (origins from ALLOWED_ORIGINS, default "*")
+ * @param {Object} context - Request context
+ * @param {Function} next - Next middleware
+ * @returns {Promise<Response>}
+ */
+export async function cors(context, next) {
+  const allowedOrigins = context.env.ALLOWED_ORIGINS || "*";
+
+  if (
+    context.request.method === "OPTIONS" &&
+    context.allowedMethods.length > 0
+  ) {
+    return handleCORS(allowedOrigins, context.allowedMethods);
+  }
+
+  const response = await next();
+  return addCORSHeaders(response, allowedOrigins);
+}
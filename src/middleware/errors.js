@@ -0,0 +1,34 @@
+import { errorResponse } from "../utils/response.js";
+import { toAPIError } from "../utils/errors.js";
+import { logError } from "../utils/logger.js";
+
+/**
+ * Convert errors thrown by later middleware or the handler into error
+ * responses (with the individual field errors of a ValidationError)
+ * @param {Object} context - Request context
+ * @param {Function} next - Next middleware
+ * @returns {Promise<Response>}
+ */
+export async function handleErrors(context, next) {
+  const startTime = Date.now();
+
+  try {
+    return await next();
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logError(error, context.request, context.requestId, {
+      performance: {
+        duration: `${duration}ms`,
+        durationMs: duration,
+      },
+    });
+
+    const apiError = toAPIError(error);
+    return errorResponse(
+      apiError.message,
+      apiError.status,
+      {},
+      apiError.errors,
+    );
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * Answer HEAD requests with the matched GET route: the rest of the pipeline
+ * sees a GET (so caching and ETags apply), and the body is dropped
+ * @param {Object} context - Request context
+ * @param {Function} next - Next middleware
+ * @returns {Promise<Response>}
+ */
+export async function headRequests(context, next) {
+  if (context.request.method !== "HEAD") {
+    return next();
+  }
+
+  context.request = new Request(context.request, { method: "GET" });
+  const response = await next();
+
+  return new Response(null, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+}
@@ -0,0 +1,30 @@
+import { errorResponse } from "../utils/response.js";
+import { toAPIError } from "../utils/errors.js";
+import { logRequest, logResponse, logError } from "../utils/logger.js";
+
+/**
+ * Log the request and its response (with duration), and provide the
+ * request logger to later middleware as `context.logger`
+ * @param {Object} context - Request context
+ * @param {Function} next - Next middleware
+ * @returns {Promise<Response>}
+ */
+export async function logRequests(context, next) {
+  const { request, requestId } = context;
+  const startTime = Date.now();
+  context.logger = logRequest(request, requestId);
+
+  let response;
+  try {
+    response = await next();
+  } catch (error) {
+    // Errors are normally answered by handleErrors; this catches failures
+    // of the middleware in between
+    logError(error, request, requestId);
+    const apiError = toAPIError(error);
+    response = errorResponse(apiError.message, apiError.status);
+  }
+
+  logResponse(request, response, requestId, Date.now() - startTime);
+  return response;
+}
@@ -0,0 +1,42 @@
+import { errorResponse, withHeaders } from "../utils/response.js";
+import {
+  getRateLimitConfig,
+  getClientKey,
+  checkRateLimit,
+  rateLimitHeaders,
+} from "../utils/rateLimit.js";
+
+/**
+ * Apply the matched route's rate limit budget. Exhausted clients get a 429
+ * without running the rest of the pipeline; other responses carry the
+ * RateLimit headers.
+ * @param {Object} context - Request context
+ * @param {Function} next - Next middleware
+ * @returns {Promise<Response>}
+ */
+export async function rateLimit(context, next) {
+  const { request, env, pattern, logger } = context;
+  const config = pattern ? getRateLimitConfig(env, pattern) : null;
+  if (!config) {
+    return next();
+  }
+
+  const key = `${pattern}|${getClientKey(request, env)}`;
+  const result = await checkRateLimit(env, key, config, logger);
+
+  if (!result.allowed) {
+    logger.warn("Rate limit exceeded", {
+      type: "routing",
+      method: request.method,
+      retryAfter: result.resetSeconds,
+    });
+
+    return errorResponse("Too many requests, please try again later", 429, {
+      "Retry-After": String(result.resetSeconds),
+      ...rateLimitHeaders(result),
+    });
+  }
+
+  const response = await next();
+  return withHeaders(response, rateLimitHeaders(result));
+}
@@ -0,0 +1,14 @@
+import { withHeaders } from "../utils/response.js";
+
+/**
+ * Assign the request correlation ID and return it as X-Request-ID
+ * @param {Object} context - Request context
+ * @param {Function} next - Next middleware
+ * @returns {Promise<Response>}
+ */
+export async function assignRequestId(context, next) {
+  context.requestId = context.requestId || crypto.randomUUID();
+
+  const response = await next();
+  return withHeaders(response, { "X-Request-ID": context.requestId });
+}
@@ -0,0 +1,39 @@
+import { ValidationError } from "../utils/errors.js";
+import { validateSchema } from "../utils/schema.js";
+
+/**
+ * Validate path parameters, query parameters and body against the route's
+ * `params`, `query` and `body` schemas. Parameters are converted to their
+ * declared types and defaults are filled in; without a schema, values are
+ * passed through unchanged.
+ * @param {Object} context - Request context
+ * @param {Function} next - Next middleware
+ * @returns {Promise<Response>}
+ * @throws {ValidationError} Listing every invalid field
+ */
+export async function validateInput(context, next) {
+  const { route } = context;
+  const errors = [];
+  const check = (schema, value, location, coerce) => {
+    if (!schema) {
+      return value;
+    }
+    const result = validateSchema(schema, value, { coerce, name: location });
+    errors.push(...result.errors.map((error) => ({ in: location, ...error })));
+    return result.value;
+  };
+
+  const params = check(route.params, context.params, "path", true);
+  const query = check(route.query, context.query, "query", true);
+  const body = check(route.body, context.body, "body", false);
+
+  if (errors.length > 0) {
+    throw new ValidationError(
+      errors.map((error) => error.message).join(", "),
+      errors,
+    );
+  }
+
+  Object.assign(context, { params, query, body });
+  return next();
+}
@@ -4,15 +4,16 @@ export class CommentRepository {
   }
 
   /**
-   * Find all comments for a specific post
+   * Find all approved comments for a specific post, including deleted ones
    * @param {number} postId - Post ID
    * @returns {Promise<Array>} Array of comment objects
    */
   async findByPostId(postId) {
     const query = `
-      SELECT id, content, author_name, created_at, post_id
+      SELECT id, content, author_name, created_at, post_id, parent_id, depth,
+        edited_at, deleted_at
       FROM comments
-      WHERE post_id = ?
+      WHERE post_id = ? AND status = 'approved'
       ORDER BY created_at ASC
     `;
 
@@ -20,6 +21,44 @@ export class CommentRepository {
     return result.results;
   }
 
+  /**
+   * Latest change to any comment of a post: creation, edit or deletion, in
+   * any moderation status
+   * @param {number} postId - Post ID
+   * @returns {Promise<string|null>} ISO timestamp, or null without comments
+   */
+  async findLastModified(postId) {
+    const query = `
+      SELECT MAX(MAX(
+        created_at,
+        COALESCE(edited_at, ''),
+        COALESCE(deleted_at, '')
+      )) as last_modified
+      FROM comments
+      WHERE post_id = ?
+    `;
+
+    const result = await this.db.prepare(query).bind(postId).first();
+    return result?.last_modified ?? null;
+  }
+
+  /**
+   * Find a comment by ID
+   * @param {string} id - Comment UUID
+   * @returns {Promise<Object|null>} Comment object or null if not found
+   */
+  async findById(id) {
+    const query = `
+      SELECT id, content, author_name, created_at, post_id, parent_id, depth,
+        status, edit_token_hash, edited_at, deleted_at
+      FROM comments
+      WHERE id = ?
+    `;
+
+    const result = await this.db.prepare(query).bind(id).first();
+    return result;
+  }
+
   /**
    * Create a new comment
    * @param {Object} comment - Comment data
@@ -28,20 +67,126 @@ export class CommentRepository {
    * @param {string} comment.authorName - Author name
    * @param {string} comment.createdAt - ISO timestamp
    * @param {number} comment.postId - Post ID
+   * @param {string|null} comment.parentId - Parent comment UUID for replies
+   * @param {number} comment.depth - Nesting depth (0 for top-level comments)
+   * @param {string} comment.status - Moderation status (approved, pending, rejected)
+   * @param {number} comment.spamScore - Spam filter score
+   * @param {Array<string>} comment.spamReasons - Spam filter rules that matched
+   * @param {string|null} comment.editTokenHash - SHA-256 hash of the edit token
+   * @returns {Promise<void>}
+   */
+  async create({
+    id,
+    content,
+    authorName,
+    createdAt,
+    postId,
+    parentId = null,
+    depth = 0,
+    status = "approved",
+    spamScore = 0,
+    spamReasons = [],
+    editTokenHash = null,
+  }) {
+    const query = `
+      INSERT INTO comments (
+        id, content, author_name, created_at, post_id, parent_id, depth,
+        status, spam_score, spam_reasons, edit_token_hash
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    await this.db
+      .prepare(query)
+      .bind(
+        id,
+        content,
+        authorName,
+        createdAt,
+        postId,
+        parentId,
+        depth,
+        status,
+        spamScore,
+        JSON.stringify(spamReasons),
+        editTokenHash,
+      )
+      .run();
+  }
+
+  /**
+   * Replace the content of a comment after an edit
+   * @param {string} id - Comment UUID
+   * @param {Object} changes - New values
+   * @param {string} changes.content - Comment content
+   * @param {string} changes.editedAt - ISO timestamp
+   * @param {string} changes.status - Moderation status of the new content
+   * @param {number} changes.spamScore - Spam filter score
+   * @param {Array<string>} changes.spamReasons - Spam filter rules that matched
    * @returns {Promise<void>}
    */
-  async create({ id, content, authorName, createdAt, postId }) {
+  async update(id, { content, editedAt, status, spamScore, spamReasons }) {
     const query = `
-      INSERT INTO comments (id, content, author_name, created_at, post_id)
-      VALUES (?, ?, ?, ?, ?)
+      UPDATE comments
+      SET content = ?, edited_at = ?, status = ?, spam_score = ?, spam_reasons = ?
+      WHERE id = ?
     `;
 
     await this.db
       .prepare(query)
-      .bind(id, content, authorName, createdAt, postId)
+      .bind(
+        content,
+        editedAt,
+        status,
+        spamScore,
+        JSON.stringify(spamReasons),
+        id,
+      )
       .run();
   }
 
+  /**
+   * Soft-delete a comment: its content, author and edit token are cleared but
+   * the row stays so replies keep their parent
+   * @param {string} id - Comment UUID
+   * @param {string} deletedAt - ISO timestamp
+   * @returns {Promise<void>}
+   */
+  async softDelete(id, deletedAt) {
+    const query = `
+      UPDATE comments
+      SET content = '', author_name = '', edit_token_hash = NULL, deleted_at = ?
+      WHERE id = ?
+    `;
+
+    await this.db.prepare(query).bind(deletedAt, id).run();
+  }
+
+  /**
+   * Count comments by the same author on the same post with identical
+   * content, created since a point in time
+   * @param {Object} options - Query options
+   * @param {number} options.postId - Post ID
+   * @param {string} options.authorName - Author name
+   * @param {string} options.content - Trimmed comment content
+   * @param {string} options.since - ISO timestamp
+   * @returns {Promise<number>} Number of matching comments
+   */
+  async countRecentDuplicates({ postId, authorName, content, since }) {
+    const query = `
+      SELECT COUNT(*) as total
+      FROM comments
+      WHERE post_id = ? AND author_name = ? AND created_at >= ?
+        AND TRIM(content) = ?
+    `;
+
+    const result = await this.db
+      .prepare(query)
+      .bind(postId, authorName, since, content)
+      .first();
+    return result.total;
+  }
+
   /**
    * Check if a post exists and is published
    * @param {number} postId - Post ID
@@ -1,93 +1,208 @@
+/**
+ * Columns findAll can select, by the name they have in result rows
+ */
+const LIST_COLUMNS = {
+  id: "p.id",
+  slug: "p.slug",
+  title: "p.title",
+  summary: "p.summary",
+  content: "p.content",
+  created_at: "p.created_at",
+  updated_at: "p.updated_at",
+  views: "p.views",
+  comment_count: `(
+          SELECT COUNT(*)
+          FROM comments c
+          WHERE c.post_id = p.id AND c.status = 'approved'
+            AND c.deleted_at IS NULL
+        ) AS comment_count`,
+};
+
+/**
+ * Columns findAll selects by default
+ */
+export const DEFAULT_LIST_COLUMNS = [
+  "id",
+  "slug",
+  "title",
+  "summary",
+  "created_at",
+  "updated_at",
+  "views",
+];
+
 export class PostRepository {
   constructor(db) {
     this.db = db;
   }
 
+  /**
+   * Build WHERE conditions for list filters
+   * @param {Object} filter - List filter
+   * @param {string|null} filter.tag - Single tag (kept for existing callers)
+   * @param {Array<string>} filter.tags - Tags to match
+   * @param {string} filter.match - "any" (at least one of `tags`) or "all" (every one)
+   * @param {Array<string>} filter.excludeTags - Posts with any of these tags are left out
+   * @param {string|null} filter.createdFrom - Only posts created at or after (ISO timestamp)
+   * @param {string|null} filter.createdBefore - Only posts created before (ISO timestamp)
+   * @returns {{conditions: Array<string>, bindings: Array}} SQL conditions and their bindings
+   */
+  filterConditions({
+    tag = null,
+    tags = [],
+    match = "any",
+    excludeTags = [],
+    createdFrom = null,
+    createdBefore = null,
+  }) {
+    const conditions = [];
+    const bindings = [];
+    const included = [...new Set(tag ? [tag, ...tags] : tags)];
+    const placeholders = (list) => list.map(() => "?").join(", ");
+
+    if (included.length > 0) {
+      const requireAll = match === "all" && included.length > 1;
+      conditions.push(`p.id IN (
+            SELECT pt.post_id
+            FROM post_tags pt
+            INNER JOIN tags t ON pt.tag_id = t.id
+            WHERE t.name IN (${placeholders(included)})${
+              requireAll
+                ? `
+            GROUP BY pt.post_id
+            HAVING COUNT(DISTINCT t.id) = ?`
+                : ""
+            }
+          )`);
+      bindings.push(...included);
+      if (requireAll) {
+        bindings.push(included.length);
+      }
+    }
+
+    if (excludeTags.length > 0) {
+      conditions.push(`p.id NOT IN (
+            SELECT pt.post_id
+            FROM post_tags pt
+            INNER JOIN tags t ON pt.tag_id = t.id
+            WHERE t.name IN (${placeholders(excludeTags)})
+          )`);
+      bindings.push(...excludeTags);
+    }
+
+    if (createdFrom) {
+      conditions.push("p.created_at >= ?");
+      bindings.push(createdFrom);
+    }
+
+    if (createdBefore) {
+      conditions.push("p.created_at < ?");
+      bindings.push(createdBefore);
+    }
+
+    return { conditions, bindings };
+  }
+
   /**
    * Find all published posts with filtering, pagination, and sorting
    * @param {Object} options - Query options
    * @param {string|null} options.tag - Filter by tag name
+   * @param {Array<string>} options.tags - Filter by several tags (see `match`)
+   * @param {string} options.match - "any" or "all" of `tags`
+   * @param {Array<string>} options.excludeTags - Leave out posts with these tags
+   * @param {string|null} options.createdFrom - Only posts created at or after (ISO timestamp)
+   * @param {string|null} options.createdBefore - Only posts created before (ISO timestamp)
    * @param {number} options.offset - Pagination offset
    * @param {number} options.limit - Pagination limit
    * @param {string} options.orderClause - SQL ORDER BY clause (e.g., "created_at DESC")
+   * @param {Array<string>} options.columns - Columns to select (keys of
+   *   LIST_COLUMNS; `comment_count` counts approved comments)
+   * @param {Object|null} options.keyset - Keyset condition: only rows whose
+   *   `(column, id)` compares to `(value, id)` with `operator` ("<" or ">")
    * @returns {Promise<Array>} Array of post objects
    */
   async findAll({
     tag = null,
+    tags = [],
+    match = "any",
+    excludeTags = [],
+    createdFrom = null,
+    createdBefore = null,
     offset = 0,
     limit = 10,
     orderClause = "created_at DESC",
+    columns = DEFAULT_LIST_COLUMNS,
+    keyset = null,
   }) {
-    let query;
-    let bindings;
-
-    if (tag) {
-      query = `
-        SELECT p.id, p.slug, p.title, p.summary, p.created_at, p.updated_at, p.views
-        FROM posts p
-        WHERE p.state = 'published'
-          AND p.id IN (
-            SELECT DISTINCT pt.post_id
-            FROM post_tags pt
-            INNER JOIN tags t ON pt.tag_id = t.id
-            WHERE t.name = ?
-          )
-        ORDER BY ${orderClause}
-        LIMIT ? OFFSET ?
-      `;
-      bindings = [tag, limit, offset];
-    } else {
-      query = `
-        SELECT id, slug, title, summary, created_at, updated_at, views
-        FROM posts
-        WHERE state = 'published'
-        ORDER BY ${orderClause}
-        LIMIT ? OFFSET ?
-      `;
-      bindings = [limit, offset];
+    const filter = this.filterConditions({
+      tag,
+      tags,
+      match,
+      excludeTags,
+      createdFrom,
+      createdBefore,
+    });
+    const conditions = ["p.state = 'published'", ...filter.conditions];
+    const bindings = [...filter.bindings];
+
+    if (keyset) {
+      conditions.push(`(${keyset.column}, p.id) ${keyset.operator} (?, ?)`);
+      bindings.push(keyset.value, keyset.id);
     }
 
+    const query = `
+      SELECT ${[...new Set(columns)].map((column) => LIST_COLUMNS[column]).join(", ")}
+      FROM posts p
+      WHERE ${conditions.join("\n        AND ")}
+      ORDER BY ${orderClause}
+      LIMIT ? OFFSET ?
+    `;
+
     const result = await this.db
       .prepare(query)
-      .bind(...bindings)
+      .bind(...bindings, limit, offset)
       .all();
     return result.results;
   }
 
   /**
-   * Count total published posts with optional tag filter
-   * @param {string|null} tag - Filter by tag name
+   * Count total published posts with optional filters
+   * @param {Object} options - Filters, as for findAll (tag, tags, match,
+   *   excludeTags, createdFrom, createdBefore)
    * @returns {Promise<number>} Total count
    */
-  async count(tag = null) {
-    let query;
-    let bindings;
-
-    if (tag) {
-      query = `
-        SELECT COUNT(DISTINCT p.id) as total
-        FROM posts p
-        INNER JOIN post_tags pt ON p.id = pt.post_id
-        INNER JOIN tags t ON pt.tag_id = t.id
-        WHERE t.name = ? AND p.state = 'published'
-      `;
-      bindings = [tag];
-    } else {
-      query = `
-        SELECT COUNT(*) as total
-        FROM posts
-        WHERE state = 'published'
-      `;
-      bindings = [];
-    }
+  async count(options = {}) {
+    const filter = this.filterConditions(options);
+    const conditions = ["p.state = 'published'", ...filter.conditions];
+
+    const query = `
+      SELECT COUNT(*) as total
+      FROM posts p
+      WHERE ${conditions.join("\n        AND ")}
+    `;
 
     const result = await this.db
       .prepare(query)
-      .bind(...bindings)
+      .bind(...filter.bindings)
       .first();
     return result.total;
   }
 
+  /**
+   * Find creation and update times of all published posts
+   * @returns {Promise<Array>} Array of { created_at, updated_at }
+   */
+  async findPublishedDates() {
+    const query = `
+      SELECT created_at, updated_at
+      FROM posts
+      WHERE state = 'published'
+    `;
+
+    const result = await this.db.prepare(query).all();
+    return result.results;
+  }
+
   /**
    * Find post by slug
    * @param {string} slug - Post slug
@@ -104,6 +219,48 @@ export class PostRepository {
     return result;
   }
 
+  /**
+   * Find the published posts immediately before and after a post in
+   * publication order (created_at, then id)
+   * @param {Object} post - Post row with `id` and `created_at`
+   * @param {string|null} tag - Only consider posts with this tag
+   * @returns {Promise<{previous: Object|null, next: Object|null}>} Older and newer neighbor
+   */
+  async findNeighbors(post, tag = null) {
+    const tagClause = tag
+      ? `
+        AND p.id IN (
+          SELECT pt.post_id
+          FROM post_tags pt
+          INNER JOIN tags t ON pt.tag_id = t.id
+          WHERE t.name = ?
+        )`
+      : "";
+    const tagBindings = tag ? [tag] : [];
+
+    const neighborQuery = (operator, direction) => `
+      SELECT p.id, p.slug, p.title, p.created_at
+      FROM posts p
+      WHERE p.state = 'published'
+        AND (p.created_at, p.id) ${operator} (?, ?)${tagClause}
+      ORDER BY p.created_at ${direction}, p.id ${direction}
+      LIMIT 1
+    `;
+
+    const [previous, next] = await Promise.all([
+      this.db
+        .prepare(neighborQuery("<", "DESC"))
+        .bind(post.created_at, post.id, ...tagBindings)
+        .first(),
+      this.db
+        .prepare(neighborQuery(">", "ASC"))
+        .bind(post.created_at, post.id, ...tagBindings)
+        .first(),
+    ]);
+
+    return { previous: previous ?? null, next: next ?? null };
+  }
+
   /**
    * Find post by ID
    * @param {number} id - Post ID
@@ -121,22 +278,154 @@ export class PostRepository {
   }
 
   /**
-   * Increment view count for a post
-   * @param {number} id - Post ID
-   * @returns {Promise<void>}
+   * Record a visitor's view of a post in one batch (a single transaction).
+   * The fingerprint is stored once per dedup window; only when it is new are
+   * the lifetime total and the daily count incremented. Without a
+   * fingerprint, every view of a published post is counted. Views of posts
+   * that are not published leave every table untouched.
+   * @param {Object} view - View details
+   * @param {number} view.postId - Post ID
+   * @param {string|null} view.fingerprint - Hashed visitor fingerprint
+   * @param {string} view.viewedAt - ISO timestamp
+   * @param {string} view.day - Day in the site time zone (YYYY-MM-DD)
+   * @returns {Promise<{counted: boolean, views: number}>} Whether the view
+   *   was counted, and the lifetime total
    */
-  async incrementViews(id) {
-    const query = `
-      UPDATE posts
+  async recordView({ postId, fingerprint, viewedAt, day }) {
+    const published = `EXISTS (
+          SELECT 1 FROM posts WHERE id = ? AND state = 'published'
+        )`;
+    const statements = [];
+    let firstView = published;
+    let view = [postId];
+
+    if (fingerprint !== null) {
+      // The fingerprint row carries this view's timestamp only if it was
+      // inserted just now, which it only is for a published post
+      firstView = `EXISTS (
+          SELECT 1 FROM post_view_fingerprints
+          WHERE post_id = ? AND fingerprint = ? AND viewed_at = ?
+        )`;
+      view = [postId, fingerprint, viewedAt];
+      statements.push(
+        this.db
+          .prepare(
+            `INSERT OR IGNORE INTO post_view_fingerprints (post_id, fingerprint, viewed_at)
+      SELECT ?, ?, ? WHERE ${published}`,
+          )
+          .bind(...view, postId),
+      );
+    }
+
+    const results = await this.db.batch([
+      ...statements,
+      this.db
+        .prepare(
+          `UPDATE posts
       SET views = views + 1
-      WHERE id = ? AND state = 'published'
+      WHERE id = ? AND state = 'published' AND ${firstView}`,
+        )
+        .bind(postId, ...view),
+      this.db
+        .prepare(
+          `INSERT INTO post_view_daily (post_id, day, views)
+      SELECT ?, ?, 1 WHERE ${firstView}
+      ON CONFLICT (post_id, day) DO UPDATE SET views = views + 1`,
+        )
+        .bind(postId, day, ...view),
+      this.db.prepare("SELECT views FROM posts WHERE id = ?").bind(postId),
+    ]);
+
+    // The first statement is the fingerprint insert, or the views update
+    return {
+      counted: results[0].meta.changes > 0,
+      views: results.at(-1).results[0]?.views ?? 0,
+    };
+  }
+
+  /**
+   * Delete view fingerprints recorded before a point in time
+   * @param {string} before - ISO timestamp
+   * @returns {Promise<number>} Number of deleted rows
+   */
+  async deleteViewFingerprintsBefore(before) {
+    const query = `
+      DELETE FROM post_view_fingerprints
+      WHERE viewed_at < ?
+    `;
+
+    const result = await this.db.prepare(query).bind(before).run();
+    return result.meta.changes;
+  }
+
+  /**
+   * Delete daily view totals of days before a cutoff
+   * @param {string} before - Day (YYYY-MM-DD, site time zone), exclusive
+   * @returns {Promise<number>} Number of deleted rows
+   */
+  async deleteDailyViewsBefore(before) {
+    const query = `
+      DELETE FROM post_view_daily
+      WHERE day < ?
+    `;
+
+    const result = await this.db.prepare(query).bind(before).run();
+    return result.meta.changes;
+  }
+
+  /**
+   * Get a post's daily view totals in a date range (days without views are omitted)
+   * @param {number} postId - Post ID
+   * @param {string} from - First day (YYYY-MM-DD), inclusive
+   * @param {string} to - Last day (YYYY-MM-DD), inclusive
+   * @returns {Promise<Array<{day: string, views: number}>>} Rows in ascending day order
+   */
+  async findDailyViews(postId, from, to) {
+    const query = `
+      SELECT day, views
+      FROM post_view_daily
+      WHERE post_id = ? AND day >= ? AND day <= ?
+      ORDER BY day
+    `;
+
+    const result = await this.db.prepare(query).bind(postId, from, to).all();
+    return result.results;
+  }
+
+  /**
+   * Find published posts ranked by time-decayed daily views. A day's views
+   * are weighted halfLife / (halfLife + age in days), so views from
+   * `halfLifeDays` ago count half as much as today's.
+   * @param {Object} options - Query options
+   * @param {string} options.since - First day of the window (YYYY-MM-DD, site time zone)
+   * @param {string} options.today - Current day (YYYY-MM-DD, site time zone)
+   * @param {number} options.halfLifeDays - Age at which views count half
+   * @param {number} options.limit - Maximum number of posts
+   * @returns {Promise<Array>} Array of post objects with `score` and `recent_views`
+   */
+  async findTrending({ since, today, halfLifeDays, limit }) {
+    const query = `
+      SELECT p.id, p.slug, p.title, p.summary, p.created_at, p.updated_at, p.views,
+        SUM(d.views) as recent_views,
+        SUM(d.views * ? / (? + julianday(?) - julianday(d.day))) as score
+      FROM post_view_daily d
+      INNER JOIN posts p ON p.id = d.post_id
+      WHERE d.day >= ?
+        AND p.state = 'published'
+      GROUP BY p.id
+      ORDER BY score DESC, recent_views DESC, p.created_at DESC, p.id DESC
+      LIMIT ?
     `;
 
-    await this.db.prepare(query).bind(id).run();
+    const result = await this.db
+      .prepare(query)
+      .bind(halfLifeDays, halfLifeDays, today, since, limit)
+      .all();
+    return result.results;
   }
 
   /**
-   * Get current view count for a post
+   * Get current view count for a published post
    * @param {number} id - Post ID
    * @returns {Promise<number|null>} View count or null if not found
    */
@@ -144,7 +433,7 @@ export class PostRepository {
     const query = `
       SELECT views
       FROM posts
-      WHERE id = ?
+      WHERE id = ? AND state = 'published'
     `;
 
     const result = await this.db.prepare(query).bind(id).first();
@@ -169,6 +458,67 @@ export class PostRepository {
     return result.results.map((t) => t.name);
   }
 
+  /**
+   * Find published posts sharing tags with a post, ranked by tag overlap.
+   * Each shared tag scores 1 / post_count, so rare tags count more than
+   * common ones; ties go to newer, then more viewed posts.
+   * @param {number} postId - Post to find related posts for (excluded)
+   * @param {Array<string>} tagNames - Tag names of that post
+   * @param {number} limit - Maximum number of posts
+   * @returns {Promise<Array>} Array of post objects with `score`
+   */
+  async findRelated(postId, tagNames, limit = 5) {
+    if (!tagNames || tagNames.length === 0) {
+      return [];
+    }
+
+    const placeholders = tagNames.map(() => "?").join(", ");
+    const query = `
+      SELECT p.id, p.slug, p.title, p.summary, p.created_at, p.updated_at, p.views,
+        SUM(1.0 / MAX(t.post_count, 1)) as score
+      FROM tags t
+      INNER JOIN post_tags pt ON pt.tag_id = t.id
+      INNER JOIN posts p ON p.id = pt.post_id
+      WHERE t.name IN (${placeholders})
+        AND p.id <> ?
+        AND p.state = 'published'
+      GROUP BY p.id
+      ORDER BY score DESC, p.created_at DESC, p.views DESC, p.id DESC
+      LIMIT ?
+    `;
+
+    const result = await this.db
+      .prepare(query)
+      .bind(...tagNames, postId, limit)
+      .all();
+    return result.results;
+  }
+
+  /**
+   * Get the content of multiple posts (batch operation)
+   * @param {Array<number>} postIds - Array of post IDs
+   * @returns {Promise<Map<number, string>>} Map of postId to Markdown content
+   */
+  async getContentForPosts(postIds) {
+    if (!postIds || postIds.length === 0) {
+      return new Map();
+    }
+
+    const placeholders = postIds.map(() => "?").join(",");
+    const query = `
+      SELECT id, content
+      FROM posts
+      WHERE id IN (${placeholders})
+    `;
+
+    const result = await this.db
+      .prepare(query)
+      .bind(...postIds)
+      .all();
+
+    return new Map(result.results.map((row) => [row.id, row.content]));
+  }
+
   /**
    * Get tags for multiple posts (batch operation)
    * @param {Array<number>} postIds - Array of post IDs
@@ -0,0 +1,403 @@
+/**
+ * Control characters wrapped around matched terms by snippet(); the service
+ * swaps them for <mark> tags after HTML-escaping the snippet text.
+ */
+export const SNIPPET_MATCH_START = "\u0002";
+export const SNIPPET_MATCH_END = "\u0003";
+
+export class SearchRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Build the optional tag filter shared by search and count queries
+   * @param {string|null} tag - Filter by tag name
+   * @returns {{clause: string, bindings: Array}} SQL fragment and its bindings
+   */
+  tagFilter(tag) {
+    if (!tag) {
+      return { clause: "", bindings: [] };
+    }
+
+    return {
+      clause: `
+          AND p.id IN (
+            SELECT DISTINCT pt.post_id
+            FROM post_tags pt
+            INNER JOIN tags t ON pt.tag_id = t.id
+            WHERE t.name = ?
+          )`,
+      bindings: [tag],
+    };
+  }
+
+  /**
+   * Full-text search over published posts, best matches first
+   * @param {Object} options - Query options
+   * @param {string} options.match - FTS5 match expression
+   * @param {string|null} options.tag - Filter by tag name
+   * @param {number} options.offset - Pagination offset
+   * @param {number} options.limit - Pagination limit
+   * @returns {Promise<Array>} Array of post objects with `snippet` and `rank`
+   */
+  async search({ match, tag = null, offset = 0, limit = 10 }) {
+    const filter = this.tagFilter(tag);
+
+    // bm25 column weights: title, summary, content
+    const query = `
+      SELECT p.id, p.slug, p.title, p.summary, p.created_at, p.updated_at, p.views,
+        snippet(posts_fts, -1, char(2), char(3), '…', 16) as snippet,
+        bm25(posts_fts, 10.0, 5.0, 1.0) as rank
+      FROM posts_fts
+      INNER JOIN posts p ON p.id = posts_fts.rowid
+      WHERE posts_fts MATCH ?
+        AND p.state = 'published'${filter.clause}
+      ORDER BY rank ASC, p.created_at DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    const result = await this.db
+      .prepare(query)
+      .bind(match, ...filter.bindings, limit, offset)
+      .all();
+    return result.results;
+  }
+
+  /**
+   * Count published posts matching a full-text query
+   * @param {Object} options - Query options
+   * @param {string} options.match - FTS5 match expression
+   * @param {string|null} options.tag - Filter by tag name
+   * @returns {Promise<number>} Total count
+   */
+  async count({ match, tag = null }) {
+    const filter = this.tagFilter(tag);
+
+    const query = `
+      SELECT COUNT(*) as total
+      FROM posts_fts
+      INNER JOIN posts p ON p.id = posts_fts.rowid
+      WHERE posts_fts MATCH ?
+        AND p.state = 'published'${filter.clause}
+    `;
+
+    const result = await this.db
+      .prepare(query)
+      .bind(match, ...filter.bindings)
+      .first();
+    return result.total;
+  }
+
+  /**
+   * Search the Hangul n-gram index over published posts, best matches first
+   * @param {Object} options - Query options
+   * @param {string} options.match - FTS5 match expression over n-gram tokens
+   * @param {string|null} options.tag - Filter by tag name
+   * @param {number} options.offset - Pagination offset
+   * @param {number} options.limit - Pagination limit
+   * @returns {Promise<Array>} Array of post objects including `content` and `rank`
+   */
+  async searchNgram({ match, tag = null, offset = 0, limit = 10 }) {
+    const filter = this.tagFilter(tag);
+
+    // bm25 column weights: title, body (summary + content)
+    const query = `
+      SELECT p.id, p.slug, p.title, p.summary, p.content, p.created_at, p.updated_at, p.views,
+        bm25(posts_ngram, 5.0, 1.0) as rank
+      FROM posts_ngram
+      INNER JOIN posts p ON p.id = posts_ngram.rowid
+      WHERE posts_ngram MATCH ?
+        AND p.state = 'published'${filter.clause}
+      ORDER BY rank ASC, p.created_at DESC
+      LIMIT ? OFFSET ?
+    `;
+
+    const result = await this.db
+      .prepare(query)
+      .bind(match, ...filter.bindings, limit, offset)
+      .all();
+    return result.results;
+  }
+
+  /**
+   * Count published posts matching an n-gram index query
+   * @param {Object} options - Query options
+   * @param {string} options.match - FTS5 match expression over n-gram tokens
+   * @param {string|null} options.tag - Filter by tag name
+   * @returns {Promise<number>} Total count
+   */
+  async countNgram({ match, tag = null }) {
+    const filter = this.tagFilter(tag);
+
+    const query = `
+      SELECT COUNT(*) as total
+      FROM posts_ngram
+      INNER JOIN posts p ON p.id = posts_ngram.rowid
+      WHERE posts_ngram MATCH ?
+        AND p.state = 'published'${filter.clause}
+    `;
+
+    const result = await this.db
+      .prepare(query)
+      .bind(match, ...filter.bindings)
+      .first();
+    return result.total;
+  }
+
+  /**
+   * Find published posts missing from the n-gram index or changed since indexing
+   * @param {number} limit - Maximum number of posts to return
+   * @returns {Promise<Array>} Array of post objects
+   */
+  async findStaleNgramPosts(limit = 50) {
+    const query = `
+      SELECT p.id, p.title, p.summary, p.content,
+        COALESCE(p.updated_at, p.created_at) as indexed_updated_at
+      FROM posts p
+      LEFT JOIN posts_ngram_state s ON s.post_id = p.id
+      WHERE p.state = 'published'
+        AND (s.post_id IS NULL OR s.indexed_updated_at <> COALESCE(p.updated_at, p.created_at))
+      ORDER BY p.id ASC
+      LIMIT ?
+    `;
+
+    const result = await this.db.prepare(query).bind(limit).all();
+    return result.results;
+  }
+
+  /**
+   * Find indexed posts that were deleted or unpublished
+   * @returns {Promise<Array<number>>} Array of post IDs
+   */
+  async findOrphanedNgramPostIds() {
+    const query = `
+      SELECT s.post_id
+      FROM posts_ngram_state s
+      LEFT JOIN posts p ON p.id = s.post_id AND p.state = 'published'
+      WHERE p.id IS NULL
+    `;
+
+    const result = await this.db.prepare(query).all();
+    return result.results.map((row) => row.post_id);
+  }
+
+  /**
+   * Replace the n-gram index and suggestion entries of the given posts
+   * @param {Array<Object>} entries - Index entries
+   * @param {number} entries[].postId - Post ID
+   * @param {string} entries[].title - Tokenized title
+   * @param {string} entries[].body - Tokenized summary and content
+   * @param {string} entries[].indexedUpdatedAt - Post `updated_at` at indexing time
+   * @param {Array<Object>} entries[].suggestionKeys - Title keys from toSuggestionKeys
+   * @returns {Promise<void>}
+   */
+  async saveNgramEntries(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    const statements = entries.flatMap(
+      ({ postId, title, body, indexedUpdatedAt, suggestionKeys }) => [
+        this.db.prepare("DELETE FROM posts_ngram WHERE rowid = ?").bind(postId),
+        this.db
+          .prepare(
+            "INSERT INTO posts_ngram (rowid, title, body) VALUES (?, ?, ?)",
+          )
+          .bind(postId, title, body),
+        this.db
+          .prepare(
+            `INSERT INTO posts_ngram_state (post_id, indexed_updated_at) VALUES (?, ?)
+             ON CONFLICT (post_id) DO UPDATE SET indexed_updated_at = excluded.indexed_updated_at`,
+          )
+          .bind(postId, indexedUpdatedAt),
+        this.db
+          .prepare("DELETE FROM search_suggestions WHERE post_id = ?")
+          .bind(postId),
+        this.insertSuggestionKeys("post_id", postId, suggestionKeys),
+      ],
+    );
+
+    await this.db.batch(statements);
+  }
+
+  /**
+   * Remove posts from the n-gram and suggestion indexes
+   * @param {Array<number>} postIds - Post IDs to remove
+   * @returns {Promise<void>}
+   */
+  async removeNgramEntries(postIds) {
+    if (postIds.length === 0) {
+      return;
+    }
+
+    const statements = postIds.flatMap((postId) => [
+      this.db.prepare("DELETE FROM posts_ngram WHERE rowid = ?").bind(postId),
+      this.db
+        .prepare("DELETE FROM posts_ngram_state WHERE post_id = ?")
+        .bind(postId),
+      this.db
+        .prepare("DELETE FROM search_suggestions WHERE post_id = ?")
+        .bind(postId),
+    ]);
+
+    await this.db.batch(statements);
+  }
+
+  /**
+   * Find autocomplete suggestions: active tags and published posts with a
+   * suggestion key matching the query, earliest match first, then the most
+   * popular and the shortest
+   * @param {Object} options - Query options
+   * @param {string} options.initials - Prefix every matching key's `initials` starts with
+   * @param {string} options.pattern - GLOB pattern matching `term` exactly
+   * @param {number} options.limit - Maximum number of suggestions
+   * @returns {Promise<Array>} Rows with `type`, `label`, `id`, `slug` and `post_count`
+   */
+  async findSuggestions({ initials, pattern, limit }) {
+    // `initials` ranges over [prefix, prefix + U+10FFFF) to use its index
+    const query = `
+      SELECT type, label, id, slug, post_count
+      FROM (
+        SELECT 'tag' as type, t.name as label, NULL as id, NULL as slug,
+          t.post_count, t.post_count as popularity, MIN(s.position) as position
+        FROM search_suggestions s
+        INNER JOIN tags t ON t.id = s.tag_id
+        WHERE s.initials >= ? AND s.initials < ? AND s.term GLOB ?
+          AND t.post_count > 0
+        GROUP BY t.id
+        UNION ALL
+        SELECT 'post' as type, p.title as label, p.id, p.slug,
+          NULL as post_count, p.views as popularity, MIN(s.position) as position
+        FROM search_suggestions s
+        INNER JOIN posts p ON p.id = s.post_id
+        WHERE s.initials >= ? AND s.initials < ? AND s.term GLOB ?
+          AND p.state = 'published'
+        GROUP BY p.id
+      )
+      ORDER BY position ASC, popularity DESC, length(label) ASC
+      LIMIT ?
+    `;
+
+    const match = [initials, `${initials}\u{10FFFF}`, pattern];
+    const result = await this.db
+      .prepare(query)
+      .bind(...match, ...match, limit)
+      .all();
+    return result.results;
+  }
+
+  /**
+   * Build the statements inserting suggestion keys for a post or tag
+   * @param {string} column - "post_id" or "tag_id"
+   * @param {number} id - Post or tag ID
+   * @param {Array<Object>} keys - Keys from toSuggestionKeys
+   * @returns {Object} Prepared statement
+   */
+  insertSuggestionKeys(column, id, keys) {
+    // One statement per label, whatever its length (D1 limits bound parameters)
+    return this.db
+      .prepare(
+        `INSERT INTO search_suggestions (${column}, position, term, initials)
+         SELECT ?, json_extract(value, '$.position'), json_extract(value, '$.term'),
+           json_extract(value, '$.initials')
+         FROM json_each(?)`,
+      )
+      .bind(id, JSON.stringify(keys));
+  }
+
+  /**
+   * Find tags missing from the suggestion index or renamed since indexing
+   * @param {number} limit - Maximum number of tags to return
+   * @returns {Promise<Array>} Array of tag objects with `id` and `name`
+   */
+  async findStaleSuggestionTags(limit = 50) {
+    const query = `
+      SELECT t.id, t.name
+      FROM tags t
+      LEFT JOIN search_suggestion_tags s ON s.tag_id = t.id
+      WHERE s.tag_id IS NULL OR s.indexed_name <> t.name
+      ORDER BY t.id ASC
+      LIMIT ?
+    `;
+
+    const result = await this.db.prepare(query).bind(limit).all();
+    return result.results;
+  }
+
+  /**
+   * Find indexed tags that were deleted
+   * @returns {Promise<Array<number>>} Array of tag IDs
+   */
+  async findOrphanedSuggestionTagIds() {
+    const query = `
+      SELECT s.tag_id
+      FROM search_suggestion_tags s
+      LEFT JOIN tags t ON t.id = s.tag_id
+      WHERE t.id IS NULL
+    `;
+
+    const result = await this.db.prepare(query).all();
+    return result.results.map((row) => row.tag_id);
+  }
+
+  /**
+   * Replace the suggestion keys of the given tags
+   * @param {Array<Object>} entries - Index entries
+   * @param {number} entries[].tagId - Tag ID
+   * @param {string} entries[].name - Tag name at indexing time
+   * @param {Array<Object>} entries[].suggestionKeys - Keys from toSuggestionKeys
+   * @returns {Promise<void>}
+   */
+  async saveTagSuggestions(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    const statements = entries.flatMap(({ tagId, name, suggestionKeys }) => [
+      this.db
+        .prepare("DELETE FROM search_suggestions WHERE tag_id = ?")
+        .bind(tagId),
+      this.insertSuggestionKeys("tag_id", tagId, suggestionKeys),
+      this.db
+        .prepare(
+          `INSERT INTO search_suggestion_tags (tag_id, indexed_name) VALUES (?, ?)
+           ON CONFLICT (tag_id) DO UPDATE SET indexed_name = excluded.indexed_name`,
+        )
+        .bind(tagId, name),
+    ]);
+
+    await this.db.batch(statements);
+  }
+
+  /**
+   * Remove tags from the suggestion index
+   * @param {Array<number>} tagIds - Tag IDs to remove
+   * @returns {Promise<void>}
+   */
+  async removeTagSuggestions(tagIds) {
+    if (tagIds.length === 0) {
+      return;
+    }
+
+    const statements = tagIds.flatMap((tagId) => [
+      this.db
+        .prepare("DELETE FROM search_suggestions WHERE tag_id = ?")
+        .bind(tagId),
+      this.db
+        .prepare("DELETE FROM search_suggestion_tags WHERE tag_id = ?")
+        .bind(tagId),
+    ]);
+
+    await this.db.batch(statements);
+  }
+}
+
+/**
+ * Factory function to create SearchRepository
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {SearchRepository}
+ */
+export function createSearchRepository(env) {
+  return new SearchRepository(env.DB);
+}
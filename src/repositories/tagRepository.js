@@ -34,6 +34,41 @@ export class TagRepository {
     const result = await this.db.prepare(query).all();
     return result.results.map((post) => post.slug);
   }
+
+  /**
+   * Find all published posts with their modification dates for the XML sitemap
+   * @returns {Promise<Array>} Array of { slug, created_at, updated_at }
+   */
+  async findAllPublishedForSitemap() {
+    const query = `
+      SELECT slug, created_at, updated_at
+      FROM posts
+      WHERE state = 'published'
+      ORDER BY created_at DESC
+    `;
+
+    const result = await this.db.prepare(query).all();
+    return result.results;
+  }
+
+  /**
+   * Find active tags with the latest update among their published posts
+   * @returns {Promise<Array>} Array of { name, lastmod }
+   */
+  async findActiveWithLastmod() {
+    const query = `
+      SELECT t.name, MAX(COALESCE(p.updated_at, p.created_at)) as lastmod
+      FROM tags t
+      INNER JOIN post_tags pt ON t.id = pt.tag_id
+      INNER JOIN posts p ON pt.post_id = p.id
+      WHERE p.state = 'published'
+      GROUP BY t.id, t.name
+      ORDER BY t.name ASC
+    `;
+
+    const result = await this.db.prepare(query).all();
+    return result.results;
+  }
 }
 
 /**
@@ -1,34 +1,565 @@
 import { errorResponse } from "./utils/response.js";
-import { toAPIError } from "./utils/errors.js";
-import { createLogger } from "./utils/logger.js";
+import { ValidationError } from "./utils/errors.js";
+import { compose } from "./middleware/compose.js";
+import { assignRequestId } from "./middleware/requestId.js";
+import { logRequests } from "./middleware/logging.js";
+import { cors } from "./middleware/cors.js";
+import { headRequests } from "./middleware/head.js";
+import { handleErrors } from "./middleware/errors.js";
+import { rateLimit } from "./middleware/rateLimit.js";
+import { parseJsonBody } from "./middleware/body.js";
+import { validateInput } from "./middleware/validation.js";
+import { conditionalRequests, responseCache } from "./middleware/cache.js";
+import { requireBearerSecret } from "./middleware/auth.js";
 import {
   handleGetPosts,
   handleGetPostBySlug,
+  handleGetRelatedPosts,
+  handleGetTrendingPosts,
+  handleGetPostStats,
   handleIncrementViews,
 } from "./handlers/posts.js";
-import { handleGetComments, handleCreateComment } from "./handlers/comments.js";
+import {
+  handleGetComments,
+  handleCreateComment,
+  handleUpdateComment,
+  handleDeleteComment,
+} from "./handlers/comments.js";
 import { handleGetTags } from "./handlers/tags.js";
-import { handleGetSitemap } from "./handlers/sitemap.js";
+import {
+  handleGetSitemap,
+  handleGetSitemapXml,
+  handleGetSitemapIndex,
+  handleGetSitemapPage,
+} from "./handlers/sitemap.js";
+import {
+  handleGetRssFeed,
+  handleGetAtomFeed,
+  handleGetJsonFeed,
+} from "./handlers/feed.js";
+import { handleSearch, handleSearchSuggest } from "./handlers/search.js";
+import { handleCachePurge } from "./handlers/cache.js";
+import { handleGetArchive, handleGetArchivePosts } from "./handlers/archive.js";
+import { createDocsHandlers } from "./handlers/docs.js";
+import { ref } from "./utils/openapi.js";
+import { objectSchema } from "./utils/schema.js";
+import {
+  CREATE_COMMENT_SCHEMA,
+  UPDATE_COMMENT_SCHEMA,
+  CACHE_PURGE_SCHEMA,
+  MAX_PAGE_SIZE,
+  MAX_FILTER_TAGS,
+} from "./utils/validation.js";
+import { STATS_GRANULARITIES } from "./utils/stats.js";
+import { FEED_MODES } from "./services/feedService.js";
+import { SEARCH_MODES } from "./services/searchService.js";
+import { COMMENT_FORMATS } from "./services/commentService.js";
+import {
+  POST_FIELDS,
+  POST_INCLUDES,
+  RENDER_MODES,
+  SORT_FIELDS,
+  SORT_DIRECTIONS,
+} from "./services/postService.js";
+
+const docsHandlers = createDocsHandlers(() => routes);
 
+const pageProperties = {
+  page: {
+    type: "integer",
+    minimum: 0,
+    default: 0,
+    description: "Page number (0-indexed)",
+  },
+  size: {
+    type: "integer",
+    minimum: 1,
+    maximum: MAX_PAGE_SIZE,
+    default: 10,
+    description: "Items per page",
+  },
+};
+const listProperties = {
+  ...pageProperties,
+  sort: {
+    type: "string",
+    pattern: `^(${SORT_FIELDS.join("|")})(,(${SORT_DIRECTIONS.join("|")}))?$`,
+    default: "createdAt,desc",
+    errorMessage: `sort must be one of ${SORT_FIELDS.join(", ")}, optionally followed by ,${SORT_DIRECTIONS.join(" or ,")}`,
+    description: `Sort field (${SORT_FIELDS.join(", ")}) and direction`,
+  },
+  cursor: {
+    type: "string",
+    description: "nextCursor/prevCursor of a previous page (replaces page)",
+  },
+  fields: {
+    type: "array",
+    items: { enum: POST_FIELDS },
+    minItems: 1,
+    description:
+      "Comma-separated fields of each post (default: all, with tags)",
+  },
+  include: {
+    type: "array",
+    items: { enum: POST_INCLUDES },
+    description: "Comma-separated related data to embed in each post",
+  },
+};
+const tagList = (description) => ({
+  type: "array",
+  items: { type: "string" },
+  maxItems: MAX_FILTER_TAGS,
+  description,
+});
+const postIdParams = objectSchema(
+  { postId: { type: "integer", minimum: 1, description: "Post ID" } },
+  ["postId"],
+);
+const commentParams = objectSchema(
+  {
+    ...postIdParams.properties,
+    commentId: { type: "string", minLength: 1, description: "Comment ID" },
+  },
+  ["postId", "commentId"],
+);
+const yearParam = {
+  type: "integer",
+  minimum: 1000,
+  maximum: 9999,
+  description: "Four-digit year",
+};
+const feedQuery = objectSchema({
+  tag: { type: "string", description: "Only posts with this tag" },
+  mode: {
+    enum: FEED_MODES,
+    description: "Item content (default FEED_CONTENT_MODE)",
+  },
+});
+const xmlResponse = { contentType: "application/xml" };
+
+/**
+ * Route table. Besides its handler, a route may declare `middleware` (see
+ * middleware/compose.js) and JSON Schemas for its path `params`, `query` and
+ * JSON `body` (see utils/schema.js); the router validates and converts them
+ * before the handler runs, and the OpenAPI document publishes them along
+ * with `docs` (see utils/openapi.js).
+ */
 const routes = [
-  { pattern: "GET /posts", handler: handleGetPosts },
-  { pattern: "GET /posts/:slug", handler: handleGetPostBySlug },
-  { pattern: "PATCH /posts/:postId/views", handler: handleIncrementViews },
-  { pattern: "GET /comments/:postId", handler: handleGetComments },
-  { pattern: "POST /comments/:postId", handler: handleCreateComment },
-  { pattern: "GET /tags", handler: handleGetTags },
-  { pattern: "GET /sitemap", handler: handleGetSitemap },
+  {
+    pattern: "GET /posts",
+    handler: handleGetPosts,
+    query: objectSchema({
+      tag: { type: "string", description: "Filter by tag" },
+      tags: tagList("Comma-separated tags, see match"),
+      match: {
+        enum: ["any", "all"],
+        default: "any",
+        description: "Whether posts need any or all of tags",
+      },
+      excludeTags: tagList("Comma-separated tags to leave out"),
+      ...listProperties,
+    }),
+    docs: {
+      tag: "Posts",
+      summary: "List published posts",
+      response: ref("PostPage"),
+      errors: [400],
+    },
+  },
+  {
+    pattern: "GET /posts/trending",
+    handler: handleGetTrendingPosts,
+    query: objectSchema({
+      window: {
+        type: "string",
+        pattern: "^\\d+d$",
+        default: "7d",
+        description:
+          "Days of views to rank by (up to TRENDING_MAX_WINDOW_DAYS)",
+      },
+      limit: {
+        type: "integer",
+        minimum: 1,
+        maximum: 50,
+        default: 10,
+        description: "Number of posts",
+      },
+    }),
+    docs: {
+      tag: "Posts",
+      summary: "Posts ranked by recent, time-decayed views",
+      response: ref("TrendingPosts"),
+      errors: [400],
+    },
+  },
+  {
+    pattern: "GET /posts/:slug",
+    handler: handleGetPostBySlug,
+    params: objectSchema(
+      {
+        slug: {
+          type: "string",
+          description: "Post slug, or numeric ID (redirects to the slug URL)",
+        },
+      },
+      ["slug"],
+    ),
+    query: objectSchema({
+      include: {
+        type: "array",
+        items: { enum: ["neighbors"] },
+        description: "Add previous/next post links",
+      },
+      tag: {
+        type: "string",
+        description: "Navigate only between posts with this tag",
+      },
+      render: {
+        enum: RENDER_MODES,
+        description: "Add sanitized contentHtml and toc",
+      },
+    }),
+    docs: {
+      tag: "Posts",
+      summary: "Get a published post",
+      response: ref("Post"),
+      responses: { 301: "Numeric ID: redirect to the slug URL" },
+      errors: [400, 404],
+    },
+  },
+  {
+    pattern: "GET /posts/:slug/related",
+    handler: handleGetRelatedPosts,
+    params: objectSchema(
+      { slug: { type: "string", description: "Post slug or ID" } },
+      ["slug"],
+    ),
+    query: objectSchema({
+      limit: {
+        type: "integer",
+        minimum: 1,
+        maximum: 20,
+        description: "Number of posts (default RELATED_POSTS_LIMIT or 5)",
+      },
+    }),
+    docs: {
+      tag: "Posts",
+      summary: "Posts related by shared tags",
+      response: { type: "array", items: ref("PostSummary") },
+      errors: [400, 404],
+    },
+  },
+  {
+    pattern: "GET /posts/:postId/stats",
+    handler: handleGetPostStats,
+    params: postIdParams,
+    query: objectSchema({
+      from: {
+        type: "string",
+        format: "date",
+        description: "First day (default: 29 days before to)",
+      },
+      to: {
+        type: "string",
+        format: "date",
+        description: "Last day (default: today)",
+      },
+      granularity: {
+        enum: STATS_GRANULARITIES,
+        default: "day",
+        description: "Series period",
+      },
+    }),
+    docs: {
+      tag: "Posts",
+      summary: "Views of a post over time",
+      response: ref("PostStats"),
+      errors: [400, 404],
+    },
+  },
+  {
+    pattern: "PATCH /posts/:postId/views",
+    handler: handleIncrementViews,
+    params: postIdParams,
+    docs: {
+      tag: "Posts",
+      summary: "Count a unique view of a post",
+      response: ref("ViewCount"),
+      errors: [400, 404],
+    },
+  },
+  {
+    pattern: "GET /comments/:postId",
+    handler: handleGetComments,
+    params: postIdParams,
+    query: objectSchema({
+      format: {
+        enum: COMMENT_FORMATS,
+        default: "tree",
+        description: "Nested replies or a flat list",
+      },
+    }),
+    docs: {
+      tag: "Comments",
+      summary: "List approved comments of a post",
+      response: { type: "array", items: ref("Comment") },
+      errors: [400, 404],
+    },
+  },
+  {
+    pattern: "POST /comments/:postId",
+    handler: handleCreateComment,
+    params: postIdParams,
+    body: CREATE_COMMENT_SCHEMA,
+    docs: {
+      tag: "Comments",
+      summary: "Create a comment or reply",
+      response: ref("CreatedComment"),
+      responses: { 202: "Held for moderation (status: pending)" },
+      errors: [400, 403, 404],
+    },
+  },
+  {
+    pattern: "PATCH /comments/:postId/:commentId",
+    handler: handleUpdateComment,
+    params: commentParams,
+    body: UPDATE_COMMENT_SCHEMA,
+    docs: {
+      tag: "Comments",
+      summary: "Edit a comment within the edit window",
+      security: "commentEditToken",
+      response: ref("EditedComment"),
+      responses: { 202: "Held for moderation (status: pending)" },
+      errors: [400, 401, 403, 404],
+    },
+  },
+  {
+    pattern: "DELETE /comments/:postId/:commentId",
+    handler: handleDeleteComment,
+    params: commentParams,
+    docs: {
+      tag: "Comments",
+      summary: "Delete a comment (replies stay under [deleted])",
+      security: "commentEditToken",
+      response: ref("DeletedComment"),
+      errors: [400, 401, 404],
+    },
+  },
+  {
+    pattern: "GET /tags",
+    handler: handleGetTags,
+    docs: {
+      tag: "Tags",
+      summary: "List tags with published posts",
+      response: { type: "array", items: ref("Tag") },
+    },
+  },
+  {
+    pattern: "GET /archive",
+    handler: handleGetArchive,
+    docs: {
+      tag: "Archive",
+      summary: "Post counts by year and month in SITE_TIMEZONE",
+      response: ref("Archive"),
+    },
+  },
+  {
+    pattern: "GET /archive/:year",
+    handler: handleGetArchivePosts,
+    params: objectSchema({ year: yearParam }, ["year"]),
+    query: objectSchema(listProperties),
+    docs: {
+      tag: "Archive",
+      operationId: "getArchiveYearPosts",
+      summary: "Posts published in a year",
+      response: ref("ArchivePage"),
+      errors: [400],
+    },
+  },
+  {
+    pattern: "GET /archive/:year/:month",
+    handler: handleGetArchivePosts,
+    params: objectSchema(
+      {
+        year: yearParam,
+        month: {
+          type: "integer",
+          minimum: 1,
+          maximum: 12,
+          description: "Month",
+        },
+      },
+      ["year", "month"],
+    ),
+    query: objectSchema(listProperties),
+    docs: {
+      tag: "Archive",
+      operationId: "getArchiveMonthPosts",
+      summary: "Posts published in a month",
+      response: ref("ArchivePage"),
+      errors: [400],
+    },
+  },
+  {
+    pattern: "GET /sitemap",
+    handler: handleGetSitemap,
+    docs: {
+      tag: "SEO",
+      summary: "Slugs of all published posts",
+      response: { type: "array", items: { type: "string" } },
+    },
+  },
+  {
+    pattern: "GET /sitemap.xml",
+    handler: handleGetSitemapXml,
+    docs: {
+      tag: "SEO",
+      summary: "XML sitemap (or sitemap index above 50,000 URLs)",
+      ...xmlResponse,
+    },
+  },
+  {
+    pattern: "GET /sitemap-index.xml",
+    handler: handleGetSitemapIndex,
+    docs: { tag: "SEO", summary: "Sitemap index", ...xmlResponse },
+  },
+  {
+    pattern: "GET /sitemaps/:page",
+    handler: handleGetSitemapPage,
+    params: objectSchema(
+      { page: { type: "string", description: "Page file, e.g. 1.xml" } },
+      ["page"],
+    ),
+    docs: {
+      tag: "SEO",
+      summary: "Numbered child sitemap",
+      ...xmlResponse,
+      errors: [404],
+    },
+  },
+  {
+    pattern: "GET /feed.xml",
+    handler: handleGetRssFeed,
+    query: feedQuery,
+    docs: {
+      tag: "Feeds",
+      summary: "RSS 2.0 feed",
+      contentType: "application/rss+xml",
+      errors: [400],
+    },
+  },
+  {
+    pattern: "GET /atom.xml",
+    handler: handleGetAtomFeed,
+    query: feedQuery,
+    docs: {
+      tag: "Feeds",
+      summary: "Atom 1.0 feed",
+      contentType: "application/atom+xml",
+      errors: [400],
+    },
+  },
+  {
+    pattern: "GET /feed.json",
+    handler: handleGetJsonFeed,
+    query: feedQuery,
+    docs: {
+      tag: "Feeds",
+      summary: "JSON Feed 1.1",
+      contentType: "application/feed+json",
+      response: { type: "object" },
+      errors: [400],
+    },
+  },
+  {
+    pattern: "GET /search",
+    handler: handleSearch,
+    query: objectSchema(
+      {
+        q: { type: "string", maxLength: 100, description: "Search query" },
+        tag: { type: "string", description: "Filter by tag" },
+        ...pageProperties,
+        mode: {
+          enum: SEARCH_MODES,
+          description: "Index to use (default SEARCH_MODE or auto)",
+        },
+      },
+      ["q"],
+    ),
+    docs: {
+      tag: "Search",
+      summary: "Full-text search over published posts",
+      response: ref("SearchPage"),
+      errors: [400],
+    },
+  },
+  {
+    pattern: "GET /search/suggest",
+    handler: handleSearchSuggest,
+    query: objectSchema(
+      {
+        q: { type: "string", maxLength: 50, description: "Partial query" },
+        limit: {
+          type: "integer",
+          minimum: 1,
+          maximum: 20,
+          default: 10,
+          description: "Number of suggestions",
+        },
+      },
+      ["q"],
+    ),
+    docs: {
+      tag: "Search",
+      summary: "Autocomplete over post titles and tags",
+      response: { type: "array", items: ref("Suggestion") },
+      errors: [400],
+    },
+  },
+  {
+    pattern: "POST /cache/purge",
+    handler: handleCachePurge,
+    middleware: [requireBearerSecret("CACHE_PURGE_SECRET")],
+    body: CACHE_PURGE_SCHEMA,
+    docs: {
+      tag: "Cache",
+      summary: "Invalidate cached responses by tag or URL",
+      security: "cachePurgeSecret",
+      response: ref("CachePurgeResult"),
+      errors: [400, 401, 403],
+    },
+  },
+  {
+    pattern: "GET /openapi.json",
+    handler: docsHandlers.handleGetOpenApi,
+    docs: {
+      tag: "Docs",
+      summary: "This OpenAPI document",
+      response: { type: "object" },
+      envelope: false,
+    },
+  },
+  {
+    pattern: "GET /docs",
+    handler: docsHandlers.handleGetDocs,
+    docs: {
+      tag: "Docs",
+      summary: "Human-readable API reference",
+      contentType: "text/html",
+    },
+  },
 ];
 
 /**
- * Match a route pattern against a URL path
+ * Match a route pattern against a URL path. Segments must match exactly
+ * (no empty segments); parameters are percent-decoded.
  * @param {string} pattern - Route pattern (e.g., "/posts/:id")
  * @param {string} path - URL path (e.g., "/posts/123")
- * @returns {Object|null} Match result with params, or null if no match
+ * @returns {Object|null} Path parameters, or null if no match
  */
 function matchPattern(pattern, path) {
-  const patternParts = pattern.split("/").filter(Boolean);
-  const pathParts = path.split("/").filter(Boolean);
+  const patternParts = pattern.split("/").slice(1);
+  const pathParts = path.split("/").slice(1);
 
   if (patternParts.length !== pathParts.length) {
     return null;
@@ -40,7 +571,7 @@ function matchPattern(pattern, path) {
     const patternPart = patternParts[i];
     const pathPart = pathParts[i];
 
-    if (patternPart.startsWith(":")) {
+    if (patternPart.startsWith(":") && pathPart !== "") {
       const paramName = patternPart.substring(1);
       params[paramName] = decodeURIComponent(pathPart);
     } else if (patternPart !== pathPart) {
@@ -48,47 +579,83 @@ function matchPattern(pattern, path) {
     }
   }
 
-  return { params };
+  return params;
 }
 
 /**
- * Find matching route for request
- * @param {string} method - HTTP method
+ * Find the routes of every method registered for a path
  * @param {string} pathname - URL pathname
- * @returns {Object|null} Route match with handler and params
+ * @returns {Array<{method: string, route: Object, params: Object}>} Matches in route order
  */
-function findRoute(method, pathname) {
-  for (const route of routes) {
-    const [routeMethod, routePattern] = route.pattern.split(" ", 2);
+function matchPath(pathname) {
+  const matches = [];
 
-    if (routeMethod !== method) {
-      continue;
-    }
-
-    const match = matchPattern(routePattern, pathname);
-    if (match) {
-      return {
-        handler: route.handler,
-        params: match.params,
-      };
+  for (const route of routes) {
+    const [method, routePattern] = route.pattern.split(" ", 2);
+    const params = matchPattern(routePattern, pathname);
+    if (params) {
+      matches.push({ method, route, params });
     }
   }
 
-  return null;
+  return matches;
 }
 
 /**
- * Parse request body as JSON
- * @param {Request} request - Request object
- * @returns {Promise<Object>} Parsed JSON body
+ * Resolve a request to a route. HEAD requests use the GET route unless a
+ * HEAD route exists. A trailing slash is handled by TRAILING_SLASH:
+ * "redirect" (default, 308 to the path without it), "ignore" (same route)
+ * or "strict" (no route).
+ * @param {string} method - HTTP method
+ * @param {URL} url - Request URL
+ * @param {Object} env - Environment bindings
+ * @returns {Object} Resolution: `route`, `params` and `allowedMethods` (empty
+ *   for unknown paths), or a `redirect` location, or a path `error`
  */
-async function parseJsonBody(request) {
+function resolveRoute(method, url, env) {
+  let { pathname } = url;
+
   try {
-    const text = await request.text();
-    return text ? JSON.parse(text) : {};
-  } catch (error) {
-    throw new Error("Invalid JSON in request body");
+    decodeURIComponent(pathname);
+  } catch {
+    return { error: new ValidationError("Malformed URL path") };
+  }
+
+  const trailingSlash = env?.TRAILING_SLASH || "redirect";
+  if (
+    pathname.length > 1 &&
+    pathname.endsWith("/") &&
+    trailingSlash !== "strict"
+  ) {
+    const trimmed = pathname.replace(/\/+$/, "") || "/";
+    if (trailingSlash === "redirect") {
+      return matchPath(trimmed).length > 0
+        ? { redirect: `${trimmed}${url.search}` }
+        : { allowedMethods: [] };
+    }
+    pathname = trimmed;
+  }
+
+  const matches = matchPath(pathname);
+  const allowedMethods = new Set(matches.map((match) => match.method));
+  if (allowedMethods.has("GET")) {
+    allowedMethods.add("HEAD");
   }
+  if (allowedMethods.size > 0) {
+    allowedMethods.add("OPTIONS");
+  }
+
+  const match =
+    matches.find((candidate) => candidate.method === method) ??
+    (method === "HEAD"
+      ? matches.find((candidate) => candidate.method === "GET")
+      : null);
+
+  return {
+    route: match?.route ?? null,
+    params: match?.params ?? {},
+    allowedMethods: [...allowedMethods],
+  };
 }
 
 /**
@@ -105,87 +672,162 @@ function getQueryParams(url) {
 }
 
 /**
- * Main router function
- * @param {Request} request - Request object
- * @param {Object} env - Environment bindings
- * @param {Object} ctx - Execution context
- * @param {string} requestId - Request correlation ID
- * @returns {Promise<Response>} Response object
+ * Global middleware, outermost first. They run for every request, including
+ * unmatched ones (with `context.route` null).
  */
-export async function router(request, env, ctx, requestId) {
-  const logger = createLogger(requestId);
-
-  try {
-    const url = new URL(request.url);
-    const { pathname } = url;
-    const method = request.method;
-
-    const match = findRoute(method, pathname);
-
-    if (!match) {
-      logger.warn("Route not found", {
-        type: "routing",
-        method,
-        pathname,
-      });
-      return errorResponse("Not Found", 404);
-    }
-
-    // Log route match
-    logger.debug("Route matched", {
-      type: "routing",
-      route: `${method} ${pathname}`,
-      params: match.params,
-    });
+const middleware = [
+  assignRequestId,
+  logRequests,
+  cors,
+  headRequests,
+  handleErrors,
+  rateLimit,
+];
 
-    let body = null;
-    if (["POST", "PUT", "PATCH"].includes(method)) {
-      body = await parseJsonBody(request);
-      logger.debug("Request body parsed", {
-        type: "routing",
-        bodySize: JSON.stringify(body).length,
-      });
-    }
+/**
+ * Middleware run for every matched route after the route's own middleware,
+ * right before the handler
+ */
+const routeMiddleware = [
+  parseJsonBody,
+  validateInput,
+  conditionalRequests,
+  responseCache,
+];
 
-    const query = getQueryParams(url);
+/**
+ * Run the matched route's middleware and handler, or answer requests
+ * without a route (400 malformed path, 308 trailing slash, 405, 404)
+ * @param {Object} context - Request context
+ * @returns {Promise<Response>} Response
+ * @throws {ValidationError} If the path is malformed
+ */
+async function dispatch(context) {
+  const { request, url, route, resolution, logger } = context;
 
-    // Pass requestId to handler for consistent logging
-    const handlerStartTime = Date.now();
-    const response = await match.handler(request, env, ctx, match.params, body, requestId);
-    const handlerDuration = Date.now() - handlerStartTime;
+  if (resolution.error) {
+    throw resolution.error;
+  }
 
-    logger.debug("Handler completed", {
-      type: "routing",
-      handler: match.handler.name,
-      performance: {
-        duration: `${handlerDuration}ms`,
-        durationMs: handlerDuration,
-      },
+  if (resolution.redirect) {
+    return new Response(null, {
+      status: 308,
+      headers: { Location: resolution.redirect },
     });
+  }
 
-    return response;
-  } catch (error) {
-    logger.error("Router error", {
+  if (!route) {
+    logger.warn("Route not found", {
       type: "routing",
-      error: {
-        message: error.message,
-        name: error.name,
-        stack: error.stack,
-      },
+      method: request.method,
+      pathname: url.pathname,
+      allowedMethods: context.allowedMethods,
     });
 
-    const apiError = toAPIError(error);
-    return errorResponse(apiError.message, apiError.status);
+    return context.allowedMethods.length > 0
+      ? errorResponse("Method Not Allowed", 405, {
+          Allow: context.allowedMethods.join(", "),
+        })
+      : errorResponse("Not Found", 404);
   }
+
+  logger.debug("Route matched", {
+    type: "routing",
+    route: `${request.method} ${url.pathname}`,
+    params: context.params,
+  });
+
+  return compose([...(route.middleware ?? []), ...routeMiddleware])(
+    context,
+    runHandler,
+  );
+}
+
+/**
+ * Call the route handler with the validated params, body and query (after
+ * requestId, which is passed for consistent logging)
+ * @param {Object} context - Request context
+ * @returns {Promise<Response>} Handler response
+ */
+async function runHandler(context) {
+  const { route, logger } = context;
+  const handlerStartTime = Date.now();
+  const response = await route.handler(
+    context.request,
+    context.env,
+    context.ctx,
+    context.params,
+    context.body,
+    context.requestId,
+    context.query,
+  );
+  const handlerDuration = Date.now() - handlerStartTime;
+
+  logger.debug("Handler completed", {
+    type: "routing",
+    handler: route.handler.name,
+    performance: {
+      duration: `${handlerDuration}ms`,
+      durationMs: handlerDuration,
+    },
+  });
+
+  return response;
+}
+
+/**
+ * Main router function
+ * @param {Request} request - Request object
+ * @param {Object} env - Environment bindings
+ * @param {Object} ctx - Execution context
+ * @param {string} [requestId] - Request correlation ID (generated if omitted)
+ * @returns {Promise<Response>} Response object
+ */
+export async function router(request, env, ctx, requestId = null) {
+  const url = new URL(request.url);
+  const resolution = resolveRoute(request.method, url, env);
+
+  const context = {
+    request,
+    env,
+    ctx,
+    url,
+    requestId,
+    logger: null,
+    resolution,
+    route: resolution.route ?? null,
+    pattern: resolution.route?.pattern ?? null,
+    params: resolution.params ?? {},
+    allowedMethods: resolution.allowedMethods ?? [],
+    query: getQueryParams(url),
+    body: null,
+  };
+
+  return compose(middleware)(context, dispatch);
+}
+
+/**
+ * Add global middleware (runs after the built-in global middleware)
+ * @param {...Function} added - Middleware (see middleware/compose.js)
+ */
+export function use(...added) {
+  middleware.push(...added);
 }
 
 /**
  * Register a route
  * @param {string} pattern - Route pattern (e.g., "GET /posts/:id")
  * @param {Function} handler - Route handler function
+ * @param {Object} options - Route options
+ * @param {Array<Function>} options.middleware - Route middleware, run after
+ *   the global middleware and before body parsing and validation
+ * @param {Object} options.params - Path parameter schema
+ * @param {Object} options.query - Query parameter schema
+ * @param {Object} options.body - JSON body schema
+ * @param {Object} options.docs - OpenAPI details (see utils/openapi.js)
  */
-export function registerRoute(pattern, handler) {
-  routes.push({ pattern, handler });
+export function registerRoute(pattern, handler, options = {}) {
+  routes.push({ pattern, handler, ...options });
 }
 
 /**
@@ -0,0 +1,108 @@
+import { createLogger, createPerformanceTracker } from "./utils/logger.js";
+import { createSearchRepository } from "./repositories/searchRepository.js";
+import { createPostRepository } from "./repositories/postRepository.js";
+import { createSearchService } from "./services/searchService.js";
+import { createPostService } from "./services/postService.js";
+import { getViewWindowMs } from "./utils/visitor.js";
+
+/**
+ * Re-index new and changed posts in the Hangul n-gram search index, and new
+ * and renamed tags in the suggestion index
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {Object} logger - Logger instance
+ */
+async function syncSearchIndex(env, logger) {
+  const searchService = createSearchService(
+    createSearchRepository(env),
+    createPostRepository(env),
+    env,
+  );
+
+  const batchSize = parseInt(env.SEARCH_INDEX_BATCH_SIZE || "50", 10);
+
+  const tracker = createPerformanceTracker(logger, "syncNgramIndex");
+  const result = await searchService.syncNgramIndex({ batchSize });
+  tracker.end(result);
+
+  const tags = await searchService.syncTagSuggestions({ batchSize });
+
+  logger.info("Search index synchronized", {
+    type: "scheduled",
+    task: "syncSearchIndex",
+    ...result,
+    tagsIndexed: tags.indexed,
+    tagsRemoved: tags.removed,
+  });
+}
+
+/**
+ * Delete view fingerprints whose dedup window has ended
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {Object} logger - Logger instance
+ */
+async function pruneViewFingerprints(env, logger) {
+  const postService = createPostService(createPostRepository(env), env);
+
+  const deleted = await postService.pruneViewFingerprints(getViewWindowMs(env));
+
+  logger.info("View fingerprints pruned", {
+    type: "scheduled",
+    task: "pruneViewFingerprints",
+    deleted,
+  });
+}
+
+/**
+ * Delete daily view totals older than the view retention period
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {Object} logger - Logger instance
+ */
+async function pruneDailyViews(env, logger) {
+  const postService = createPostService(createPostRepository(env), env);
+
+  const deleted = await postService.pruneDailyViews();
+
+  logger.info("Daily views pruned", {
+    type: "scheduled",
+    task: "pruneDailyViews",
+    deleted,
+  });
+}
+
+const tasks = [syncSearchIndex, pruneViewFingerprints, pruneDailyViews];
+
+/**
+ * Run all periodic maintenance tasks (Cron Trigger entry point).
+ * Tasks run independently so one failure does not skip the others.
+ * @param {Object} controller - Scheduled controller (cron, scheduledTime)
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {Object} _ctx - Execution context
+ * @returns {Promise<void>}
+ */
+export async function handleScheduled(controller, env, _ctx) {
+  const logger = createLogger(crypto.randomUUID());
+
+  logger.info("Scheduled run started", {
+    type: "scheduled",
+    cron: controller.cron,
+    scheduledTime: controller.scheduledTime,
+  });
+
+  const results = await Promise.allSettled(
+    tasks.map((task) => task(env, logger)),
+  );
+
+  results.forEach((result, index) => {
+    if (result.status === "rejected") {
+      logger.error("Scheduled task failed", {
+        type: "scheduled",
+        task: tasks[index].name,
+        error: {
+          message: result.reason?.message,
+          name: result.reason?.name,
+          stack: result.reason?.stack,
+        },
+      });
+    }
+  });
+}
@@ -1,18 +1,120 @@
-import { ValidationError, NotFoundError } from "../utils/errors.js";
-import { validateCreateComment } from "../utils/validation.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ForbiddenError,
+  UnauthorizedError,
+} from "../utils/errors.js";
+import { randomToken, sha256Hex, timingSafeEqual } from "../utils/crypto.js";
+import {
+  createModerationService,
+  COMMENT_STATUS,
+} from "./moderationService.js";
+
+const DEFAULT_MAX_DEPTH = 3;
+const DEFAULT_EDIT_WINDOW_MINUTES = 15;
+const DELETED_PLACEHOLDER = "[deleted]";
+
+export const COMMENT_FORMATS = ["tree", "flat"];
+
+/**
+ * Format a comment row for API responses. Deleted comments keep their place
+ * in the thread with placeholder content.
+ * @param {Object} comment - Comment row
+ * @returns {Object} Formatted comment
+ */
+function formatComment(comment) {
+  const deleted = Boolean(comment.deleted_at);
+  return {
+    id: comment.id,
+    content: deleted ? DELETED_PLACEHOLDER : comment.content,
+    authorName: deleted ? DELETED_PLACEHOLDER : comment.author_name,
+    createdAt: comment.created_at,
+    editedAt: deleted ? null : comment.edited_at || null,
+    deleted,
+    postId: comment.post_id,
+    parentId: comment.parent_id || null,
+  };
+}
+
+/**
+ * Leave out deleted comments that have no remaining replies. Deepest comments
+ * are checked first, so a deleted reply chain disappears as a whole.
+ * @param {Array<Object>} comments - Comment rows
+ * @returns {Array<Object>} Comment rows worth listing, in input order
+ */
+function withoutDeletedLeaves(comments) {
+  const kept = new Set();
+  const parentsWithReplies = new Set();
+
+  for (const comment of [...comments].sort((a, b) => b.depth - a.depth)) {
+    if (!comment.deleted_at || parentsWithReplies.has(comment.id)) {
+      kept.add(comment.id);
+      if (comment.parent_id) {
+        parentsWithReplies.add(comment.parent_id);
+      }
+    }
+  }
+
+  return comments.filter((comment) => kept.has(comment.id));
+}
+
+/**
+ * Nest formatted comments under their parents. Input order (oldest first) is
+ * preserved at every level; replies whose parent is missing become top-level.
+ * @param {Array<Object>} comments - Formatted comments
+ * @returns {Array<Object>} Top-level comments with nested `replies`
+ */
+function buildCommentTree(comments) {
+  const nodes = new Map(
+    comments.map((comment) => [comment.id, { ...comment, replies: [] }]),
+  );
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parentId ? nodes.get(node.parentId) : null;
+    if (parent) {
+      parent.replies.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+}
 
 export class CommentService {
   constructor(commentRepository, env) {
     this.commentRepository = commentRepository;
     this.env = env;
+    this.moderationService = createModerationService(commentRepository, env);
+  }
+
+  /**
+   * Maximum reply nesting depth (top-level comments have depth 0)
+   * @returns {number}
+   */
+  get maxDepth() {
+    const configured = parseInt(this.env?.COMMENT_MAX_DEPTH, 10);
+    return isNaN(configured) ? DEFAULT_MAX_DEPTH : configured;
+  }
+
+  /**
+   * Minutes after creation during which a comment can be edited
+   * @returns {number}
+   */
+  get editWindowMinutes() {
+    const configured = parseFloat(this.env?.COMMENT_EDIT_WINDOW_MINUTES);
+    return isNaN(configured) ? DEFAULT_EDIT_WINDOW_MINUTES : configured;
   }
 
   /**
    * Get all comments for a specific post
    * @param {string|number} postId - Post ID
+   * @param {Object} options - Output options
+   * @param {string} options.format - "tree" (nested replies) or "flat"
    * @returns {Promise<Array>} Array of formatted comments
    */
-  async getCommentsByPostId(postId) {
+  async getCommentsByPostId(postId, { format = "tree" } = {}) {
     if (!postId) {
       throw new ValidationError("Post ID is required");
     }
@@ -27,24 +129,47 @@ export class CommentService {
       throw new NotFoundError("Post not found");
     }
 
+    if (!COMMENT_FORMATS.includes(format)) {
+      throw new ValidationError(
+        `Format must be one of: ${COMMENT_FORMATS.join(", ")}`,
+      );
+    }
+
     const comments = await this.commentRepository.findByPostId(id);
+    const formatted = withoutDeletedLeaves(comments).map(formatComment);
 
-    return comments.map((comment) => ({
-      id: comment.id,
-      content: comment.content,
-      authorName: comment.author_name,
-      createdAt: comment.created_at,
-      postId: comment.post_id,
-    }));
+    return format === "flat" ? formatted : buildCommentTree(formatted);
   }
 
   /**
-   * Create a new comment on a post
+   * Time of the latest change to the comments of a post. Edits and
+   * deletions count too, including those of comments no longer listed.
+   * @param {string|number} postId - Post ID
+   * @returns {Promise<string|null>} ISO timestamp, or null without comments
+   */
+  async getCommentsLastModified(postId) {
+    const id = parseInt(postId, 10);
+    if (isNaN(id)) {
+      throw new ValidationError("Invalid post ID");
+    }
+
+    return this.commentRepository.findLastModified(id);
+  }
+
+  /**
+   * Create a new comment on a post. The comment data is expected to be
+   * validated by the route's body schema.
    * @param {string|number} postId - Post ID
    * @param {Object} commentData - Comment data
    * @param {string} commentData.content - Comment content
    * @param {string} commentData.author - Author name
-   * @returns {Promise<Object>} Created comment
+   * @param {string} [commentData.parentId] - ID of the comment being replied to
+   * @param {string} [commentData.website] - Honeypot field, must stay empty
+   * @param {number|string} [commentData.renderedAt] - When the comment form was rendered
+   * @returns {Promise<Object>} Created comment with its moderation `status`,
+   *   and the `editToken` that allows editing and deleting it (only its hash
+   *   is stored, so it cannot be shown again)
+   * @throws {ForbiddenError} If the spam filter rejects the comment
    */
   async createComment(postId, commentData) {
     if (!postId) {
@@ -61,30 +186,201 @@ export class CommentService {
       throw new NotFoundError("Post not found");
     }
 
-    const errors = validateCreateComment(commentData);
-    if (errors.length > 0) {
-      throw new ValidationError(errors.join(", "));
+    const parentId = commentData.parentId || null;
+    let depth = 0;
+
+    if (parentId) {
+      const parent = await this.commentRepository.findById(parentId);
+      if (
+        !parent ||
+        parent.post_id !== id ||
+        parent.status !== COMMENT_STATUS.APPROVED ||
+        parent.deleted_at
+      ) {
+        throw new ValidationError("Parent comment does not exist on this post");
+      }
+
+      depth = parent.depth + 1;
+      if (depth > this.maxDepth) {
+        throw new ValidationError(
+          `Replies cannot be nested more than ${this.maxDepth} levels deep`,
+        );
+      }
     }
 
+    const submittedAt = new Date();
+    const moderation = await this.moderationService.evaluate(
+      id,
+      commentData,
+      submittedAt,
+    );
+
     const commentId = crypto.randomUUID();
-    const now = new Date().toISOString();
+    const now = submittedAt.toISOString();
+    const editToken = randomToken();
 
+    // Rejected comments are stored too, so false positives can be reviewed
     await this.commentRepository.create({
       id: commentId,
       content: commentData.content,
       authorName: commentData.author,
       createdAt: now,
       postId: id,
+      parentId,
+      depth,
+      status: moderation.status,
+      spamScore: moderation.score,
+      spamReasons: moderation.reasons,
+      editTokenHash: await sha256Hex(editToken),
     });
 
+    if (moderation.status === COMMENT_STATUS.REJECTED) {
+      throw new ForbiddenError("Comment was rejected by the spam filter");
+    }
+
     return {
       id: commentId,
       content: commentData.content,
       authorName: commentData.author,
       createdAt: now,
       postId: id,
+      parentId,
+      status: moderation.status,
+      editToken,
+      editableUntil: this.editDeadline(now).toISOString(),
+    };
+  }
+
+  /**
+   * Edit a comment's content within the edit window. The new content is
+   * checked by the spam filter again; held content hides the comment until
+   * it is reviewed. The changes are expected to be validated by the route's
+   * body schema.
+   * @param {string|number} postId - Post ID
+   * @param {string} commentId - Comment ID
+   * @param {string} editToken - Token returned when the comment was created
+   * @param {Object} commentData - Changes
+   * @param {string} commentData.content - New comment content
+   * @returns {Promise<Object>} Edited comment with its moderation `status`
+   * @throws {UnauthorizedError} If the edit token does not match
+   * @throws {ForbiddenError} If the edit window has closed or the spam filter
+   *   rejects the new content
+   */
+  async updateComment(postId, commentId, editToken, commentData) {
+    const comment = await this.findOwnComment(postId, commentId, editToken);
+
+    const editedAt = new Date();
+    if (editedAt > this.editDeadline(comment.created_at)) {
+      throw new ForbiddenError("The edit window for this comment has closed");
+    }
+
+    let { status } = comment;
+    if (commentData.content !== comment.content) {
+      const moderation = await this.moderationService.evaluate(
+        comment.post_id,
+        { author: comment.author_name, content: commentData.content },
+        editedAt,
+      );
+      if (moderation.status === COMMENT_STATUS.REJECTED) {
+        throw new ForbiddenError("Comment was rejected by the spam filter");
+      }
+
+      // Comments waiting for review stay held whatever the new score
+      if (status !== COMMENT_STATUS.PENDING) {
+        status = moderation.status;
+      }
+
+      await this.commentRepository.update(comment.id, {
+        content: commentData.content,
+        editedAt: editedAt.toISOString(),
+        status,
+        spamScore: moderation.score,
+        spamReasons: moderation.reasons,
+      });
+      comment.content = commentData.content;
+      comment.edited_at = editedAt.toISOString();
+    }
+
+    return { ...formatComment(comment), status };
+  }
+
+  /**
+   * Delete a comment. Its content and author are erased, but it stays in
+   * the thread as "[deleted]" while it has replies.
+   * @param {string|number} postId - Post ID
+   * @param {string} commentId - Comment ID
+   * @param {string} editToken - Token returned when the comment was created
+   * @returns {Promise<Object>} Deleted comment (ID, post and deletion time)
+   * @throws {UnauthorizedError} If the edit token does not match
+   */
+  async deleteComment(postId, commentId, editToken) {
+    const comment = await this.findOwnComment(postId, commentId, editToken);
+
+    const deletedAt = new Date().toISOString();
+    await this.commentRepository.softDelete(comment.id, deletedAt);
+
+    return {
+      id: comment.id,
+      postId: comment.post_id,
+      status: comment.status,
+      deletedAt,
     };
   }
+
+  /**
+   * Find a comment that the holder of an edit token may change
+   * @param {string|number} postId - Post ID
+   * @param {string} commentId - Comment ID
+   * @param {string} editToken - Token returned when the comment was created
+   * @returns {Promise<Object>} Comment row
+   * @throws {NotFoundError} If the comment does not exist on the post, was
+   *   rejected or is already deleted
+   * @throws {UnauthorizedError} If the token is missing or does not match
+   */
+  async findOwnComment(postId, commentId, editToken) {
+    const id = parseInt(postId, 10);
+    if (isNaN(id)) {
+      throw new ValidationError("Invalid post ID");
+    }
+
+    const comment = await this.commentRepository.findById(commentId);
+    if (
+      !comment ||
+      comment.post_id !== id ||
+      comment.status === COMMENT_STATUS.REJECTED ||
+      comment.deleted_at
+    ) {
+      throw new NotFoundError("Comment not found");
+    }
+
+    if (!editToken) {
+      throw new UnauthorizedError("Edit token is required");
+    }
+
+    // Comments created before edit tokens existed cannot be changed
+    const valid =
+      comment.edit_token_hash &&
+      (await timingSafeEqual(
+        await sha256Hex(editToken),
+        comment.edit_token_hash,
+      ));
+    if (!valid) {
+      throw new UnauthorizedError("Invalid edit token");
+    }
+
+    return comment;
+  }
+
+  /**
+   * End of the edit window of a comment
+   * @param {string} createdAt - ISO timestamp of the comment
+   * @returns {Date}
+   */
+  editDeadline(createdAt) {
+    return new Date(
+      new Date(createdAt).getTime() + this.editWindowMinutes * 60 * 1000,
+    );
+  }
 }
 
 /**
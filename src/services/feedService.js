@@ -0,0 +1,213 @@
+import { ValidationError } from "../utils/errors.js";
+import { escapeXml, toRfc822Date, toRfc3339Date } from "../utils/xml.js";
+import { getSiteConfig, postUrl, tagUrl } from "../utils/site.js";
+import { renderMarkdown } from "../utils/markdown.js";
+import { DEFAULT_LIST_COLUMNS } from "../repositories/postRepository.js";
+
+export const FEED_MODES = ["summary", "full"];
+
+const DEFAULT_FEED_SIZE = 20;
+const MAX_FEED_SIZE = 100;
+
+export class FeedService {
+  constructor(postRepository, env) {
+    this.postRepository = postRepository;
+    this.env = env;
+    this.site = getSiteConfig(env);
+  }
+
+  /**
+   * Items per feed: FEED_SIZE clamped to 1-100, or the default when it is
+   * not a number
+   * @returns {number}
+   */
+  get feedSize() {
+    const configured = parseInt(this.env?.FEED_SIZE, 10);
+    return isNaN(configured)
+      ? DEFAULT_FEED_SIZE
+      : Math.min(Math.max(configured, 1), MAX_FEED_SIZE);
+  }
+
+  /**
+   * Load the newest published posts for a feed
+   * @param {Object} options - Feed options
+   * @param {string|null} options.tag - Restrict the feed to a tag
+   * @param {string|null} options.mode - "summary" or "full" (defaults to FEED_CONTENT_MODE)
+   * @param {string} options.selfUrl - Absolute URL the feed is served from
+   * @returns {Promise<Object>} Feed model shared by all output formats
+   */
+  async getFeed({ tag = null, mode = null, selfUrl }) {
+    const contentMode = mode || this.env?.FEED_CONTENT_MODE || "summary";
+    if (!FEED_MODES.includes(contentMode)) {
+      throw new ValidationError(
+        `Feed mode must be one of: ${FEED_MODES.join(", ")}`,
+      );
+    }
+
+    const limit = this.feedSize;
+    const full = contentMode === "full";
+
+    const posts = await this.postRepository.findAll({
+      tag,
+      offset: 0,
+      limit,
+      orderClause: "created_at DESC",
+      columns: full
+        ? [...DEFAULT_LIST_COLUMNS, "content"]
+        : DEFAULT_LIST_COLUMNS,
+    });
+
+    const tagsByPost = await this.postRepository.getTagsForPosts(
+      posts.map((p) => p.id),
+    );
+
+    const items = posts.map((post) => ({
+      id: post.id,
+      url: postUrl(this.site, post.slug),
+      title: post.title,
+      summary: post.summary,
+      content: full ? post.content : null,
+      contentHtml: full ? renderMarkdown(post.content).html : null,
+      tags: tagsByPost.get(post.id) || [],
+      createdAt: post.created_at,
+      updatedAt: post.updated_at || post.created_at,
+    }));
+
+    // Feed-level "updated" is the most recent change among the included posts
+    const updatedAt = items.reduce(
+      (latest, item) => (item.updatedAt > latest ? item.updatedAt : latest),
+      items.length > 0 ? items[0].updatedAt : new Date().toISOString(),
+    );
+
+    return {
+      title: tag ? `${this.site.title} - #${tag}` : this.site.title,
+      description: this.site.description,
+      homeUrl: tag ? tagUrl(this.site, tag) : this.site.url,
+      selfUrl,
+      language: this.site.language,
+      author: this.site.author,
+      updatedAt,
+      items,
+    };
+  }
+
+  /**
+   * Render a feed model as RSS 2.0
+   * @param {Object} feed - Feed model from getFeed
+   * @returns {string} RSS XML document
+   */
+  renderRss(feed) {
+    const items = feed.items
+      .map((item) => {
+        const categories = item.tags
+          .map((tag) => `\n      <category>${escapeXml(tag)}</category>`)
+          .join("");
+        const content = item.contentHtml
+          ? `\n      <content:encoded>${escapeXml(item.contentHtml)}</content:encoded>`
+          : "";
+
+        return `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.url)}</guid>
+      <pubDate>${toRfc822Date(item.createdAt)}</pubDate>
+      <description>${escapeXml(item.summary)}</description>${content}${categories}
+    </item>`;
+      })
+      .join("\n");
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>${escapeXml(feed.language)}</language>
+    <lastBuildDate>${toRfc822Date(feed.updatedAt)}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>
+${items}
+  </channel>
+</rss>
+`;
+  }
+
+  /**
+   * Render a feed model as Atom 1.0
+   * @param {Object} feed - Feed model from getFeed
+   * @returns {string} Atom XML document
+   */
+  renderAtom(feed) {
+    const entries = feed.items
+      .map((item) => {
+        const categories = item.tags
+          .map((tag) => `\n    <category term="${escapeXml(tag)}"/>`)
+          .join("");
+        const content = item.contentHtml
+          ? `\n    <content type="html">${escapeXml(item.contentHtml)}</content>`
+          : "";
+
+        return `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${escapeXml(item.url)}"/>
+    <id>${escapeXml(item.url)}</id>
+    <published>${toRfc3339Date(item.createdAt)}</published>
+    <updated>${toRfc3339Date(item.updatedAt)}</updated>
+    <summary type="text">${escapeXml(item.summary)}</summary>${content}${categories}
+  </entry>`;
+      })
+      .join("\n");
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.language)}">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link href="${escapeXml(feed.homeUrl)}"/>
+  <link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/atom+xml"/>
+  <id>${escapeXml(feed.selfUrl)}</id>
+  <updated>${toRfc3339Date(feed.updatedAt)}</updated>
+  <author>
+    <name>${escapeXml(feed.author)}</name>
+  </author>
+${entries}
+</feed>
+`;
+  }
+
+  /**
+   * Render a feed model as JSON Feed 1.1
+   * @param {Object} feed - Feed model from getFeed
+   * @returns {Object} JSON Feed document
+   */
+  renderJsonFeed(feed) {
+    return {
+      version: "https://jsonfeed.org/version/1.1",
+      title: feed.title,
+      home_page_url: feed.homeUrl,
+      feed_url: feed.selfUrl,
+      description: feed.description,
+      language: feed.language,
+      authors: [{ name: feed.author }],
+      items: feed.items.map((item) => ({
+        id: item.url,
+        url: item.url,
+        title: item.title,
+        summary: item.summary,
+        content_text: item.content ?? item.summary,
+        ...(item.contentHtml && { content_html: item.contentHtml }),
+        tags: item.tags,
+        date_published: toRfc3339Date(item.createdAt),
+        date_modified: toRfc3339Date(item.updatedAt),
+      })),
+    };
+  }
+}
+
+/**
+ * Factory function to create FeedService
+ * @param {Object} postRepository - PostRepository instance
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {FeedService}
+ */
+export function createFeedService(postRepository, env) {
+  return new FeedService(postRepository, env);
+}
@@ -0,0 +1,154 @@
+import { countLinks, findBannedWords } from "../utils/spam.js";
+
+export const COMMENT_STATUS = {
+  APPROVED: "approved",
+  PENDING: "pending",
+  REJECTED: "rejected",
+};
+
+/**
+ * Score contributed by each rule; the total decides the comment status
+ */
+const SCORES = {
+  honeypot: 100,
+  firstLink: 2,
+  additionalLink: 3,
+  profanity: 5,
+  spamKeyword: 5,
+  duplicate: 6,
+  tooFast: 4,
+};
+
+const DEFAULT_PENDING_THRESHOLD = 4;
+const DEFAULT_REJECT_THRESHOLD = 10;
+const DEFAULT_MIN_SUBMIT_SECONDS = 3;
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+// Short comments ("감사합니다", "Thanks!") are repeated innocently all the time
+const DUPLICATE_MIN_LENGTH = 15;
+
+/**
+ * Read a numeric setting from the environment
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {string} key - Variable name
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+function numberSetting(env, key, fallback) {
+  const value = parseFloat(env?.[key]);
+  return isNaN(value) ? fallback : value;
+}
+
+export class ModerationService {
+  constructor(commentRepository, env) {
+    this.commentRepository = commentRepository;
+    this.env = env;
+    this.pendingThreshold = numberSetting(
+      env,
+      "COMMENT_PENDING_THRESHOLD",
+      DEFAULT_PENDING_THRESHOLD,
+    );
+    this.rejectThreshold = numberSetting(
+      env,
+      "COMMENT_REJECT_THRESHOLD",
+      DEFAULT_REJECT_THRESHOLD,
+    );
+    this.minSubmitSeconds = numberSetting(
+      env,
+      "COMMENT_MIN_SUBMIT_SECONDS",
+      DEFAULT_MIN_SUBMIT_SECONDS,
+    );
+    this.extraBannedWords = (env?.BANNED_WORDS || "")
+      .split(",")
+      .map((word) => word.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Score a new comment and decide whether it is published, held or rejected
+   * @param {number} postId - Post the comment is on
+   * @param {Object} commentData - Submitted comment
+   * @param {string} commentData.content - Comment content
+   * @param {string} commentData.author - Author name
+   * @param {string} [commentData.website] - Honeypot field, must stay empty
+   * @param {number|string} [commentData.renderedAt] - When the form was rendered (epoch ms or ISO)
+   * @param {Date} now - Submission time
+   * @returns {Promise<{status: string, score: number, reasons: Array<string>}>}
+   */
+  async evaluate(postId, commentData, now = new Date()) {
+    const reasons = [];
+    let score = 0;
+
+    const add = (reason, points) => {
+      reasons.push(reason);
+      score += points;
+    };
+
+    // Humans never see the honeypot field, so any value means a bot
+    if (commentData.website) {
+      add("honeypot", SCORES.honeypot);
+    }
+
+    const text = `${commentData.author} ${commentData.content}`;
+
+    const links = countLinks(text);
+    if (links > 0) {
+      add(
+        `links:${links}`,
+        SCORES.firstLink + (links - 1) * SCORES.additionalLink,
+      );
+    }
+
+    const banned = findBannedWords(text, this.extraBannedWords);
+    if (banned.profanity.length > 0) {
+      add("profanity", banned.profanity.length * SCORES.profanity);
+    }
+    if (banned.spam.length > 0) {
+      add("spam_keywords", banned.spam.length * SCORES.spamKeyword);
+    }
+
+    if (
+      commentData.renderedAt !== undefined &&
+      commentData.renderedAt !== null
+    ) {
+      const renderedAt = new Date(commentData.renderedAt).getTime();
+      const elapsedSeconds = (now.getTime() - renderedAt) / 1000;
+      if (isNaN(renderedAt) || elapsedSeconds < this.minSubmitSeconds) {
+        add("too_fast", SCORES.tooFast);
+      }
+    }
+
+    // Only the same author repeating themselves on the same post counts
+    const content = commentData.content.trim();
+    if (Array.from(content).length >= DUPLICATE_MIN_LENGTH) {
+      const since = new Date(now.getTime() - DUPLICATE_WINDOW_MS).toISOString();
+      const duplicates = await this.commentRepository.countRecentDuplicates({
+        postId,
+        authorName: commentData.author,
+        content,
+        since,
+      });
+      if (duplicates > 0) {
+        add("duplicate", SCORES.duplicate);
+      }
+    }
+
+    let status = COMMENT_STATUS.APPROVED;
+    if (score >= this.rejectThreshold) {
+      status = COMMENT_STATUS.REJECTED;
+    } else if (score >= this.pendingThreshold) {
+      status = COMMENT_STATUS.PENDING;
+    }
+
+    return { status, score, reasons };
+  }
+}
+
+/**
+ * Factory function to create ModerationService
+ * @param {Object} commentRepository - CommentRepository instance
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {ModerationService}
+ */
+export function createModerationService(commentRepository, env) {
+  return new ModerationService(commentRepository, env);
+}
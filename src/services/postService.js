@@ -1,5 +1,142 @@
 import { NotFoundError, ValidationError } from "../utils/errors.js";
-import { validatePagination, validateSorting } from "../utils/validation.js";
+import { encodeCursor, decodeCursor } from "../utils/cursor.js";
+import { getSiteConfig } from "../utils/site.js";
+import { getPeriodRange, groupPostsByMonth } from "../utils/archive.js";
+import {
+  getTrendingHalfLifeDays,
+  getViewRetentionDays,
+  parseTrendingWindow,
+} from "../utils/trending.js";
+import {
+  addDays,
+  buildViewSeries,
+  countDays,
+  getZonedDate,
+  parseDate,
+} from "../utils/stats.js";
+import {
+  MARKDOWN_RENDERER_VERSION,
+  renderMarkdown,
+} from "../utils/markdown.js";
+import { analyzeContent, resolveUrl } from "../utils/content.js";
+
+/**
+ * Sortable fields: SQL sort key, the row column it needs selected and the
+ * matching value of a post row. Sort keys are never NULL so they can be
+ * compared in keyset conditions; missing `updated_at` sorts first, as NULL
+ * would.
+ */
+const SORT_KEYS = {
+  createdAt: {
+    column: "p.created_at",
+    select: "created_at",
+    value: (post) => post.created_at,
+  },
+  updatedAt: {
+    column: "COALESCE(p.updated_at, '')",
+    select: "updated_at",
+    value: (post) => post.updated_at ?? "",
+  },
+  views: { column: "p.views", select: "views", value: (post) => post.views },
+  title: { column: "p.title", select: "title", value: (post) => post.title },
+};
+
+export const SORT_FIELDS = Object.keys(SORT_KEYS);
+export const SORT_DIRECTIONS = ["asc", "desc"];
+
+/**
+ * Fields of list items, in output order, with the repository columns each
+ * needs. `embedded` fields are only returned when asked for with `include`;
+ * the others are selected with `fields` (all of them by default). Content
+ * details are cached per post version (see contentDetailsFor), so they need
+ * no content column.
+ */
+const SUMMARY_FIELDS = {
+  id: { columns: ["id"] },
+  slug: { columns: ["slug"] },
+  title: { columns: ["title"] },
+  summary: { columns: ["summary"] },
+  excerpt: { columns: ["summary"] },
+  wordCount: { columns: [] },
+  readingTimeMinutes: { columns: [] },
+  coverImage: { columns: [] },
+  tags: { columns: [], embedded: true },
+  createdAt: { columns: ["created_at"] },
+  updatedAt: { columns: ["updated_at"] },
+  views: { columns: ["views"] },
+  commentCount: { columns: ["comment_count"], embedded: true },
+  content: { columns: ["content"], embedded: true },
+};
+
+/**
+ * Columns every list query selects: the ID and timestamps are needed for
+ * tags, cursors and cache validators even when they are not returned
+ */
+const BASE_COLUMNS = ["id", "created_at", "updated_at"];
+
+const CONTENT_DETAIL_FIELDS = [
+  "excerpt",
+  "wordCount",
+  "readingTimeMinutes",
+  "coverImage",
+];
+
+export const POST_FIELDS = Object.keys(SUMMARY_FIELDS).filter(
+  (name) => !SUMMARY_FIELDS[name].embedded,
+);
+export const POST_INCLUDES = Object.keys(SUMMARY_FIELDS).filter(
+  (name) => SUMMARY_FIELDS[name].embedded,
+);
+
+const DEFAULT_RELATED_LIMIT = 5;
+const MAX_RELATED_LIMIT = 20;
+const DEFAULT_TRENDING_LIMIT = 10;
+const MAX_TRENDING_LIMIT = 50;
+const DEFAULT_STATS_DAYS = 30;
+const MAX_STATS_DAYS = 731;
+export const RENDER_MODES = ["html"];
+const RENDER_CACHE_PREFIX = "render:";
+const RENDER_CACHE_TTL = 30 * 86400;
+const RENDER_MEMORY_ENTRIES = 50;
+const DETAILS_CACHE_PREFIX = "details:";
+const DETAILS_MEMORY_ENTRIES = 1000;
+
+/**
+ * Rendered post content kept for the life of the isolate, keyed like the KV
+ * render cache (oldest entries are evicted first)
+ */
+const renderedContent = new Map();
+
+/**
+ * Content details (see analyzeContent) kept for the life of the isolate,
+ * keyed like the KV details cache
+ */
+const analyzedContent = new Map();
+
+/**
+ * Cache key of something derived from one version of a post's content
+ * @param {string} prefix - Key prefix
+ * @param {Object} post - Post row with `id`, `created_at` and `updated_at`
+ * @returns {string} Cache key
+ */
+function versionKey(prefix, post) {
+  const version = post.updated_at || post.created_at;
+  return `${prefix}${MARKDOWN_RENDERER_VERSION}:${post.id}:${version}`;
+}
+
+/**
+ * Store a value in a size-limited in-memory cache, evicting the oldest entry
+ * @param {Map} cache - Cache
+ * @param {string} key - Key
+ * @param {*} value - Value
+ * @param {number} maxEntries - Maximum number of entries
+ */
+function remember(cache, key, value, maxEntries) {
+  if (!cache.has(key) && cache.size >= maxEntries) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, value);
+}
 
 export class PostService {
   constructor(postRepository, env) {
@@ -8,64 +145,407 @@ export class PostService {
   }
 
   /**
-   * Get paginated list of posts with optional filtering and sorting
+   * Get paginated list of posts with optional filtering and sorting. With a
+   * `cursor`, pages are read by keyset (stable while posts are published)
+   * and `page` is ignored; otherwise classic offset pages are returned.
+   * Options are expected to be validated by the route's query schema.
    * @param {Object} options - Query options
    * @param {string|null} options.tag - Filter by tag name
+   * @param {Array<string>} options.tags - Filter by several tags (see `match`)
+   * @param {string} options.match - "any" (default) or "all" of `tags`
+   * @param {Array<string>} options.excludeTags - Leave out posts with these tags
+   * @param {string|null} options.createdFrom - Only posts created at or after (ISO timestamp)
+   * @param {string|null} options.createdBefore - Only posts created before (ISO timestamp)
    * @param {number} options.page - Page number (0-indexed)
    * @param {number} options.size - Page size
-   * @param {string} options.sort - Sort parameter (e.g., "createdAt,desc")
-   * @returns {Promise<Object>} Paginated response with posts
+   * @param {string} options.sort - One of SORT_FIELDS, optionally followed by
+   *   a comma and one of SORT_DIRECTIONS (e.g., "createdAt,desc")
+   * @param {string|null} options.cursor - Cursor from a previous response
+   * @param {Array<string>|null} options.fields - Fields of each post (see
+   *   POST_FIELDS); all of them, with tags, when null
+   * @param {Array<string>} options.include - Related data to embed (see
+   *   POST_INCLUDES)
+   * @returns {Promise<Object>} Paginated response with posts and cursors, and
+   *   `sources`: ID, timestamps and tags (when fetched) of each post, for
+   *   cache validators
    */
-  async getPosts({ tag = null, page = 0, size = 10, sort = "createdAt,desc" }) {
-    const paginationErrors = validatePagination({ page, size });
-    if (paginationErrors.length > 0) {
-      throw new ValidationError(paginationErrors.join(", "));
-    }
-
-    const allowedSortFields = ["createdAt", "updatedAt", "views", "title"];
-    const sortErrors = validateSorting(sort, allowedSortFields);
-    if (sortErrors.length > 0) {
-      throw new ValidationError(sortErrors.join(", "));
-    }
-
-    const [sortField, sortDirection] = sort.split(",");
+  async getPosts({
+    tag = null,
+    tags = [],
+    match = "any",
+    excludeTags = [],
+    createdFrom = null,
+    createdBefore = null,
+    page = 0,
+    size = 10,
+    sort = "createdAt,desc",
+    cursor = null,
+    fields = null,
+    include = [],
+  }) {
+    const filter = {
+      tag,
+      tags,
+      match,
+      excludeTags,
+      createdFrom,
+      createdBefore,
+    };
 
-    const fieldMapping = {
-      createdAt: "created_at",
-      updatedAt: "updated_at",
-      views: "views",
-      title: "title",
+    const [sortField, sortDirection = "desc"] = sort.split(",");
+    const order = {
+      sort: `${sortField},${sortDirection}`,
+      key: SORT_KEYS[sortField],
+      descending: sortDirection === "desc",
     };
+    const selection = this.summarySelection(fields, include);
+    const columns = [...selection.columns, order.key.select];
 
-    const dbSortField = fieldMapping[sortField] || sortField;
-    const orderClause = `${dbSortField} ${sortDirection.toUpperCase()}`;
+    if (cursor) {
+      return this.getPostsByCursor({
+        filter,
+        size,
+        cursor,
+        order,
+        selection,
+        columns,
+      });
+    }
 
     const offset = page * size;
 
     const [posts, totalElements] = await Promise.all([
-      this.postRepository.findAll({ tag, offset, limit: size, orderClause }),
-      this.postRepository.count(tag),
+      this.postRepository.findAll({
+        ...filter,
+        offset,
+        limit: size,
+        orderClause: this.orderClause(order.key, order.descending),
+        columns,
+      }),
+      this.postRepository.count(filter),
     ]);
 
-    const postIds = posts.map((p) => p.id);
-    const tagsByPost = await this.postRepository.getTagsForPosts(postIds);
-
-    const postsWithTags = posts.map((post) => ({
-      id: post.id,
-      slug: post.slug,
-      title: post.title,
-      summary: post.summary,
-      tags: tagsByPost.get(post.id) || [],
-      createdAt: post.created_at,
-      updatedAt: post.updated_at,
-      views: post.views,
-    }));
+    const hasNext = offset + posts.length < totalElements;
 
     return {
-      content: postsWithTags,
+      ...(await this.formatPostPage(posts, selection)),
       totalElements,
       pageNumber: page,
       pageSize: size,
+      nextCursor: hasNext ? this.cursorFor(posts.at(-1), order, "next") : null,
+      prevCursor:
+        page > 0 && posts.length > 0
+          ? this.cursorFor(posts[0], order, "prev")
+          : null,
+    };
+  }
+
+  /**
+   * Read one page of posts after (or before) a cursor position. One extra row
+   * is fetched to tell whether another page follows in the same direction.
+   * @param {Object} options - Query options
+   * @param {Object} options.filter - Tag filters, as for PostRepository.findAll
+   * @param {number} options.size - Page size
+   * @param {string} options.cursor - Cursor from a previous response
+   * @param {Object} options.order - Resolved sort order
+   * @param {Object} options.selection - Result of summarySelection
+   * @param {Array<string>} options.columns - Repository columns to select
+   * @returns {Promise<Object>} Page of posts with cursors
+   */
+  async getPostsByCursor({ filter, size, cursor, order, selection, columns }) {
+    const position = decodeCursor(cursor);
+    if (position.sort !== order.sort) {
+      throw new ValidationError("Cursor does not match the sort order");
+    }
+
+    // Paging backwards walks the sort order in reverse, then flips the page
+    const backward = position.direction === "prev";
+    const scanDescending = order.descending !== backward;
+
+    const rows = await this.postRepository.findAll({
+      ...filter,
+      limit: size + 1,
+      orderClause: this.orderClause(order.key, scanDescending),
+      columns,
+      keyset: {
+        column: order.key.column,
+        operator: scanDescending ? "<" : ">",
+        value: position.value,
+        id: position.id,
+      },
+    });
+
+    const hasMore = rows.length > size;
+    const posts = rows.slice(0, size);
+    if (backward) {
+      posts.reverse();
+    }
+
+    const hasNext = posts.length > 0 && (backward || hasMore);
+    const hasPrev = posts.length > 0 && (!backward || hasMore);
+
+    return {
+      ...(await this.formatPostPage(posts, selection)),
+      pageSize: size,
+      nextCursor: hasNext ? this.cursorFor(posts.at(-1), order, "next") : null,
+      prevCursor: hasPrev ? this.cursorFor(posts[0], order, "prev") : null,
+    };
+  }
+
+  /**
+   * Build the ORDER BY clause for a sort key, with the post ID as tiebreaker
+   * @param {Object} key - Entry of SORT_KEYS
+   * @param {boolean} descending - Sort direction
+   * @returns {string} SQL ORDER BY clause
+   */
+  orderClause(key, descending) {
+    const direction = descending ? "DESC" : "ASC";
+    return `${key.column} ${direction}, p.id ${direction}`;
+  }
+
+  /**
+   * Create a cursor pointing at a post
+   * @param {Object} post - Post row
+   * @param {Object} order - Resolved sort order
+   * @param {string} direction - "next" or "prev"
+   * @returns {string} Opaque cursor
+   */
+  cursorFor(post, order, direction) {
+    return encodeCursor({
+      sort: order.sort,
+      value: order.key.value(post),
+      id: post.id,
+      direction,
+    });
+  }
+
+  /**
+   * Resolve the fields of list items and the repository columns they need
+   * @param {Array<string>|null} fields - Requested fields, or null for all
+   *   of them and tags
+   * @param {Array<string>} include - Requested embedded data
+   * @returns {{names: Array<string>, columns: Array<string>}} Output fields
+   *   in order, and the columns to select
+   */
+  summarySelection(fields = null, include = []) {
+    const requested = new Set([
+      ...(fields ?? [...POST_FIELDS, "tags"]),
+      ...include,
+    ]);
+    const names = Object.keys(SUMMARY_FIELDS).filter((name) =>
+      requested.has(name),
+    );
+    const columns = new Set(BASE_COLUMNS);
+    for (const name of names) {
+      SUMMARY_FIELDS[name].columns.forEach((column) => columns.add(column));
+    }
+
+    return { names, columns: [...columns] };
+  }
+
+  /**
+   * Format a page of post rows, with the sources callers need for caching
+   * @param {Array} posts - Post rows
+   * @param {Object} selection - Result of summarySelection
+   * @returns {Promise<{content: Array, sources: Array}>} Formatted posts and
+   *   the ID, timestamps and tags (when fetched) of each
+   */
+  async formatPostPage(posts, selection) {
+    const { summaries, tagsByPost } = await this.summarize(posts, selection);
+
+    return {
+      content: summaries,
+      sources: posts.map((post) => ({
+        id: post.id,
+        createdAt: post.created_at,
+        updatedAt: post.updated_at,
+        tags: tagsByPost?.get(post.id) ?? [],
+      })),
+    };
+  }
+
+  /**
+   * Format post rows for list responses, with their tags
+   * @param {Array} posts - Post rows
+   * @returns {Promise<Array>} Formatted posts
+   */
+  async formatPostSummaries(posts) {
+    const { summaries } = await this.summarize(posts, this.summarySelection());
+    return summaries;
+  }
+
+  /**
+   * Build list items with the selected fields. Tags are only fetched, and
+   * content only analyzed, when a selected field needs them.
+   * @param {Array} posts - Post rows with the selection's columns
+   * @param {Object} selection - Result of summarySelection
+   * @returns {Promise<{summaries: Array, tagsByPost: Map|null}>} Formatted
+   *   posts, and their tags if fetched
+   */
+  async summarize(posts, { names }) {
+    const tagsByPost = names.includes("tags")
+      ? await this.postRepository.getTagsForPosts(posts.map((p) => p.id))
+      : null;
+    const detailsByPost = names.some((name) =>
+      CONTENT_DETAIL_FIELDS.includes(name),
+    )
+      ? await this.contentDetailsFor(posts)
+      : null;
+
+    const summaries = posts.map((post) => {
+      const values = {
+        id: post.id,
+        slug: post.slug,
+        title: post.title,
+        summary: post.summary,
+        ...detailsByPost?.get(post.id),
+        tags: tagsByPost?.get(post.id) || [],
+        createdAt: post.created_at,
+        updatedAt: post.updated_at,
+        views: post.views,
+        commentCount: post.comment_count,
+        content: post.content,
+      };
+      return Object.fromEntries(names.map((name) => [name, values[name]]));
+    });
+
+    return { summaries, tagsByPost };
+  }
+
+  /**
+   * Details computed from the content of posts. `excerpt` is the author's
+   * summary when there is one, otherwise the start of the content as text.
+   * Content is analyzed once per post version: results are cached in memory
+   * and, when bound, in the CACHE KV namespace, and content is only read for
+   * posts whose details are not cached yet.
+   * @param {Array} posts - Post rows with `id`, `summary`, `created_at` and
+   *   `updated_at` (and `content`, if already loaded)
+   * @returns {Promise<Map<number, {excerpt: string, wordCount: number, readingTimeMinutes: number, coverImage: string|null}>>}
+   *   Details by post ID
+   */
+  async contentDetailsFor(posts) {
+    const analyses = new Map();
+    const missing = [];
+
+    await Promise.all(
+      posts.map(async (post) => {
+        const key = versionKey(DETAILS_CACHE_PREFIX, post);
+        const analysis =
+          analyzedContent.get(key) ??
+          (this.env?.CACHE ? await this.env.CACHE.get(key, "json") : null);
+        if (analysis) {
+          analyses.set(post.id, analysis);
+        } else {
+          missing.push(post);
+        }
+      }),
+    );
+
+    const contents = await this.postRepository.getContentForPosts(
+      missing.filter((post) => post.content === undefined).map((p) => p.id),
+    );
+    await Promise.all(
+      missing.map(async (post) => {
+        const analysis = analyzeContent(
+          post.content ?? contents.get(post.id) ?? "",
+        );
+        analyses.set(post.id, analysis);
+
+        if (this.env?.CACHE) {
+          await this.env.CACHE.put(
+            versionKey(DETAILS_CACHE_PREFIX, post),
+            JSON.stringify(analysis),
+            { expirationTtl: RENDER_CACHE_TTL },
+          );
+        }
+      }),
+    );
+
+    const baseUrl = getSiteConfig(this.env).url;
+    const detailsByPost = new Map();
+    for (const post of posts) {
+      const analysis = analyses.get(post.id);
+      remember(
+        analyzedContent,
+        versionKey(DETAILS_CACHE_PREFIX, post),
+        analysis,
+        DETAILS_MEMORY_ENTRIES,
+      );
+      detailsByPost.set(post.id, {
+        excerpt: post.summary?.trim() ? post.summary : analysis.excerpt,
+        wordCount: analysis.wordCount,
+        readingTimeMinutes: analysis.readingTimeMinutes,
+        coverImage: analysis.coverImage
+          ? resolveUrl(analysis.coverImage, baseUrl)
+          : null,
+      });
+    }
+
+    return detailsByPost;
+  }
+
+  /**
+   * Get published post counts by year and month, in the site time zone
+   * @returns {Promise<Object>} Time zone and years (newest first) with their months
+   */
+  async getArchive() {
+    const { timeZone } = getSiteConfig(this.env);
+    const posts = await this.postRepository.findPublishedDates();
+
+    const years = [];
+    for (const { year, month, count } of groupPostsByMonth(posts, timeZone)) {
+      let entry = years.at(-1);
+      if (!entry || entry.year !== year) {
+        entry = { year, count: 0, months: [] };
+        years.push(entry);
+      }
+      entry.count += count;
+      entry.months.push({ month, count });
+    }
+
+    return { timeZone, years };
+  }
+
+  /**
+   * Get the paginated posts published in a year or month, with month
+   * boundaries in the site time zone
+   * @param {Object} options - Query options
+   * @param {string|number} options.year - Four digit year
+   * @param {string|number|null} options.month - Month (1-12), or null for the whole year
+   * @param {number} options.page - Page number (0-indexed)
+   * @param {number} options.size - Page size
+   * @param {string} options.sort - Sort parameter (e.g., "createdAt,desc")
+   * @param {string|null} options.cursor - Cursor from a previous response
+   * @param {Array<string>|null} options.fields - Fields of each post
+   * @param {Array<string>} options.include - Related data to embed
+   * @returns {Promise<Object>} Paginated response with posts and the period
+   */
+  async getArchivePosts({ year, month = null, ...listOptions }) {
+    if (!/^\d{4}$/.test(String(year))) {
+      throw new ValidationError("Year must be a four digit number");
+    }
+
+    let monthNumber = null;
+    if (month !== null && month !== undefined) {
+      monthNumber = /^\d{1,2}$/.test(String(month)) ? Number(month) : NaN;
+      if (!(monthNumber >= 1 && monthNumber <= 12)) {
+        throw new ValidationError("Month must be between 1 and 12");
+      }
+    }
+
+    const { timeZone } = getSiteConfig(this.env);
+    const yearNumber = Number(year);
+    const { start, end } = getPeriodRange(yearNumber, monthNumber, timeZone);
+
+    const data = await this.getPosts({
+      ...listOptions,
+      createdFrom: start,
+      createdBefore: end,
+    });
+
+    return {
+      ...data,
+      period: { year: yearNumber, month: monthNumber, timeZone, start, end },
     };
   }
 
@@ -73,9 +553,16 @@ export class PostService {
    * Get single post by slug or ID
    * If ID is provided, returns redirect information
    * @param {string} slug - Post slug or numeric ID
+   * @param {Object} options - Response options
+   * @param {boolean} options.includeNeighbors - Add `previous` (older) and `next` (newer) posts
+   * @param {string|null} options.neighborTag - Only navigate between posts with this tag
+   * @param {string|null} options.render - "html" to add `contentHtml` and `toc`
    * @returns {Promise<Object>} Post data or redirect info
    */
-  async getPostBySlug(slug) {
+  async getPostBySlug(
+    slug,
+    { includeNeighbors = false, neighborTag = null, render = null } = {},
+  ) {
     if (!slug) {
       throw new ValidationError("Slug parameter is required");
     }
@@ -101,30 +588,194 @@ export class PostService {
       throw new NotFoundError("Post not found");
     }
 
-    const tags = await this.postRepository.getTagsForPost(post.id);
+    const [tags, neighbors, detailsByPost] = await Promise.all([
+      this.postRepository.getTagsForPost(post.id),
+      includeNeighbors
+        ? this.postRepository.findNeighbors(post, neighborTag)
+        : null,
+      this.contentDetailsFor([post]),
+    ]);
+
+    const data = {
+      id: post.id,
+      slug: post.slug,
+      title: post.title,
+      content: post.content,
+      summary: post.summary,
+      ...detailsByPost.get(post.id),
+      tags,
+      createdAt: post.created_at,
+      updatedAt: post.updated_at,
+      views: post.views,
+    };
+
+    if (neighbors) {
+      data.previous = this.formatNeighbor(neighbors.previous);
+      data.next = this.formatNeighbor(neighbors.next);
+    }
+
+    if (render === "html") {
+      const { html, toc } = await this.renderContent(post);
+      data.contentHtml = html;
+      data.toc = toc;
+    }
 
     return {
       redirect: false,
-      data: {
-        id: post.id,
-        slug: post.slug,
-        title: post.title,
-        content: post.content,
-        summary: post.summary,
-        tags,
-        createdAt: post.created_at,
-        updatedAt: post.updated_at,
-        views: post.views,
-      },
+      data,
+    };
+  }
+
+  /**
+   * Render a post's Markdown content to HTML. Renders are cached per post
+   * version (`updated_at`) in memory and, when bound, in the CACHE KV
+   * namespace, so an edit is picked up on the next request.
+   * @param {Object} post - Post row with `id`, `content`, `created_at` and `updated_at`
+   * @returns {Promise<{html: string, toc: Array}>} Rendered HTML and table of contents
+   */
+  async renderContent(post) {
+    const key = versionKey(RENDER_CACHE_PREFIX, post);
+
+    if (renderedContent.has(key)) {
+      return renderedContent.get(key);
+    }
+
+    let rendered = this.env?.CACHE
+      ? await this.env.CACHE.get(key, "json")
+      : null;
+
+    if (!rendered) {
+      rendered = renderMarkdown(post.content);
+
+      if (this.env?.CACHE) {
+        await this.env.CACHE.put(key, JSON.stringify(rendered), {
+          expirationTtl: RENDER_CACHE_TTL,
+        });
+      }
+    }
+
+    remember(renderedContent, key, rendered, RENDER_MEMORY_ENTRIES);
+
+    return rendered;
+  }
+
+  /**
+   * Format a previous/next navigation link
+   * @param {Object|null} post - Neighbor post row
+   * @returns {Object|null} Navigation link
+   */
+  formatNeighbor(post) {
+    if (!post) {
+      return null;
+    }
+
+    return {
+      id: post.id,
+      slug: post.slug,
+      title: post.title,
+      createdAt: post.created_at,
     };
   }
 
   /**
-   * Increment view count for a post
+   * Get published posts related to a post by shared tags
+   * @param {string} slug - Post slug or numeric ID
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of posts (default: RELATED_POSTS_LIMIT or 5)
+   * @returns {Promise<Array>} Related posts in list item shape
+   */
+  async getRelatedPosts(slug, { limit = null } = {}) {
+    if (!slug) {
+      throw new ValidationError("Slug parameter is required");
+    }
+
+    const size = limit ?? this.defaultRelatedLimit;
+    if (!Number.isInteger(size) || size < 1 || size > MAX_RELATED_LIMIT) {
+      throw new ValidationError(
+        `Limit must be between 1 and ${MAX_RELATED_LIMIT}`,
+      );
+    }
+
+    const post = /^\d+$/.test(slug)
+      ? await this.postRepository.findById(parseInt(slug, 10))
+      : await this.postRepository.findBySlug(slug);
+
+    if (!post) {
+      throw new NotFoundError("Post not found");
+    }
+
+    const tags = await this.postRepository.getTagsForPost(post.id);
+    const related = await this.postRepository.findRelated(post.id, tags, size);
+
+    return this.formatPostSummaries(related);
+  }
+
+  /**
+   * Default number of related posts
+   * @returns {number}
+   */
+  get defaultRelatedLimit() {
+    const limit = parseInt(this.env?.RELATED_POSTS_LIMIT, 10);
+    return limit >= 1 && limit <= MAX_RELATED_LIMIT
+      ? limit
+      : DEFAULT_RELATED_LIMIT;
+  }
+
+  /**
+   * Get published posts with the most time-decayed views in a recent window
+   * @param {Object} options - Query options
+   * @param {string|null} options.window - Window such as "7d" (default: 7 days)
+   * @param {number|null} options.limit - Maximum number of posts (default: 10)
+   * @returns {Promise<Object>} Window details and posts with `recentViews` and `score`
+   */
+  async getTrendingPosts({ window = null, limit = null } = {}) {
+    const days = parseTrendingWindow(window, this.env);
+
+    const size = limit ?? DEFAULT_TRENDING_LIMIT;
+    if (!Number.isInteger(size) || size < 1 || size > MAX_TRENDING_LIMIT) {
+      throw new ValidationError(
+        `Limit must be between 1 and ${MAX_TRENDING_LIMIT}`,
+      );
+    }
+
+    const today = getZonedDate(Date.now(), getSiteConfig(this.env).timeZone);
+    const since = addDays(today, 1 - days);
+    const halfLifeDays = getTrendingHalfLifeDays(this.env);
+
+    const posts = await this.postRepository.findTrending({
+      since,
+      today,
+      halfLifeDays,
+      limit: size,
+    });
+    const summaries = await this.formatPostSummaries(posts);
+
+    return {
+      window: `${days}d`,
+      since,
+      halfLifeDays,
+      content: summaries.map((summary, index) => ({
+        ...summary,
+        recentViews: posts[index].recent_views,
+        score: Math.round(posts[index].score * 1000) / 1000,
+      })),
+    };
+  }
+
+  /**
+   * Count a view of a post. Each visitor fingerprint is counted at most once
+   * per post per dedup window; without a fingerprint every view is counted.
+   * Automated requests are never counted.
    * @param {string|number} postId - Post ID
-   * @returns {Promise<Object>} Updated view count
+   * @param {Object} visitor - Visitor information
+   * @param {string|null} visitor.fingerprint - Hashed visitor fingerprint
+   * @param {string|null} visitor.automatedReason - Why the request looks automated, if it does
+   * @returns {Promise<Object>} Current view count and whether this view was counted
    */
-  async incrementPostViews(postId) {
+  async incrementPostViews(
+    postId,
+    { fingerprint = null, automatedReason = null },
+  ) {
     if (!postId) {
       throw new ValidationError("Post ID is required");
     }
@@ -134,15 +785,112 @@ export class PostService {
       throw new ValidationError("Invalid post ID");
     }
 
-    await this.postRepository.incrementViews(id);
+    const currentViews = await this.postRepository.getViews(id);
+
+    if (currentViews === null) {
+      throw new NotFoundError("Post not found");
+    }
+
+    if (automatedReason) {
+      return { views: currentViews, counted: false, reason: automatedReason };
+    }
+
+    const now = new Date();
+    const { counted, views } = await this.postRepository.recordView({
+      postId: id,
+      fingerprint,
+      viewedAt: now.toISOString(),
+      day: getZonedDate(now, getSiteConfig(this.env).timeZone),
+    });
+
+    return counted
+      ? { views, counted: true }
+      : { views, counted: false, reason: "duplicate" };
+  }
+
+  /**
+   * Get a post's views over time. Dates are calendar days in the site time
+   * zone; `to` defaults to today and `from` to 29 days before `to`.
+   * @param {string|number} postId - Post ID
+   * @param {Object} options - Query options
+   * @param {string|null} options.from - First day (YYYY-MM-DD), inclusive
+   * @param {string|null} options.to - Last day (YYYY-MM-DD), inclusive
+   * @param {string} options.granularity - "day", "week" (from Monday) or "month"
+   * @returns {Promise<Object>} Range, gap-filled series and totals
+   */
+  async getPostStats(postId, { from = null, to = null, granularity = "day" }) {
+    if (!/^\d+$/.test(String(postId))) {
+      throw new ValidationError("Invalid post ID");
+    }
+    const id = parseInt(postId, 10);
+
+    const { timeZone } = getSiteConfig(this.env);
+    const end = to ?? getZonedDate(Date.now(), timeZone);
+    const start = from ?? addDays(end, 1 - DEFAULT_STATS_DAYS);
 
-    const views = await this.postRepository.getViews(id);
+    if (parseDate(start) === null || parseDate(end) === null) {
+      throw new ValidationError("Dates must be valid YYYY-MM-DD dates");
+    }
+    if (start > end) {
+      throw new ValidationError("The from date must not be after the to date");
+    }
+    if (countDays(start, end) > MAX_STATS_DAYS) {
+      throw new ValidationError(
+        `Date range must not exceed ${MAX_STATS_DAYS} days`,
+      );
+    }
 
-    if (views === null) {
+    const post = await this.postRepository.findById(id);
+    if (!post) {
       throw new NotFoundError("Post not found");
     }
 
-    return { views };
+    const rows = await this.postRepository.findDailyViews(id, start, end);
+    const series = buildViewSeries(rows, {
+      from: start,
+      to: end,
+      granularity,
+    });
+    const views = rows.reduce((sum, row) => sum + row.views, 0);
+    const peak = rows.reduce(
+      (best, row) => (!best || row.views > best.views ? row : best),
+      null,
+    );
+
+    return {
+      postId: id,
+      from: start,
+      to: end,
+      granularity,
+      timeZone,
+      series,
+      totals: {
+        views,
+        averagePerDay: Math.round((views / countDays(start, end)) * 100) / 100,
+        peakDay: peak ? { date: peak.day, views: peak.views } : null,
+        lifetimeViews: post.views,
+      },
+    };
+  }
+
+  /**
+   * Delete view fingerprints whose dedup window has ended
+   * @param {number} windowMs - Dedup window length in milliseconds
+   * @returns {Promise<number>} Number of deleted fingerprints
+   */
+  async pruneViewFingerprints(windowMs) {
+    const before = new Date(Date.now() - windowMs).toISOString();
+    return this.postRepository.deleteViewFingerprintsBefore(before);
+  }
+
+  /**
+   * Delete daily view totals older than the view retention period
+   * @returns {Promise<number>} Number of deleted rows
+   */
+  async pruneDailyViews() {
+    const today = getZonedDate(Date.now(), getSiteConfig(this.env).timeZone);
+    const before = addDays(today, 1 - getViewRetentionDays(this.env));
+    return this.postRepository.deleteDailyViewsBefore(before);
   }
 }
 
@@ -0,0 +1,347 @@
+import { ValidationError } from "../utils/errors.js";
+import { escapeHtml } from "../utils/html.js";
+import {
+  containsHangul,
+  splitWords,
+  wordNgrams,
+  toIndexTokens,
+  toSuggestionKeys,
+  toSuggestionQuery,
+} from "../utils/hangul.js";
+import {
+  SNIPPET_MATCH_START,
+  SNIPPET_MATCH_END,
+} from "../repositories/searchRepository.js";
+
+const MAX_QUERY_LENGTH = 100;
+const MAX_QUERY_TERMS = 10;
+const MAX_SUGGEST_QUERY_LENGTH = 50;
+const MAX_SUGGESTIONS = 20;
+const SNIPPET_RADIUS = 40;
+
+export const SEARCH_MODES = ["auto", "standard", "ngram"];
+
+/**
+ * Turn free-form user input into a safe FTS5 match expression.
+ * Every term is quoted so FTS5 operators in the input are matched literally;
+ * the last term is a prefix query so partially typed words still match.
+ * @param {string} input - Raw search query
+ * @returns {string|null} Match expression, or null if no searchable terms remain
+ */
+export function buildMatchExpression(input) {
+  const terms = input
+    .split(/\s+/)
+    .map((term) => term.replace(/"/g, ""))
+    .filter((term) => /[\p{L}\p{N}]/u.test(term))
+    .slice(0, MAX_QUERY_TERMS);
+
+  if (terms.length === 0) {
+    return null;
+  }
+
+  return terms
+    .map((term, index) =>
+      index === terms.length - 1 ? `"${term}"*` : `"${term}"`,
+    )
+    .join(" ");
+}
+
+/**
+ * Convert a raw snippet() result into HTML with <mark>-highlighted matches
+ * @param {string|null} snippet - Snippet with control-character match markers
+ * @returns {string} HTML-escaped snippet
+ */
+export function highlightSnippet(snippet) {
+  return escapeHtml(snippet || "")
+    .split(SNIPPET_MATCH_START)
+    .join("<mark>")
+    .split(SNIPPET_MATCH_END)
+    .join("</mark>");
+}
+
+/**
+ * Turn free-form user input into a match expression for the n-gram index.
+ * Hangul words are split into trigrams (bigrams for two-syllable words) and
+ * OR-ed together, so "클라우드플레어에서" still matches a post that only
+ * contains "클라우드플레어"; bm25 ranks posts sharing more n-grams higher.
+ * Different words are AND-ed.
+ * @param {string} input - Raw search query
+ * @returns {string|null} Match expression, or null if no searchable terms remain
+ */
+export function buildNgramMatchExpression(input) {
+  const words = splitWords(input).slice(0, MAX_QUERY_TERMS);
+
+  if (words.length === 0) {
+    return null;
+  }
+
+  return words
+    .map((word) => {
+      if (!containsHangul(word)) {
+        return `"${word}"*`;
+      }
+      if (Array.from(word).length === 1) {
+        return `"${word}"*`;
+      }
+      const grams = wordNgrams(word, 3).map((gram) => `"${gram}"`);
+      return grams.length > 1 ? `(${grams.join(" OR ")})` : grams[0];
+    })
+    .join(" ");
+}
+
+/**
+ * Build an HTML snippet around the first match of the query's n-grams
+ * @param {string} text - Source text (title, summary or content)
+ * @param {string} query - Raw search query
+ * @returns {string|null} HTML-escaped snippet with <mark> tags, or null if nothing matches
+ */
+export function buildNgramSnippet(text, query) {
+  const source = (text || "").replace(/\s+/g, " ").trim();
+  const lower = source.toLowerCase();
+
+  const needles = splitWords(query).flatMap((word) =>
+    containsHangul(word) ? wordNgrams(word, 3) : [word],
+  );
+
+  const ranges = [];
+  for (const needle of needles) {
+    let index = lower.indexOf(needle);
+    while (index !== -1) {
+      ranges.push([index, index + needle.length]);
+      index = lower.indexOf(needle, index + 1);
+    }
+  }
+
+  if (ranges.length === 0) {
+    return null;
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const start = Math.max(0, ranges[0][0] - SNIPPET_RADIUS);
+  const end = Math.min(source.length, ranges[0][0] + SNIPPET_RADIUS * 2);
+
+  // Merge overlapping match ranges inside the window
+  const merged = [];
+  for (const [from, to] of ranges) {
+    if (from >= end) break;
+    const last = merged[merged.length - 1];
+    if (last && from <= last[1]) {
+      last[1] = Math.max(last[1], to);
+    } else {
+      merged.push([Math.max(from, start), Math.min(to, end)]);
+    }
+  }
+
+  let html = start > 0 ? "…" : "";
+  let cursor = start;
+  for (const [from, to] of merged) {
+    html += escapeHtml(source.slice(cursor, from));
+    html += `<mark>${escapeHtml(source.slice(from, Math.min(to, end)))}</mark>`;
+    cursor = Math.min(to, end);
+  }
+  html += escapeHtml(source.slice(cursor, end));
+  if (end < source.length) html += "…";
+
+  return html;
+}
+
+export class SearchService {
+  constructor(searchRepository, postRepository, env) {
+    this.searchRepository = searchRepository;
+    this.postRepository = postRepository;
+    this.env = env;
+  }
+
+  /**
+   * Full-text search over published posts
+   * @param {Object} options - Query options
+   * @param {string} options.q - Search query
+   * @param {string|null} options.tag - Filter by tag name
+   * @param {number} options.page - Page number (0-indexed)
+   * @param {number} options.size - Page size
+   * @param {string|null} options.mode - "standard" (word index), "ngram" (Hangul
+   *   n-gram index) or "auto" (n-gram when the query contains Hangul)
+   * @returns {Promise<Object>} Paginated response with ranked posts and snippets
+   */
+  async searchPosts({ q, tag = null, page = 0, size = 10, mode = null }) {
+    if (!q || typeof q !== "string" || q.trim().length === 0) {
+      throw new ValidationError("Search query (q) is required");
+    }
+
+    if (q.length > MAX_QUERY_LENGTH) {
+      throw new ValidationError(
+        `Search query must not exceed ${MAX_QUERY_LENGTH} characters`,
+      );
+    }
+
+    const searchMode = mode || this.env?.SEARCH_MODE || "auto";
+    if (!SEARCH_MODES.includes(searchMode)) {
+      throw new ValidationError(
+        `Search mode must be one of: ${SEARCH_MODES.join(", ")}`,
+      );
+    }
+
+    const useNgram =
+      searchMode === "ngram" || (searchMode === "auto" && containsHangul(q));
+
+    const match = useNgram
+      ? buildNgramMatchExpression(q)
+      : buildMatchExpression(q);
+    if (!match) {
+      return {
+        content: [],
+        totalElements: 0,
+        pageNumber: page,
+        pageSize: size,
+      };
+    }
+
+    const offset = page * size;
+
+    const [posts, totalElements] = await Promise.all(
+      useNgram
+        ? [
+            this.searchRepository.searchNgram({
+              match,
+              tag,
+              offset,
+              limit: size,
+            }),
+            this.searchRepository.countNgram({ match, tag }),
+          ]
+        : [
+            this.searchRepository.search({ match, tag, offset, limit: size }),
+            this.searchRepository.count({ match, tag }),
+          ],
+    );
+
+    const postIds = posts.map((p) => p.id);
+    const tagsByPost = await this.postRepository.getTagsForPosts(postIds);
+
+    const results = posts.map((post) => ({
+      id: post.id,
+      slug: post.slug,
+      title: post.title,
+      summary: post.summary,
+      tags: tagsByPost.get(post.id) || [],
+      createdAt: post.created_at,
+      updatedAt: post.updated_at,
+      views: post.views,
+      snippet: useNgram
+        ? buildNgramSnippet(post.content, q) ||
+          buildNgramSnippet(post.summary, q) ||
+          buildNgramSnippet(post.title, q) ||
+          escapeHtml(post.summary)
+        : highlightSnippet(post.snippet),
+    }));
+
+    return {
+      content: results,
+      totalElements,
+      pageNumber: page,
+      pageSize: size,
+    };
+  }
+
+  /**
+   * Autocomplete over published post titles and tag names. Initial consonants
+   * in the query match whole syllables, so "ㅋㄹㅇㄷ" suggests "클라우드".
+   * @param {Object} options - Query options
+   * @param {string} options.q - Partial query
+   * @param {number} options.limit - Maximum number of suggestions
+   * @returns {Promise<Array>} Suggestions, best first
+   */
+  async suggest({ q, limit = 10 }) {
+    if (!q || typeof q !== "string" || q.trim().length === 0) {
+      throw new ValidationError("Search query (q) is required");
+    }
+
+    if (q.length > MAX_SUGGEST_QUERY_LENGTH) {
+      throw new ValidationError(
+        `Search query must not exceed ${MAX_SUGGEST_QUERY_LENGTH} characters`,
+      );
+    }
+
+    if (isNaN(limit) || limit < 1 || limit > MAX_SUGGESTIONS) {
+      throw new ValidationError(
+        `Limit must be between 1 and ${MAX_SUGGESTIONS}`,
+      );
+    }
+
+    const rows = await this.searchRepository.findSuggestions({
+      ...toSuggestionQuery(q),
+      limit,
+    });
+
+    return rows.map((row) =>
+      row.type === "tag"
+        ? { type: "tag", label: row.label, postCount: row.post_count }
+        : { type: "post", label: row.label, id: row.id, slug: row.slug },
+    );
+  }
+
+  /**
+   * Bring the Hangul n-gram index and title suggestions up to date: index new
+   * or changed published posts and drop deleted or unpublished ones
+   * @param {Object} options - Sync options
+   * @param {number} options.batchSize - Maximum posts to re-index per run
+   * @returns {Promise<{indexed: number, removed: number}>} Sync summary
+   */
+  async syncNgramIndex({ batchSize = 50 } = {}) {
+    const [stalePosts, orphanedIds] = await Promise.all([
+      this.searchRepository.findStaleNgramPosts(batchSize),
+      this.searchRepository.findOrphanedNgramPostIds(),
+    ]);
+
+    const entries = stalePosts.map((post) => ({
+      postId: post.id,
+      title: toIndexTokens(post.title).join(" "),
+      body: toIndexTokens(`${post.summary || ""} ${post.content || ""}`).join(
+        " ",
+      ),
+      indexedUpdatedAt: post.indexed_updated_at,
+      suggestionKeys: toSuggestionKeys(post.title, MAX_SUGGEST_QUERY_LENGTH),
+    }));
+
+    await this.searchRepository.saveNgramEntries(entries);
+    await this.searchRepository.removeNgramEntries(orphanedIds);
+
+    return { indexed: entries.length, removed: orphanedIds.length };
+  }
+
+  /**
+   * Bring tag name suggestions up to date: index new or renamed tags and drop
+   * deleted ones
+   * @param {Object} options - Sync options
+   * @param {number} options.batchSize - Maximum tags to re-index per run
+   * @returns {Promise<{indexed: number, removed: number}>} Sync summary
+   */
+  async syncTagSuggestions({ batchSize = 50 } = {}) {
+    const [staleTags, orphanedIds] = await Promise.all([
+      this.searchRepository.findStaleSuggestionTags(batchSize),
+      this.searchRepository.findOrphanedSuggestionTagIds(),
+    ]);
+
+    const entries = staleTags.map((tag) => ({
+      tagId: tag.id,
+      name: tag.name,
+      suggestionKeys: toSuggestionKeys(tag.name, MAX_SUGGEST_QUERY_LENGTH),
+    }));
+
+    await this.searchRepository.saveTagSuggestions(entries);
+    await this.searchRepository.removeTagSuggestions(orphanedIds);
+
+    return { indexed: entries.length, removed: orphanedIds.length };
+  }
+}
+
+/**
+ * Factory function to create SearchService
+ * @param {Object} searchRepository - SearchRepository instance
+ * @param {Object} postRepository - PostRepository instance
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {SearchService}
+ */
+export function createSearchService(searchRepository, postRepository, env) {
+  return new SearchService(searchRepository, postRepository, env);
+}
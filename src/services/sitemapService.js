@@ -1,6 +1,30 @@
+import { NotFoundError } from "../utils/errors.js";
+import { escapeXml, toRfc3339Date } from "../utils/xml.js";
+import { getSiteConfig, postUrl, tagUrl, archiveUrl } from "../utils/site.js";
+import { groupPostsByMonth } from "../utils/archive.js";
+
+/**
+ * Maximum number of URLs a single sitemap file may contain (sitemaps.org)
+ */
+export const MAX_URLS_PER_SITEMAP = 50000;
+
 export class SitemapService {
-  constructor(tagRepository) {
+  constructor(tagRepository, env = {}) {
     this.tagRepository = tagRepository;
+    this.env = env;
+    this.site = getSiteConfig(env);
+  }
+
+  /**
+   * URLs per sitemap file: SITEMAP_MAX_URLS clamped to 1-50000, or the
+   * protocol limit when it is not a number
+   * @returns {number}
+   */
+  get maxUrls() {
+    const configured = parseInt(this.env?.SITEMAP_MAX_URLS, 10);
+    return isNaN(configured)
+      ? MAX_URLS_PER_SITEMAP
+      : Math.min(Math.max(configured, 1), MAX_URLS_PER_SITEMAP);
   }
 
   /**
@@ -11,13 +35,170 @@ export class SitemapService {
     const slugs = await this.tagRepository.findAllPublishedSlugs();
     return slugs;
   }
+
+  /**
+   * Collect every public URL of the blog with its last modification date
+   * @returns {Promise<Array<{loc: string, lastmod: string|null}>>} Sitemap entries
+   */
+  async collectUrls() {
+    const [posts, tags] = await Promise.all([
+      this.tagRepository.findAllPublishedForSitemap(),
+      this.tagRepository.findActiveWithLastmod(),
+    ]);
+    const periods = groupPostsByMonth(posts, this.site.timeZone);
+
+    const latest = posts.reduce((max, post) => {
+      const lastmod = post.updated_at || post.created_at;
+      return !max || lastmod > max ? lastmod : max;
+    }, null);
+
+    const urls = [{ loc: this.site.url, lastmod: latest }];
+
+    for (const post of posts) {
+      urls.push({
+        loc: postUrl(this.site, post.slug),
+        lastmod: post.updated_at || post.created_at,
+      });
+    }
+
+    for (const tag of tags) {
+      urls.push({ loc: tagUrl(this.site, tag.name), lastmod: tag.lastmod });
+    }
+
+    // Yearly archive pages, followed by their monthly pages
+    const years = new Map();
+    for (const period of periods) {
+      const current = years.get(period.year);
+      if (!current || period.lastmod > current) {
+        years.set(period.year, period.lastmod);
+      }
+    }
+    for (const [year, lastmod] of years) {
+      urls.push({ loc: archiveUrl(this.site, year), lastmod });
+    }
+    for (const period of periods) {
+      urls.push({
+        loc: archiveUrl(this.site, period.year, period.month),
+        lastmod: period.lastmod,
+      });
+    }
+
+    return urls;
+  }
+
+  /**
+   * Generate /sitemap.xml: a urlset, or a sitemap index once the URL count
+   * exceeds the per-file limit
+   * @param {string} origin - Origin the child sitemaps are served from
+   * @returns {Promise<{xml: string, isIndex: boolean, urlCount: number}>}
+   */
+  async generateSitemapXml(origin) {
+    const urls = await this.collectUrls();
+
+    if (urls.length > this.maxUrls) {
+      return {
+        xml: this.renderIndex(origin, this.pageCount(urls.length)),
+        isIndex: true,
+        urlCount: urls.length,
+      };
+    }
+
+    return {
+      xml: this.renderUrlset(urls),
+      isIndex: false,
+      urlCount: urls.length,
+    };
+  }
+
+  /**
+   * Generate /sitemap-index.xml listing every numbered child sitemap
+   * @param {string} origin - Origin the child sitemaps are served from
+   * @returns {Promise<{xml: string, pageCount: number}>}
+   */
+  async generateSitemapIndex(origin) {
+    const urls = await this.collectUrls();
+    const pageCount = this.pageCount(urls.length);
+
+    return { xml: this.renderIndex(origin, pageCount), pageCount };
+  }
+
+  /**
+   * Generate a numbered child sitemap (1-indexed)
+   * @param {number} page - Child sitemap number
+   * @returns {Promise<{xml: string, urlCount: number}>}
+   */
+  async generateSitemapPage(page) {
+    const urls = await this.collectUrls();
+    const pageCount = this.pageCount(urls.length);
+
+    if (!Number.isInteger(page) || page < 1 || page > pageCount) {
+      throw new NotFoundError("Sitemap not found");
+    }
+
+    const start = (page - 1) * this.maxUrls;
+    const slice = urls.slice(start, start + this.maxUrls);
+
+    return { xml: this.renderUrlset(slice), urlCount: slice.length };
+  }
+
+  /**
+   * Number of child sitemaps needed for a URL count (at least one)
+   * @param {number} urlCount - Total URL count
+   * @returns {number}
+   */
+  pageCount(urlCount) {
+    return Math.max(1, Math.ceil(urlCount / this.maxUrls));
+  }
+
+  /**
+   * Render a sitemaps.org urlset document
+   * @param {Array<{loc: string, lastmod: string|null}>} urls - Sitemap entries
+   * @returns {string} XML document
+   */
+  renderUrlset(urls) {
+    const entries = urls
+      .map((url) => {
+        const lastmod = url.lastmod
+          ? `\n    <lastmod>${toRfc3339Date(url.lastmod)}</lastmod>`
+          : "";
+        return `  <url>\n    <loc>${escapeXml(url.loc)}</loc>${lastmod}\n  </url>`;
+      })
+      .join("\n");
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries}
+</urlset>
+`;
+  }
+
+  /**
+   * Render a sitemaps.org sitemapindex document
+   * @param {string} origin - Origin the child sitemaps are served from
+   * @param {number} pageCount - Number of child sitemaps
+   * @returns {string} XML document
+   */
+  renderIndex(origin, pageCount) {
+    const entries = Array.from(
+      { length: pageCount },
+      (_, i) =>
+        `  <sitemap>\n    <loc>${escapeXml(`${origin}/sitemaps/${i + 1}.xml`)}</loc>\n  </sitemap>`,
+    ).join("\n");
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries}
+</sitemapindex>
+`;
+  }
 }
 
 /**
  * Factory function to create SitemapService
  * @param {Object} tagRepository - TagRepository instance
+ * @param {Object} env - Cloudflare Worker environment
  * @returns {SitemapService}
  */
-export function createSitemapService(tagRepository) {
-  return new SitemapService(tagRepository);
+export function createSitemapService(tagRepository, env) {
+  return new SitemapService(tagRepository, env);
 }
@@ -0,0 +1,52 @@
+/**
+ * Date archive helpers: year/month periods in the site time zone
+ */
+
+import { getZonedParts, zonedMidnightToUtc } from "./timezone.js";
+
+/**
+ * Compute the UTC bounds of a year or month in a time zone
+ * @param {number} year - Year
+ * @param {number|null} month - Month (1-12), or null for the whole year
+ * @param {string} timeZone - IANA time zone name
+ * @returns {{start: string, end: string}} ISO timestamps, start inclusive and end exclusive
+ */
+export function getPeriodRange(year, month, timeZone) {
+  const start = zonedMidnightToUtc(year, month ?? 1, 1, timeZone);
+  const end = month
+    ? zonedMidnightToUtc(year, month + 1, 1, timeZone)
+    : zonedMidnightToUtc(year + 1, 1, 1, timeZone);
+
+  return { start: start.toISOString(), end: end.toISOString() };
+}
+
+/**
+ * Group posts into the year/month periods they were published in. Grouping
+ * happens here rather than in SQL because SQLite has no time zone support.
+ * @param {Array<Object>} posts - Post rows with `created_at` and `updated_at`
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Array<{year: number, month: number, count: number, lastmod: string}>} Periods, newest first
+ */
+export function groupPostsByMonth(posts, timeZone) {
+  const periods = new Map();
+
+  for (const post of posts) {
+    const { year, month } = getZonedParts(post.created_at, timeZone);
+    const key = year * 100 + month;
+    const lastmod = post.updated_at || post.created_at;
+
+    const period = periods.get(key);
+    if (period) {
+      period.count += 1;
+      if (lastmod > period.lastmod) {
+        period.lastmod = lastmod;
+      }
+    } else {
+      periods.set(key, { year, month, count: 1, lastmod });
+    }
+  }
+
+  return [...periods.entries()]
+    .sort(([a], [b]) => b - a)
+    .map(([, period]) => period);
+}
@@ -0,0 +1,331 @@
+/**
+ * Response caching for read endpoints, backed by the CACHE KV namespace
+ *
+ * KV is used rather than the Cache API because Cache API purges only reach a
+ * single colo, while tag invalidation has to be global. Entries are keyed by
+ * the normalized request URL and list their cache tags (e.g. "post:42").
+ * Purging a tag writes one key holding the purge time; a cached entry
+ * generated before the latest purge of any of its tags is a miss. Storing an
+ * entry is a single write and purging never lists keys, whatever the number
+ * of entries. Without the binding, caching is disabled.
+ */
+
+import { sha256Hex } from "./crypto.js";
+
+/**
+ * Default cache policies per route pattern (seconds). `tags` are attached to
+ * every entry of the route in addition to the ones set by the handler via
+ * the Cache-Tag header. Override with the CACHE_POLICIES variable, a JSON
+ * object of the same shape.
+ */
+export const DEFAULT_CACHE_POLICIES = {
+  "GET /posts": { ttl: 60, staleWhileRevalidate: 300, tags: ["posts"] },
+  "GET /posts/trending": {
+    ttl: 300,
+    staleWhileRevalidate: 3600,
+    tags: ["posts"],
+  },
+  "GET /posts/:slug": { ttl: 300, staleWhileRevalidate: 3600, tags: [] },
+  "GET /posts/:postId/stats": {
+    ttl: 300,
+    staleWhileRevalidate: 600,
+    tags: [],
+  },
+  "GET /posts/:slug/related": {
+    ttl: 600,
+    staleWhileRevalidate: 3600,
+    tags: ["posts"],
+  },
+  "GET /comments/:postId": { ttl: 30, staleWhileRevalidate: 60, tags: [] },
+  "GET /tags": { ttl: 600, staleWhileRevalidate: 3600, tags: ["posts"] },
+  "GET /archive": { ttl: 600, staleWhileRevalidate: 3600, tags: ["posts"] },
+  "GET /archive/:year": {
+    ttl: 600,
+    staleWhileRevalidate: 3600,
+    tags: ["posts"],
+  },
+  "GET /archive/:year/:month": {
+    ttl: 600,
+    staleWhileRevalidate: 3600,
+    tags: ["posts"],
+  },
+  "GET /sitemap": { ttl: 3600, staleWhileRevalidate: 86400, tags: ["posts"] },
+  "GET /sitemap.xml": {
+    ttl: 3600,
+    staleWhileRevalidate: 86400,
+    tags: ["posts"],
+  },
+  "GET /sitemap-index.xml": {
+    ttl: 3600,
+    staleWhileRevalidate: 86400,
+    tags: ["posts"],
+  },
+  "GET /sitemaps/:page": {
+    ttl: 3600,
+    staleWhileRevalidate: 86400,
+    tags: ["posts"],
+  },
+  "GET /feed.xml": { ttl: 900, staleWhileRevalidate: 3600, tags: ["posts"] },
+  "GET /atom.xml": { ttl: 900, staleWhileRevalidate: 3600, tags: ["posts"] },
+  "GET /feed.json": { ttl: 900, staleWhileRevalidate: 3600, tags: ["posts"] },
+  "GET /search": { ttl: 60, staleWhileRevalidate: 300, tags: ["posts"] },
+  "GET /search/suggest": {
+    ttl: 300,
+    staleWhileRevalidate: 3600,
+    tags: ["posts"],
+  },
+};
+
+const CACHE_TAG_HEADER = "Cache-Tag";
+const ENTRY_PREFIX = "entry:";
+const PURGE_PREFIX = "purged:";
+const KV_MIN_EXPIRATION_TTL = 60;
+const KV_BULK_GET_LIMIT = 100;
+
+/**
+ * Query parameters that never change a response (analytics decorations)
+ */
+const IGNORED_PARAMS = /^(utm_\w+|fbclid|gclid|ref)$/;
+
+/**
+ * Headers stored with cached entries
+ */
+const STORED_HEADERS = ["Content-Type", "Cache-Control", "Last-Modified"];
+
+/**
+ * Resolve the cache policy for a route
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {string} pattern - Route pattern (e.g., "GET /posts")
+ * @returns {{ttl: number, staleWhileRevalidate: number, tags: Array<string>}|null} Policy, or null if the route is not cached
+ */
+export function getCachePolicy(env, pattern) {
+  if (!env?.CACHE) {
+    return null;
+  }
+
+  let overrides = {};
+  if (env.CACHE_POLICIES) {
+    try {
+      overrides = JSON.parse(env.CACHE_POLICIES);
+    } catch {
+      overrides = {};
+    }
+  }
+
+  const policy = overrides[pattern] ?? DEFAULT_CACHE_POLICIES[pattern];
+  if (!policy || !(policy.ttl > 0)) {
+    return null;
+  }
+
+  return {
+    ttl: policy.ttl,
+    staleWhileRevalidate: Math.max(0, policy.staleWhileRevalidate || 0),
+    tags: policy.tags || [],
+  };
+}
+
+/**
+ * Normalize a request URL into a cache key: path without trailing slash,
+ * query parameters sorted, empty and analytics parameters dropped
+ * @param {string|URL} input - Request URL
+ * @returns {string} Normalized path and query
+ */
+export function normalizeCacheUrl(input) {
+  const url = new URL(input);
+  const pathname =
+    url.pathname.length > 1 ? url.pathname.replace(/\/+$/, "") : url.pathname;
+
+  const params = [...url.searchParams.entries()]
+    .filter(([key, value]) => value !== "" && !IGNORED_PARAMS.test(key))
+    .sort(([a, aValue], [b, bValue]) =>
+      a === b ? aValue.localeCompare(bValue) : a.localeCompare(b),
+    );
+
+  const query = new URLSearchParams(params).toString();
+  return query ? `${pathname}?${query}` : pathname;
+}
+
+/**
+ * Build the Cache-Tag header handlers use to label their responses
+ * @param {Array<string>} tags - Cache tags (e.g., "post:42", "tag:javascript")
+ * @returns {Object} Headers for jsonResponse
+ */
+export function cacheTagHeaders(tags) {
+  return { [CACHE_TAG_HEADER]: [...new Set(tags)].join(",") };
+}
+
+/**
+ * Remove the internal Cache-Tag header before a response leaves the worker
+ * @param {Response} response - Response
+ * @returns {Response} Response without Cache-Tag
+ */
+export function stripCacheTags(response) {
+  if (!response.headers.has(CACHE_TAG_HEADER)) {
+    return response;
+  }
+
+  const headers = new Headers(response.headers);
+  headers.delete(CACHE_TAG_HEADER);
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
+
+/**
+ * Whether any of the tags was purged at or after a time. Purge times are read
+ * with bulk gets of up to 100 keys.
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {Array<string>} tags - Cache tags
+ * @param {number} since - Epoch milliseconds
+ * @returns {Promise<boolean>}
+ */
+async function purgedSince(env, tags, since) {
+  for (let start = 0; start < tags.length; start += KV_BULK_GET_LIMIT) {
+    const purgedAt = await env.CACHE.get(
+      tags
+        .slice(start, start + KV_BULK_GET_LIMIT)
+        .map((tag) => PURGE_PREFIX + tag),
+    );
+    for (const value of purgedAt.values()) {
+      if (value !== null && Number(value) >= since) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Look up a cached response
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {string} normalizedUrl - Normalized request URL
+ * @returns {Promise<{response: Response, stale: boolean}|null>} Cached response, or null on a miss, after the stale window or when one of its tags was purged
+ */
+export async function getCachedResponse(env, normalizedUrl) {
+  const key = ENTRY_PREFIX + (await sha256Hex(normalizedUrl));
+  const { value, metadata } = await env.CACHE.getWithMetadata(key);
+
+  if (value === null || !metadata) {
+    return null;
+  }
+
+  const ageSeconds = Math.floor((Date.now() - metadata.storedAt) / 1000);
+  if (ageSeconds >= metadata.ttl + metadata.staleWhileRevalidate) {
+    return null;
+  }
+
+  const { body, tags } = JSON.parse(value);
+  if (await purgedSince(env, tags, metadata.storedAt)) {
+    return null;
+  }
+
+  const stale = ageSeconds >= metadata.ttl;
+  const headers = new Headers(metadata.headers);
+  headers.set("Age", String(Math.max(0, ageSeconds)));
+  headers.set("X-Cache", stale ? "STALE" : "HIT");
+
+  return {
+    response: new Response(body, { status: metadata.status, headers }),
+    stale,
+  };
+}
+
+/**
+ * Store a successful response with its cache tags
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {string} normalizedUrl - Normalized request URL
+ * @param {Response} response - Response to store (must not be consumed yet)
+ * @param {Object} policy - Cache policy from getCachePolicy
+ * @param {number} generatedAt - When the handler started producing the
+ *   response (epoch ms); purges from then on invalidate it
+ * @returns {Promise<void>}
+ */
+export async function putCachedResponse(
+  env,
+  normalizedUrl,
+  response,
+  policy,
+  generatedAt = Date.now(),
+) {
+  const hash = await sha256Hex(normalizedUrl);
+  const body = await response.text();
+
+  const headers = {};
+  for (const name of STORED_HEADERS) {
+    if (response.headers.has(name)) {
+      headers[name] = response.headers.get(name);
+    }
+  }
+
+  const handlerTags = (response.headers.get(CACHE_TAG_HEADER) || "")
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+  const tags = [...new Set([...policy.tags, ...handlerTags])];
+
+  const expirationTtl = Math.max(
+    KV_MIN_EXPIRATION_TTL,
+    policy.ttl + policy.staleWhileRevalidate,
+  );
+
+  // Tags go in the value: metadata is limited to 1 KB
+  await env.CACHE.put(ENTRY_PREFIX + hash, JSON.stringify({ body, tags }), {
+    expirationTtl,
+    metadata: {
+      url: normalizedUrl,
+      status: response.status,
+      headers,
+      storedAt: generatedAt,
+      ttl: policy.ttl,
+      staleWhileRevalidate: policy.staleWhileRevalidate,
+    },
+  });
+}
+
+/**
+ * Invalidate every cached response labelled with any of the given tags by
+ * recording the purge time of each tag (one write per tag)
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {Array<string>} tags - Cache tags
+ * @returns {Promise<number>} Number of purged tags
+ */
+export async function purgeCacheTags(env, tags) {
+  if (!env?.CACHE || tags.length === 0) {
+    return 0;
+  }
+
+  const unique = [...new Set(tags)];
+  const purgedAt = String(Date.now());
+  await Promise.all(
+    unique.map((tag) => env.CACHE.put(PURGE_PREFIX + tag, purgedAt)),
+  );
+
+  return unique.length;
+}
+
+/**
+ * Delete cached responses for specific URLs
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {Array<string>} urls - Absolute URLs or paths (with query)
+ * @returns {Promise<number>} Number of URLs purged
+ */
+export async function purgeCacheUrls(env, urls) {
+  if (!env?.CACHE || urls.length === 0) {
+    return 0;
+  }
+
+  const keys = await Promise.all(
+    urls.map(
+      async (url) =>
+        ENTRY_PREFIX +
+        (await sha256Hex(
+          normalizeCacheUrl(new URL(url, "https://cache.local")),
+        )),
+    ),
+  );
+
+  await Promise.all(keys.map((key) => env.CACHE.delete(key)));
+  return keys.length;
+}
@@ -0,0 +1,157 @@
+/**
+ * Conditional GET helpers: strong ETags, Last-Modified and 304 responses
+ */
+
+import { sha256Hex } from "./crypto.js";
+
+/**
+ * Cache-Control values per route. Clients may reuse a response for
+ * `max-age` seconds and must revalidate (with If-None-Match) afterwards.
+ */
+export const CACHE_CONTROL = {
+  posts: "public, max-age=60, stale-while-revalidate=300",
+  post: "public, max-age=300, stale-while-revalidate=3600",
+  related: "public, max-age=600, stale-while-revalidate=3600",
+  tags: "public, max-age=600, stale-while-revalidate=3600",
+  archive: "public, max-age=600, stale-while-revalidate=3600",
+  trending: "public, max-age=300, stale-while-revalidate=3600",
+  stats: "public, max-age=300, stale-while-revalidate=600",
+  suggest: "public, max-age=300, stale-while-revalidate=3600",
+  comments: "public, max-age=0, must-revalidate",
+  docs: "public, max-age=3600",
+};
+
+/**
+ * Headers carried over from the full response onto a 304
+ */
+const NOT_MODIFIED_HEADERS = [
+  "Cache-Control",
+  "ETag",
+  "Last-Modified",
+  "Vary",
+  "Expires",
+];
+
+/**
+ * Find the newest of a list of timestamps
+ * @param {Array<string|Date|null|undefined>} values - Timestamps (empty values are skipped)
+ * @returns {Date|null} Newest timestamp, or null if none are valid
+ */
+export function latestTimestamp(values) {
+  let latest = null;
+
+  for (const value of values) {
+    if (!value) {
+      continue;
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      continue;
+    }
+    if (!latest || date > latest) {
+      latest = date;
+    }
+  }
+
+  return latest;
+}
+
+/**
+ * Build caching headers for a cacheable response
+ * @param {string} cacheControl - Cache-Control value (see CACHE_CONTROL)
+ * @param {Date|null} lastModified - Newest modification time of the content
+ * @returns {Object} Headers for jsonResponse
+ */
+export function cacheHeaders(cacheControl, lastModified = null) {
+  const headers = { "Cache-Control": cacheControl };
+  if (lastModified) {
+    headers["Last-Modified"] = lastModified.toUTCString();
+  }
+  return headers;
+}
+
+/**
+ * Compute a strong ETag for a response body
+ * @param {string} body - Response body
+ * @returns {Promise<string>} Quoted entity tag
+ */
+export async function createETag(body) {
+  const hex = await sha256Hex(body);
+  return `"${hex.slice(0, 32)}"`;
+}
+
+/**
+ * Check an If-None-Match header against an ETag (weak comparison, as
+ * required for GET)
+ * @param {string} header - If-None-Match header value
+ * @param {string} etag - Current entity tag
+ * @returns {boolean} True if the client already has this representation
+ */
+function matchesIfNoneMatch(header, etag) {
+  if (header.trim() === "*") {
+    return true;
+  }
+
+  const opaque = (tag) => tag.trim().replace(/^W\//, "");
+  return header.split(",").some((tag) => opaque(tag) === opaque(etag));
+}
+
+/**
+ * Check an If-Modified-Since header against Last-Modified
+ * @param {string} header - If-Modified-Since header value
+ * @param {string|null} lastModified - Last-Modified header value
+ * @returns {boolean} True if the content has not changed since the given date
+ */
+function notModifiedSince(header, lastModified) {
+  if (!lastModified) {
+    return false;
+  }
+
+  const since = Date.parse(header);
+  if (isNaN(since)) {
+    return false;
+  }
+
+  // HTTP dates have one-second resolution
+  return Date.parse(lastModified) <= since;
+}
+
+/**
+ * Add a strong ETag to a successful GET response and answer conditional
+ * requests with 304 Not Modified. If-None-Match takes precedence over
+ * If-Modified-Since (RFC 9110 section 13.2.2).
+ * @param {Request} request - Incoming request
+ * @param {Response} response - Full response from the handler
+ * @returns {Promise<Response>} Response with ETag, or 304
+ */
+export async function conditionalResponse(request, response) {
+  if (request.method !== "GET" || response.status !== 200) {
+    return response;
+  }
+
+  const body = await response.text();
+  const etag = await createETag(body);
+
+  const headers = new Headers(response.headers);
+  headers.set("ETag", etag);
+
+  const ifNoneMatch = request.headers.get("If-None-Match");
+  const ifModifiedSince = request.headers.get("If-Modified-Since");
+
+  const notModified = ifNoneMatch
+    ? matchesIfNoneMatch(ifNoneMatch, etag)
+    : !!ifModifiedSince &&
+      notModifiedSince(ifModifiedSince, headers.get("Last-Modified"));
+
+  if (notModified) {
+    const notModifiedHeaders = new Headers();
+    for (const name of NOT_MODIFIED_HEADERS) {
+      if (headers.has(name)) {
+        notModifiedHeaders.set(name, headers.get(name));
+      }
+    }
+    return new Response(null, { status: 304, headers: notModifiedHeaders });
+  }
+
+  return new Response(body, { status: response.status, headers });
+}
@@ -0,0 +1,110 @@
+/**
+ * Computed post content details: word count, reading time, cover image and
+ * a plain-text excerpt. Text is taken from the rendered Markdown, so syntax
+ * and code blocks never count as words (raw HTML is escaped, so it is text).
+ */
+
+import { renderMarkdown } from "./markdown.js";
+import { htmlToText } from "./html.js";
+
+const HANGUL_CHARS_PER_MINUTE = 500;
+const WORDS_PER_MINUTE = 200;
+const DEFAULT_EXCERPT_LENGTH = 160;
+
+const HANGUL = /\p{Script=Hangul}/gu;
+const WORD = /[\p{L}\p{N}]+(?:['’.-][\p{L}\p{N}]+)*/gu;
+const BLOCK_TAG =
+  /<\/?(?:p|h[1-6]|ul|ol|li|blockquote|table|thead|tbody|tr|th|td|br|hr)\b[^>]*>/g;
+
+/**
+ * Count words in plain text: Hangul by syllable, everything else by
+ * whitespace- or punctuation-separated word
+ * @param {string} text - Plain text
+ * @returns {{hangul: number, words: number}} Hangul characters and other words
+ */
+export function countWords(text) {
+  const hangul = (text.match(HANGUL) || []).length;
+  const words = (text.replace(HANGUL, " ").match(WORD) || []).length;
+  return { hangul, words };
+}
+
+/**
+ * Estimated reading time (500 Hangul characters or 200 words per minute)
+ * @param {{hangul: number, words: number}} counts - Counts from countWords
+ * @returns {number} Whole minutes, at least 1 for non-empty text
+ */
+export function estimateReadingMinutes({ hangul, words }) {
+  if (hangul + words === 0) {
+    return 0;
+  }
+  return Math.max(
+    1,
+    Math.ceil(hangul / HANGUL_CHARS_PER_MINUTE + words / WORDS_PER_MINUTE),
+  );
+}
+
+/**
+ * Shorten plain text to an excerpt, preferring to cut between words
+ * @param {string} text - Plain text (whitespace already collapsed)
+ * @param {number} maxLength - Maximum length in characters, before the ellipsis
+ * @returns {string} Excerpt, ending in "…" if shortened
+ */
+export function createExcerpt(text, maxLength = DEFAULT_EXCERPT_LENGTH) {
+  const chars = Array.from(text);
+  if (chars.length <= maxLength) {
+    return text;
+  }
+
+  let cut = chars.slice(0, maxLength).join("");
+  const lastSpace = cut.lastIndexOf(" ");
+  if (lastSpace > maxLength * 0.6) {
+    cut = cut.slice(0, lastSpace);
+  }
+
+  return `${cut.replace(/[\s.,;:!?·-]+$/u, "")}…`;
+}
+
+/**
+ * Compute the details shown with a post from its Markdown content
+ * @param {string} markdown - Post content
+ * @param {Object} options - Options
+ * @param {string} options.baseUrl - Base for relative image URLs (site URL)
+ * @param {number} options.excerptLength - Maximum excerpt length
+ * @returns {{wordCount: number, readingTimeMinutes: number, coverImage: string|null, excerpt: string}}
+ */
+export function analyzeContent(
+  markdown,
+  { baseUrl = null, excerptLength = DEFAULT_EXCERPT_LENGTH } = {},
+) {
+  const { html } = renderMarkdown(markdown);
+
+  const text = htmlToText(
+    html.replace(/<pre>[\s\S]*?<\/pre>/g, " ").replace(BLOCK_TAG, " "),
+  )
+    .replace(/\s+/g, " ")
+    .trim();
+
+  const counts = countWords(text);
+  const image = /<img src="([^"]*)"/.exec(html);
+
+  return {
+    wordCount: counts.hangul + counts.words,
+    readingTimeMinutes: estimateReadingMinutes(counts),
+    coverImage: image ? resolveUrl(htmlToText(image[1]), baseUrl) : null,
+    excerpt: createExcerpt(text, excerptLength),
+  };
+}
+
+/**
+ * Resolve a possibly relative URL against a base URL
+ * @param {string} url - URL
+ * @param {string|null} baseUrl - Base URL
+ * @returns {string} Absolute URL, or the input if it cannot be resolved
+ */
+export function resolveUrl(url, baseUrl) {
+  try {
+    return new URL(url, baseUrl ?? undefined).href;
+  } catch {
+    return url;
+  }
+}
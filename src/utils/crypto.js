@@ -0,0 +1,50 @@
+/**
+ * Hashing helpers built on the Web Crypto API
+ */
+
+/**
+ * Hash a string with SHA-256
+ * @param {string} value - Value to hash
+ * @returns {Promise<string>} Hex-encoded digest
+ */
+export async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(value),
+  );
+
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0"),
+  ).join("");
+}
+
+/**
+ * Compare two secrets without leaking their contents through timing. Both
+ * sides are hashed first, so the comparison always covers the same length.
+ * @param {string} provided - Secret sent by the client
+ * @param {string} expected - Configured secret
+ * @returns {Promise<boolean>} True if the secrets are equal
+ */
+export async function timingSafeEqual(provided, expected) {
+  const [a, b] = await Promise.all([
+    sha256Hex(provided || ""),
+    sha256Hex(expected || ""),
+  ]);
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Generate a random secret token
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Hex-encoded token
+ */
+export function randomToken(bytes = 32) {
+  return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), (byte) =>
+    byte.toString(16).padStart(2, "0"),
+  ).join("");
+}
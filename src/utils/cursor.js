@@ -0,0 +1,54 @@
+import { ValidationError } from "./errors.js";
+
+/**
+ * Opaque pagination cursors: base64url-encoded JSON holding the sort order,
+ * the sort key and id of the boundary item, and the paging direction
+ */
+
+/**
+ * Encode a cursor
+ * @param {Object} position - Cursor contents
+ * @param {string} position.sort - Sort parameter the cursor belongs to (e.g., "createdAt,desc")
+ * @param {*} position.value - Sort key of the boundary item
+ * @param {number} position.id - ID of the boundary item
+ * @param {string} position.direction - "next" or "prev"
+ * @returns {string} Opaque cursor
+ */
+export function encodeCursor({ sort, value, id, direction }) {
+  const json = JSON.stringify({ s: sort, v: value, i: id, d: direction });
+  const binary = Array.from(new TextEncoder().encode(json), (byte) =>
+    String.fromCharCode(byte),
+  ).join("");
+
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * Decode a cursor created by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {{sort: string, value: *, id: number, direction: string}} Cursor contents
+ * @throws {ValidationError} If the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const binary = atob(cursor.replace(/-/g, "+").replace(/_/g, "/"));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    const { s, v, i, d } = JSON.parse(new TextDecoder().decode(bytes));
+
+    if (
+      typeof s !== "string" ||
+      !["string", "number"].includes(typeof v) ||
+      !Number.isInteger(i) ||
+      !["next", "prev"].includes(d)
+    ) {
+      throw new Error("Unexpected cursor contents");
+    }
+
+    return { sort: s, value: v, id: i, direction: d };
+  } catch {
+    throw new ValidationError("Invalid cursor");
+  }
+}
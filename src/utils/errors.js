@@ -7,9 +7,10 @@ export class APIError extends Error {
 }
 
 export class ValidationError extends APIError {
-  constructor(message) {
+  constructor(message, errors = null) {
     super(message, 400);
     this.name = "ValidationError";
+    this.errors = errors;
   }
 }
 
@@ -0,0 +1,181 @@
+/**
+ * Hangul text utilities for search
+ *
+ * Korean words are agglutinative ("클라우드플레어에서" = "클라우드플레어" + "에서"),
+ * so whitespace tokenization misses most partial matches. These helpers
+ * provide character n-gram tokenization for indexing and initial-consonant
+ * (choseong) matching for autocomplete.
+ */
+
+const HANGUL_SYLLABLE_START = 0xac00;
+const HANGUL_SYLLABLE_END = 0xd7a3;
+const SYLLABLES_PER_INITIAL = 588; // 21 medials * 28 finals
+
+/**
+ * Initial consonants in syllable composition order, as compatibility jamo
+ * (the characters a keyboard produces for a lone consonant)
+ */
+// prettier-ignore
+const CHOSEONG = [
+  "ㄱ", "ㄲ", "ㄴ", "ㄷ", "ㄸ", "ㄹ", "ㅁ", "ㅂ", "ㅃ", "ㅅ",
+  "ㅆ", "ㅇ", "ㅈ", "ㅉ", "ㅊ", "ㅋ", "ㅌ", "ㅍ", "ㅎ",
+];
+
+/**
+ * Check whether a character is a precomposed Hangul syllable (가-힣)
+ * @param {string} char - Single character
+ * @returns {boolean}
+ */
+export function isHangulSyllable(char) {
+  const code = char.charCodeAt(0);
+  return code >= HANGUL_SYLLABLE_START && code <= HANGUL_SYLLABLE_END;
+}
+
+/**
+ * Check whether a string contains any Hangul syllable or jamo
+ * @param {string} text - Text to inspect
+ * @returns {boolean}
+ */
+export function containsHangul(text) {
+  return /[\u1100-\u11ff\u3131-\u318e\uac00-\ud7a3]/.test(text);
+}
+
+/**
+ * Get the initial consonant of a Hangul syllable
+ * @param {string} char - Single character
+ * @returns {string|null} Compatibility jamo, or null for non-syllables
+ */
+export function getInitialConsonant(char) {
+  if (!isHangulSyllable(char)) {
+    return null;
+  }
+
+  const index = Math.floor(
+    (char.charCodeAt(0) - HANGUL_SYLLABLE_START) / SYLLABLES_PER_INITIAL,
+  );
+  return CHOSEONG[index];
+}
+
+/**
+ * Split text into lowercase word tokens (runs of letters/digits). Hangul and
+ * non-Hangul runs are split apart, so "workers와" yields "workers" and "와".
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Tokens
+ */
+export function splitWords(text) {
+  return (
+    (text || "")
+      .toLowerCase()
+      .match(
+        /[\u1100-\u11ff\u3131-\u318e\uac00-\ud7a3]+|[^\s\p{P}\p{S}\u1100-\u11ff\u3131-\u318e\uac00-\ud7a3]+/gu,
+      ) || []
+  );
+}
+
+/**
+ * Character n-grams of a single word
+ * @param {string} word - Word to split
+ * @param {number} size - N-gram length
+ * @returns {Array<string>} N-grams (the word itself if shorter than `size`)
+ */
+export function wordNgrams(word, size) {
+  const chars = Array.from(word);
+  if (chars.length <= size) {
+    return [word];
+  }
+
+  const grams = [];
+  for (let i = 0; i + size <= chars.length; i++) {
+    grams.push(chars.slice(i, i + size).join(""));
+  }
+  return grams;
+}
+
+/**
+ * Tokenize text for the n-gram index: Hangul words become their bigrams and
+ * trigrams, other words are kept whole
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Unique tokens
+ */
+export function toIndexTokens(text) {
+  const tokens = new Set();
+
+  for (const word of splitWords(text)) {
+    if (containsHangul(word)) {
+      for (const gram of wordNgrams(word, 2)) tokens.add(gram);
+      for (const gram of wordNgrams(word, 3)) tokens.add(gram);
+    } else {
+      tokens.add(word);
+    }
+  }
+
+  return Array.from(tokens);
+}
+
+/**
+ * Lowercase text and drop whitespace, the form autocomplete compares
+ * @param {string} text - Label or query
+ * @returns {Array<string>} Characters
+ */
+function suggestionChars(text) {
+  return Array.from((text || "").toLowerCase().replace(/\s+/g, ""));
+}
+
+/**
+ * Replace each Hangul syllable with its initial consonant ("클라우드" ->
+ * "ㅋㄹㅇㄷ"); other characters are kept
+ * @param {string} text - Text to reduce
+ * @returns {string}
+ */
+export function toInitials(text) {
+  return Array.from(text, (char) => getInitialConsonant(char) ?? char).join("");
+}
+
+/**
+ * Autocomplete index keys of a label: one per character of the lowercased,
+ * whitespace-free label, holding the text from there on, so every substring
+ * is a prefix of some key
+ * @param {string} label - Post title or tag name
+ * @param {number} maxLength - Key length limit (the longest allowed query)
+ * @returns {Array<{position: number, term: string, initials: string}>} Keys
+ */
+export function toSuggestionKeys(label, maxLength) {
+  const chars = suggestionChars(label);
+
+  return chars.map((_, position) => {
+    const term = chars.slice(position, position + maxLength).join("");
+    return { position, term, initials: toInitials(term) };
+  });
+}
+
+/**
+ * Build the lookups for an autocomplete query: the initial-consonant prefix
+ * every matching key starts with, and a GLOB pattern that matches keys
+ * exactly. Each initial consonant in the query matches itself or any
+ * syllable starting with it, so "ㅋㄹ우" matches "클라우드".
+ * @param {string} query - User query
+ * @returns {{initials: string, pattern: string}|null} Lookups, or null for a
+ *   blank query
+ */
+export function toSuggestionQuery(query) {
+  const chars = suggestionChars(query);
+  if (chars.length === 0) {
+    return null;
+  }
+
+  const pattern = chars.map((char) => {
+    const index = CHOSEONG.indexOf(char);
+    if (index !== -1) {
+      const first = HANGUL_SYLLABLE_START + index * SYLLABLES_PER_INITIAL;
+      const last = first + SYLLABLES_PER_INITIAL - 1;
+      return `[${char}${String.fromCharCode(first)}-${String.fromCharCode(last)}]`;
+    }
+    // GLOB wildcards match themselves inside a character class
+    return "*?[".includes(char) ? `[${char}]` : char;
+  });
+
+  return {
+    initials: toInitials(chars.join("")),
+    pattern: `${pattern.join("")}*`,
+  };
+}
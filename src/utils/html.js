@@ -0,0 +1,33 @@
+/**
+ * Escape a value for safe inclusion in HTML text and attribute content
+ * @param {*} value - Value to escape (null/undefined become an empty string)
+ * @returns {string} Escaped string
+ */
+export function escapeHtml(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Strip tags from HTML produced by escapeHtml-based renderers and decode the
+ * entities escapeHtml emits
+ * @param {string} html - HTML
+ * @returns {string} Plain text
+ */
+export function htmlToText(html) {
+  return html
+    .replace(/<[^>]*>/g, "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
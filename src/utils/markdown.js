@@ -0,0 +1,498 @@
+/**
+ * Markdown to HTML rendering for post content (CommonMark subset plus GFM
+ * tables and strikethrough). Output is safe to embed: raw HTML in the source
+ * is escaped, never passed through, and link/image URLs are limited to http,
+ * https, mailto and relative URLs.
+ */
+
+import { escapeHtml, htmlToText } from "./html.js";
+
+/**
+ * Bump when the rendered output changes, so cached renders are not reused
+ */
+export const MARKDOWN_RENDERER_VERSION = 1;
+
+const SAFE_URL_SCHEMES = ["http", "https", "mailto"];
+
+// Private-use character delimiting inline placeholders (removed from input)
+const MARK = "\uE000";
+const PLACEHOLDER = new RegExp(`${MARK}(\\d+)${MARK}`, "g");
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const BLOCKQUOTE = /^ {0,3}> ?(.*)$/;
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(?:([ \t]+)(.*))?$/;
+const INDENTED_CODE = /^(?: {4}|\t)(.*)$/;
+const TABLE_DELIMITER =
+  /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+
+/**
+ * Turn heading text into an anchor id. Letters and digits of any script are
+ * kept (so Korean headings stay readable), whitespace becomes "-" and other
+ * punctuation is dropped, as on GitHub.
+ * @param {string} text - Plain heading text
+ * @returns {string} Anchor id (never empty)
+ */
+export function slugifyHeading(text) {
+  const slug = text
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s_-]/gu, "")
+    .trim()
+    .replace(/\s+/g, "-");
+
+  return slug || "section";
+}
+
+/**
+ * Check a link or image URL
+ * @param {string} url - URL from the Markdown source
+ * @returns {string|null} The URL, or null if its scheme is not allowed
+ */
+function sanitizeUrl(url) {
+  const compact = url.replace(/[\s\p{Cc}]/gu, "");
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+
+  if (scheme && !SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase())) {
+    return null;
+  }
+  return url;
+}
+
+/**
+ * Render inline Markdown (code spans, links, images, emphasis, breaks).
+ * Code spans, escapes and links are swapped for placeholders first so the
+ * emphasis patterns never see their contents.
+ * @param {string} text - Inline Markdown
+ * @param {Array<string>} stash - Placeholder contents, shared with nested link labels
+ * @returns {string} HTML
+ */
+function renderInline(text, stash = []) {
+  const hold = (html) => `${MARK}${stash.push(html) - 1}${MARK}`;
+
+  let output = text
+    .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (_, _ticks, code) => {
+      const trimmed = /^ .* $/.test(code) ? code.slice(1, -1) : code;
+      return hold(`<code>${escapeHtml(trimmed)}</code>`);
+    })
+    .replace(/\\([!-/:-@[-`{-~])/g, (_, char) => hold(escapeHtml(char)))
+    .replace(
+      /(!?)\[((?:[^[\]]|\[[^\]]*\])*)\]\(\s*(<[^>\n]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:\s+"([^"]*)")?\s*\)/g,
+      (_, bang, label, rawUrl, title) => {
+        const url = sanitizeUrl(rawUrl.replace(/^<|>$/g, ""));
+        const titleAttr = title ? ` title="${escapeHtml(title)}"` : "";
+
+        if (bang) {
+          const alt = escapeHtml(htmlToText(renderInline(label, stash)));
+          return hold(
+            url === null
+              ? alt
+              : `<img src="${escapeHtml(url)}" alt="${alt}"${titleAttr} loading="lazy">`,
+          );
+        }
+
+        const content = renderInline(label, stash);
+        return hold(
+          url === null
+            ? content
+            : `<a href="${escapeHtml(url)}"${titleAttr}>${content}</a>`,
+        );
+      },
+    )
+    .replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/g, (_, url) =>
+      hold(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`),
+    );
+
+  output = escapeHtml(output)
+    .replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, "<strong><em>$1</em></strong>")
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>")
+    .replace(
+      /(?<![\p{L}\p{N}])__(?=\S)([\s\S]*?\S)__(?![\p{L}\p{N}])/gu,
+      "<strong>$1</strong>",
+    )
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<del>$1</del>")
+    .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, "<em>$1</em>")
+    .replace(
+      /(?<![\p{L}\p{N}_])_(?=[^\s_])([\s\S]*?[^\s_])_(?![\p{L}\p{N}_])/gu,
+      "<em>$1</em>",
+    )
+    .replace(/(?: {2,}|\\)\n/g, "<br>\n");
+
+  while (output.includes(MARK)) {
+    output = output.replace(PLACEHOLDER, (_, index) => stash[index]);
+  }
+  return output;
+}
+
+/**
+ * Check whether a line starts a block that interrupts a paragraph
+ * @param {string} line - Source line
+ * @returns {boolean}
+ */
+function interruptsParagraph(line) {
+  if (
+    FENCE.test(line) ||
+    ATX_HEADING.test(line) ||
+    THEMATIC_BREAK.test(line) ||
+    BLOCKQUOTE.test(line)
+  ) {
+    return true;
+  }
+
+  // Only bullets and lists starting at 1 may interrupt a paragraph
+  const item = LIST_ITEM.exec(line);
+  return Boolean(item && item[4] && /^(?:[-*+]|1[.)])$/.test(item[2]));
+}
+
+/**
+ * Split a table row into cell sources
+ * @param {string} line - Table row
+ * @returns {Array<string>} Cell contents
+ */
+function splitTableRow(line) {
+  const cells = line
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/(?<!\\)\|$/, "")
+    .split(/(?<!\\)\|/);
+  return cells.map((cell) => cell.trim().replace(/\\\|/g, "|"));
+}
+
+/**
+ * Block-level renderer. Headings are collected into `toc` as they are
+ * rendered, with ids made unique across the whole document.
+ */
+class BlockRenderer {
+  constructor() {
+    this.toc = [];
+    this.usedIds = new Map();
+  }
+
+  /**
+   * Reserve a unique anchor id for a heading
+   * @param {string} text - Plain heading text
+   * @returns {string} Id ("intro", then "intro-1", "intro-2", ...)
+   */
+  uniqueId(text) {
+    const base = slugifyHeading(text);
+    let id = base;
+
+    while (this.usedIds.has(id)) {
+      const count = this.usedIds.get(base) + 1;
+      this.usedIds.set(base, count);
+      id = `${base}-${count}`;
+    }
+
+    this.usedIds.set(id, 0);
+    return id;
+  }
+
+  /**
+   * Render a heading and add it to the table of contents
+   * @param {number} level - Heading level (1-6)
+   * @param {string} source - Inline Markdown of the heading
+   * @returns {string} HTML
+   */
+  heading(level, source) {
+    const html = renderInline(source.trim());
+    const text = htmlToText(html).trim();
+    const id = this.uniqueId(text);
+
+    this.toc.push({ level, text, id });
+    return `<h${level} id="${escapeHtml(id)}">${html}</h${level}>`;
+  }
+
+  /**
+   * Render a sequence of lines as blocks
+   * @param {Array<string>} lines - Source lines
+   * @param {boolean} tight - Render paragraphs without <p> (tight list items)
+   * @returns {string} HTML
+   */
+  render(lines, tight = false) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (line.trim() === "") {
+        i++;
+        continue;
+      }
+
+      const fence = FENCE.exec(line);
+      if (fence) {
+        const [, marker, info] = fence;
+        const closing = new RegExp(
+          `^ {0,3}${marker[0] === "`" ? "`" : "~"}{${marker.length},}[ \\t]*$`,
+        );
+        const code = [];
+        i++;
+        while (i < lines.length && !closing.test(lines[i])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++;
+        blocks.push(this.codeBlock(code.join("\n"), info));
+        continue;
+      }
+
+      const heading = ATX_HEADING.exec(line);
+      if (heading) {
+        blocks.push(this.heading(heading[1].length, heading[2] || ""));
+        i++;
+        continue;
+      }
+
+      if (THEMATIC_BREAK.test(line)) {
+        blocks.push("<hr>");
+        i++;
+        continue;
+      }
+
+      if (BLOCKQUOTE.test(line)) {
+        const quoted = [];
+        while (i < lines.length && lines[i].trim() !== "") {
+          const match = BLOCKQUOTE.exec(lines[i]);
+          quoted.push(match ? match[1] : lines[i]);
+          i++;
+        }
+        blocks.push(`<blockquote>\n${this.render(quoted)}\n</blockquote>`);
+        continue;
+      }
+
+      const item = LIST_ITEM.exec(line);
+      if (item) {
+        const list = this.list(lines, i);
+        blocks.push(list.html);
+        i = list.end;
+        continue;
+      }
+
+      const indented = INDENTED_CODE.exec(line);
+      if (indented) {
+        const code = [];
+        while (
+          i < lines.length &&
+          (INDENTED_CODE.test(lines[i]) || lines[i].trim() === "")
+        ) {
+          code.push(lines[i].replace(/^(?: {4}|\t)/, ""));
+          i++;
+        }
+        while (code.length > 0 && code[code.length - 1].trim() === "") {
+          code.pop();
+        }
+        blocks.push(this.codeBlock(code.join("\n"), ""));
+        continue;
+      }
+
+      if (
+        line.includes("|") &&
+        i + 1 < lines.length &&
+        TABLE_DELIMITER.test(lines[i + 1]) &&
+        lines[i + 1].includes("-")
+      ) {
+        const table = this.table(lines, i);
+        if (table) {
+          blocks.push(table.html);
+          i = table.end;
+          continue;
+        }
+      }
+
+      const paragraph = [line.trim()];
+      i++;
+      let setextLevel = 0;
+      while (i < lines.length && lines[i].trim() !== "") {
+        const underline = SETEXT_UNDERLINE.exec(lines[i]);
+        if (underline) {
+          setextLevel = underline[1][0] === "=" ? 1 : 2;
+          i++;
+          break;
+        }
+        if (interruptsParagraph(lines[i])) {
+          break;
+        }
+        paragraph.push(lines[i].replace(/^[ \t]+/, ""));
+        i++;
+      }
+
+      const source = paragraph.join("\n");
+      if (setextLevel) {
+        blocks.push(this.heading(setextLevel, source));
+      } else {
+        const html = renderInline(source);
+        blocks.push(tight ? html : `<p>${html}</p>`);
+      }
+    }
+
+    return blocks.join("\n");
+  }
+
+  /**
+   * Render a fenced or indented code block
+   * @param {string} code - Code
+   * @param {string} info - Fence info string (first word is the language)
+   * @returns {string} HTML
+   */
+  codeBlock(code, info) {
+    const language = (info || "").toLowerCase().replace(/[^\w+#.-]/g, "");
+    const attributes = language
+      ? ` class="language-${language}" data-language="${language}"`
+      : "";
+
+    return `<pre><code${attributes}>${escapeHtml(code)}${code ? "\n" : ""}</code></pre>`;
+  }
+
+  /**
+   * Render a list starting at a line
+   * @param {Array<string>} lines - Source lines
+   * @param {number} start - Index of the first item line
+   * @returns {{html: string, end: number}} HTML and the index after the list
+   */
+  list(lines, start) {
+    const first = LIST_ITEM.exec(lines[start]);
+    const ordered = /\d/.test(first[2]);
+    const delimiter = first[2].slice(-1);
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    // Items continue the list only with the same kind of marker
+    const sibling = (line) => {
+      const item = LIST_ITEM.exec(line ?? "");
+      return item &&
+        /\d/.test(item[2]) === ordered &&
+        item[2].slice(-1) === delimiter
+        ? item
+        : null;
+    };
+
+    while (i < lines.length) {
+      const item = sibling(lines[i]);
+      if (!item) {
+        break;
+      }
+
+      const [, indent, marker, spacing = " ", text = ""] = item;
+      const contentIndent =
+        indent.length +
+        marker.length +
+        (spacing.length > 4 || !text ? 1 : spacing.length);
+      const content = [text];
+      i++;
+
+      while (i < lines.length) {
+        const next = lines[i];
+        const leading = next.match(/^ */)[0].length;
+
+        if (next.trim() === "") {
+          content.push("");
+        } else if (leading >= contentIndent) {
+          content.push(next.slice(contentIndent));
+        } else if (
+          content[content.length - 1] !== "" &&
+          !interruptsParagraph(next) &&
+          !LIST_ITEM.test(next)
+        ) {
+          content.push(next.trim());
+        } else {
+          break;
+        }
+        i++;
+      }
+
+      let trailingBlanks = 0;
+      while (content.length > 1 && content[content.length - 1] === "") {
+        content.pop();
+        trailingBlanks++;
+      }
+      if (content.includes("")) {
+        loose = true;
+      }
+      items.push(content);
+      if (trailingBlanks > 0) {
+        if (!sibling(lines[i])) {
+          break;
+        }
+        loose = true;
+      }
+    }
+
+    const tag = ordered ? "ol" : "ul";
+    const number = parseInt(first[2], 10);
+    const startAttr = ordered && number !== 1 ? ` start="${number}"` : "";
+    const body = items
+      .map((content) => `<li>${this.render(content, !loose)}</li>`)
+      .join("\n");
+
+    return { html: `<${tag}${startAttr}>\n${body}\n</${tag}>`, end: i };
+  }
+
+  /**
+   * Render a GFM table starting at its header row
+   * @param {Array<string>} lines - Source lines
+   * @param {number} start - Index of the header row
+   * @returns {{html: string, end: number}|null} HTML and the index after the table, or null if the header does not match the delimiter row
+   */
+  table(lines, start) {
+    const header = splitTableRow(lines[start]);
+    const alignments = splitTableRow(lines[start + 1]).map((cell) => {
+      if (cell.startsWith(":") && cell.endsWith(":")) return "center";
+      if (cell.endsWith(":")) return "right";
+      if (cell.startsWith(":")) return "left";
+      return null;
+    });
+
+    if (header.length !== alignments.length) {
+      return null;
+    }
+
+    const cell = (tag, source, index) => {
+      const align = alignments[index]
+        ? ` style="text-align: ${alignments[index]}"`
+        : "";
+      return `<${tag}${align}>${renderInline(source ?? "")}</${tag}>`;
+    };
+
+    const rows = [];
+    let i = start + 2;
+    while (
+      i < lines.length &&
+      lines[i].trim() !== "" &&
+      lines[i].includes("|") &&
+      !interruptsParagraph(lines[i])
+    ) {
+      const cells = splitTableRow(lines[i]);
+      rows.push(
+        `<tr>${alignments.map((_, index) => cell("td", cells[index], index)).join("")}</tr>`,
+      );
+      i++;
+    }
+
+    const head = `<thead>\n<tr>${header.map((source, index) => cell("th", source, index)).join("")}</tr>\n</thead>`;
+    const body =
+      rows.length > 0 ? `\n<tbody>\n${rows.join("\n")}\n</tbody>` : "";
+
+    return { html: `<table>\n${head}${body}\n</table>`, end: i };
+  }
+}
+
+/**
+ * Render post Markdown to sanitized HTML with a table of contents
+ * @param {string} markdown - Markdown source
+ * @returns {{html: string, toc: Array<{level: number, text: string, id: string}>}} HTML and headings in document order
+ */
+export function renderMarkdown(markdown) {
+  const lines = (markdown || "")
+    .replace(/\r\n?/g, "\n")
+    .replaceAll(MARK, "\uFFFD")
+    .split("\n");
+
+  const renderer = new BlockRenderer();
+  const html = renderer.render(lines);
+
+  return { html, toc: renderer.toc };
+}
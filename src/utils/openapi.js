@@ -0,0 +1,767 @@
+/**
+ * OpenAPI 3.1 document generation from the router's route table. Parameters
+ * and the request body come from the schemas the router validates (the
+ * route's `params`, `query` and `body` object schemas; property descriptions
+ * become parameter descriptions). Each route may also carry a `docs` object:
+ *
+ *   {
+ *     summary, description, tag, operationId,
+ *     response: schema,            // `data` of the success envelope
+ *     status: 200,                 // success status
+ *     contentType: "application/json",  // non-JSON routes return `response` as-is
+ *     envelope: true,              // false if JSON `response` is not enveloped
+ *     responses: { 301: "Description" },  // extra non-error responses
+ *     errors: [400, 404],          // documented error statuses
+ *     security: "cachePurgeSecret",
+ *   }
+ *
+ * Routes without `docs` are still listed, so the document always covers
+ * every registered route.
+ */
+
+import { escapeHtml } from "./html.js";
+import {
+  CREATE_COMMENT_SCHEMA,
+  UPDATE_COMMENT_SCHEMA,
+  CACHE_PURGE_SCHEMA,
+} from "./validation.js";
+
+const OPENAPI_VERSION = "3.1.0";
+const API_VERSION = "1.0.0";
+
+/**
+ * Reference a component schema
+ * @param {string} name - Schema name in COMPONENT_SCHEMAS
+ * @returns {Object} JSON Schema reference
+ */
+export function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * Allow null in addition to a schema
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} JSON Schema
+ */
+export function nullable(schema) {
+  return { oneOf: [schema, { type: "null" }] };
+}
+
+const timestamp = { type: "string", format: "date-time" };
+const nullableTimestamp = { type: ["string", "null"], format: "date-time" };
+const stringList = { type: "array", items: { type: "string" } };
+
+const postSummaryProperties = {
+  id: { type: "integer" },
+  slug: { type: "string" },
+  title: { type: "string" },
+  summary: { type: ["string", "null"] },
+  excerpt: {
+    type: "string",
+    description: "The summary, or the start of the content as plain text",
+  },
+  wordCount: {
+    type: "integer",
+    description: "Hangul syllables plus other words",
+  },
+  readingTimeMinutes: { type: "integer" },
+  coverImage: {
+    type: ["string", "null"],
+    format: "uri",
+    description: "First image in the content",
+  },
+  tags: stringList,
+  createdAt: timestamp,
+  updatedAt: nullableTimestamp,
+  views: { type: "integer", description: "Lifetime unique views" },
+};
+
+/**
+ * Schemas shared by several routes
+ */
+export const COMPONENT_SCHEMAS = {
+  Error: {
+    type: "object",
+    required: ["success", "data", "error"],
+    properties: {
+      success: { const: false },
+      data: { type: "null" },
+      error: {
+        type: "object",
+        required: ["code", "message"],
+        properties: {
+          code: { type: "integer", description: "HTTP status code" },
+          message: { type: "string" },
+          errors: {
+            type: "array",
+            description: "Every invalid parameter or body field (400 only)",
+            items: {
+              type: "object",
+              properties: {
+                in: { enum: ["path", "query", "body"] },
+                field: { type: "string" },
+                message: { type: "string" },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  PostSummary: {
+    type: "object",
+    required: ["id", "slug", "title", "tags", "createdAt", "views"],
+    properties: postSummaryProperties,
+  },
+  PostListItem: {
+    type: "object",
+    description:
+      "PostSummary fields chosen with `fields` (all, with tags, by default) and data added with `include`",
+    properties: {
+      ...postSummaryProperties,
+      commentCount: {
+        type: "integer",
+        description: "Approved comments (with `include=commentCount`)",
+      },
+      content: {
+        type: "string",
+        description: "Markdown (with `include=content`)",
+      },
+    },
+  },
+  PostLink: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      slug: { type: "string" },
+      title: { type: "string" },
+      createdAt: timestamp,
+    },
+  },
+  TocEntry: {
+    type: "object",
+    properties: {
+      level: { type: "integer", minimum: 1, maximum: 6 },
+      text: { type: "string" },
+      id: { type: "string", description: "Anchor id of the heading" },
+    },
+  },
+  Post: {
+    allOf: [
+      ref("PostSummary"),
+      {
+        type: "object",
+        required: ["content"],
+        properties: {
+          content: { type: "string", description: "Markdown" },
+          contentHtml: {
+            type: "string",
+            description: "Sanitized HTML (with `render=html`)",
+          },
+          toc: {
+            type: "array",
+            items: ref("TocEntry"),
+            description: "Headings (with `render=html`)",
+          },
+          previous: {
+            ...nullable(ref("PostLink")),
+            description: "Next older post (with `include=neighbors`)",
+          },
+          next: {
+            ...nullable(ref("PostLink")),
+            description: "Next newer post (with `include=neighbors`)",
+          },
+        },
+      },
+    ],
+  },
+  PostPage: {
+    type: "object",
+    required: ["content", "pageSize", "nextCursor", "prevCursor"],
+    properties: {
+      content: { type: "array", items: ref("PostListItem") },
+      totalElements: {
+        type: "integer",
+        description: "Omitted on cursor pages",
+      },
+      pageNumber: { type: "integer", description: "Omitted on cursor pages" },
+      pageSize: { type: "integer" },
+      nextCursor: { type: ["string", "null"] },
+      prevCursor: { type: ["string", "null"] },
+    },
+  },
+  ArchivePage: {
+    allOf: [
+      ref("PostPage"),
+      {
+        type: "object",
+        properties: {
+          period: {
+            type: "object",
+            properties: {
+              year: { type: "integer" },
+              month: { type: ["integer", "null"] },
+              timeZone: { type: "string" },
+              start: timestamp,
+              end: { ...timestamp, description: "Exclusive" },
+            },
+          },
+        },
+      },
+    ],
+  },
+  Archive: {
+    type: "object",
+    properties: {
+      timeZone: { type: "string", examples: ["Asia/Seoul"] },
+      years: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            year: { type: "integer" },
+            count: { type: "integer" },
+            months: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  month: { type: "integer", minimum: 1, maximum: 12 },
+                  count: { type: "integer" },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  TrendingPosts: {
+    type: "object",
+    properties: {
+      window: { type: "string", examples: ["7d"] },
+      since: { type: "string", format: "date" },
+      halfLifeDays: { type: "number" },
+      content: {
+        type: "array",
+        items: {
+          allOf: [
+            ref("PostSummary"),
+            {
+              type: "object",
+              properties: {
+                recentViews: { type: "integer" },
+                score: { type: "number" },
+              },
+            },
+          ],
+        },
+      },
+    },
+  },
+  PostStats: {
+    type: "object",
+    properties: {
+      postId: { type: "integer" },
+      from: { type: "string", format: "date" },
+      to: { type: "string", format: "date" },
+      granularity: { enum: ["day", "week", "month"] },
+      timeZone: { type: "string" },
+      series: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            date: {
+              type: "string",
+              format: "date",
+              description: "First day of the period",
+            },
+            views: { type: "integer" },
+          },
+        },
+      },
+      totals: {
+        type: "object",
+        properties: {
+          views: { type: "integer" },
+          averagePerDay: { type: "number" },
+          peakDay: nullable({
+            type: "object",
+            properties: {
+              date: { type: "string", format: "date" },
+              views: { type: "integer" },
+            },
+          }),
+          lifetimeViews: { type: "integer" },
+        },
+      },
+    },
+  },
+  ViewCount: {
+    type: "object",
+    properties: {
+      views: { type: "integer" },
+      counted: { type: "boolean" },
+      reason: {
+        type: "string",
+        description: "Why the view was not counted",
+        examples: ["duplicate", "bot_user_agent", "prefetch"],
+      },
+    },
+  },
+  Comment: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      content: { type: "string" },
+      authorName: { type: "string" },
+      createdAt: timestamp,
+      editedAt: nullableTimestamp,
+      deleted: {
+        type: "boolean",
+        description: 'Content and author read "[deleted]"',
+      },
+      postId: { type: "integer" },
+      parentId: { type: ["string", "null"] },
+      replies: {
+        type: "array",
+        items: ref("Comment"),
+        description: "Tree format only",
+      },
+    },
+  },
+  CreateCommentRequest: CREATE_COMMENT_SCHEMA,
+  CreatedComment: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      content: { type: "string" },
+      authorName: { type: "string" },
+      createdAt: timestamp,
+      postId: { type: "integer" },
+      parentId: { type: ["string", "null"] },
+      status: { enum: ["approved", "pending"] },
+      message: { type: "string", description: "Pending comments only" },
+      editToken: {
+        type: "string",
+        description:
+          "Bearer token for editing and deleting the comment; shown only once",
+      },
+      editableUntil: {
+        ...timestamp,
+        description: "End of the edit window",
+      },
+    },
+  },
+  UpdateCommentRequest: UPDATE_COMMENT_SCHEMA,
+  EditedComment: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      content: { type: "string" },
+      authorName: { type: "string" },
+      createdAt: timestamp,
+      editedAt: nullableTimestamp,
+      postId: { type: "integer" },
+      parentId: { type: ["string", "null"] },
+      status: { enum: ["approved", "pending"] },
+      message: { type: "string", description: "Pending comments only" },
+    },
+  },
+  DeletedComment: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      postId: { type: "integer" },
+      status: { enum: ["approved", "pending"] },
+      deletedAt: timestamp,
+    },
+  },
+  Tag: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      name: { type: "string" },
+      postCount: { type: "integer" },
+      createdAt: timestamp,
+    },
+  },
+  SearchPage: {
+    type: "object",
+    properties: {
+      content: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "integer" },
+            slug: { type: "string" },
+            title: { type: "string" },
+            summary: { type: ["string", "null"] },
+            tags: stringList,
+            createdAt: timestamp,
+            updatedAt: nullableTimestamp,
+            views: { type: "integer" },
+            snippet: {
+              type: "string",
+              description: "HTML with matches wrapped in <mark>",
+            },
+          },
+        },
+      },
+      totalElements: { type: "integer" },
+      pageNumber: { type: "integer" },
+      pageSize: { type: "integer" },
+    },
+  },
+  Suggestion: {
+    type: "object",
+    properties: {
+      type: { enum: ["post", "tag"] },
+      label: { type: "string" },
+      id: { type: "integer", description: "Posts only" },
+      slug: { type: "string", description: "Posts only" },
+      postCount: { type: "integer", description: "Tags only" },
+    },
+  },
+  CachePurgeRequest: CACHE_PURGE_SCHEMA,
+  CachePurgeResult: {
+    type: "object",
+    properties: {
+      tags: stringList,
+      urls: stringList,
+      purged: {
+        type: "integer",
+        description: "Number of tags and URLs invalidated",
+      },
+    },
+  },
+};
+
+const ERROR_RESPONSES = {
+  400: ["BadRequest", "Invalid parameters or body"],
+  401: ["Unauthorized", "Missing or invalid credentials"],
+  403: ["Forbidden", "Not allowed"],
+  404: ["NotFound", "Resource not found"],
+  429: ["TooManyRequests", "Rate limit exceeded (see Retry-After)"],
+  500: ["InternalError", "Unexpected server error"],
+};
+
+const SECURITY_SCHEMES = {
+  cachePurgeSecret: {
+    type: "http",
+    scheme: "bearer",
+    description: "The CACHE_PURGE_SECRET shared with the admin worker",
+  },
+  commentEditToken: {
+    type: "http",
+    scheme: "bearer",
+    description: "The editToken returned when the comment was created",
+  },
+};
+
+/**
+ * Wrap a data schema in the standard success envelope
+ * @param {Object} schema - Schema of `data`
+ * @returns {Object} JSON Schema
+ */
+function envelope(schema) {
+  return {
+    type: "object",
+    required: ["success", "data", "error"],
+    properties: {
+      success: { const: true },
+      data: schema,
+      error: { type: "null" },
+    },
+  };
+}
+
+/**
+ * Derive an operation id from a handler name (handleGetPosts -> getPosts)
+ * @param {Function} handler - Route handler
+ * @returns {string|null}
+ */
+function operationIdFor(handler) {
+  const name = handler?.name?.replace(/^handle/, "");
+  return name ? name[0].toLowerCase() + name.slice(1) : null;
+}
+
+/**
+ * Reference a request schema by name if it is a shared component
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} Reference or the schema itself
+ */
+function componentOrSchema(schema) {
+  const entry = Object.entries(COMPONENT_SCHEMAS).find(
+    ([, component]) => component === schema,
+  );
+  return entry ? ref(entry[0]) : schema;
+}
+
+/**
+ * Describe the query parameters of an object schema
+ * @param {Object|undefined} schema - Query schema of a route
+ * @returns {Array<Object>} OpenAPI parameter objects
+ */
+function queryParameters(schema) {
+  return Object.entries(schema?.properties ?? {}).map(
+    ([name, { description, ...propertySchema }]) => ({
+      name,
+      in: "query",
+      required: schema.required?.includes(name) || undefined,
+      description,
+      schema: propertySchema,
+      // Arrays are comma-separated (?tags=a,b)
+      ...(propertySchema.type === "array"
+        ? { style: "form", explode: false }
+        : {}),
+    }),
+  );
+}
+
+/**
+ * Build the OpenAPI operation for one route
+ * @param {string} method - HTTP method
+ * @param {string} path - Route path (e.g., "/posts/:slug")
+ * @param {Object} route - Route entry ({ pattern, handler, params, query, body, docs })
+ * @returns {Object} OpenAPI operation object
+ */
+function buildOperation(
+  method,
+  path,
+  { pattern, handler, params, query, body, docs = {} },
+) {
+  const pathParameters = [...path.matchAll(/:(\w+)/g)].map(([, name]) => {
+    const { description, ...schema } = params?.properties?.[name] ?? {
+      type: "string",
+    };
+    return { name, in: "path", required: true, description, schema };
+  });
+
+  const contentType = docs.contentType ?? "application/json";
+  const enveloped =
+    contentType === "application/json" && docs.envelope !== false;
+  const responses = {
+    [docs.status ?? 200]: {
+      description: "Success",
+      content: {
+        [contentType]: {
+          schema: enveloped
+            ? envelope(docs.response ?? {})
+            : (docs.response ?? { type: "string" }),
+        },
+      },
+    },
+  };
+
+  for (const [status, description] of Object.entries(docs.responses ?? {})) {
+    responses[status] = { description };
+  }
+  if (method === "GET") {
+    responses[304] = {
+      description: "Not modified (If-None-Match or If-Modified-Since matched)",
+    };
+  }
+  for (const status of [...(docs.errors ?? []), 429, 500]) {
+    responses[status] = {
+      $ref: `#/components/responses/${ERROR_RESPONSES[status][0]}`,
+    };
+  }
+
+  const operation = {
+    operationId: docs.operationId ?? operationIdFor(handler),
+    summary: docs.summary ?? pattern,
+    description: docs.description,
+    tags: docs.tag ? [docs.tag] : undefined,
+    parameters: [...pathParameters, ...queryParameters(query)],
+    requestBody: body
+      ? {
+          required: true,
+          content: {
+            "application/json": { schema: componentOrSchema(body) },
+          },
+        }
+      : undefined,
+    responses,
+    security: docs.security ? [{ [docs.security]: [] }] : undefined,
+  };
+
+  return Object.fromEntries(
+    Object.entries(operation).filter(([, value]) => value !== undefined),
+  );
+}
+
+/**
+ * Generate the OpenAPI document for a route table
+ * @param {Array<Object>} routes - Route entries ({ pattern, handler, docs })
+ * @param {Object} options - Document options
+ * @param {string} options.serverUrl - Base URL of this API
+ * @param {string} options.title - API title
+ * @returns {Object} OpenAPI 3.1 document
+ * @throws {Error} If two routes share an operation id
+ */
+export function buildOpenApiDocument(routes, { serverUrl, title }) {
+  const paths = {};
+  const operationIds = new Set();
+
+  for (const route of routes) {
+    const [method, path] = route.pattern.split(" ", 2);
+    const operation = buildOperation(method, path, route);
+
+    if (operationIds.has(operation.operationId)) {
+      throw new Error(`Duplicate operationId: ${operation.operationId}`);
+    }
+    operationIds.add(operation.operationId);
+
+    const openApiPath = path.replace(/:(\w+)/g, "{$1}");
+    paths[openApiPath] = {
+      ...paths[openApiPath],
+      [method.toLowerCase()]: operation,
+    };
+  }
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title,
+      version: API_VERSION,
+      description:
+        "Public read API of the blog. Successful JSON responses use the envelope `{ success, data, error }`.",
+    },
+    servers: [{ url: serverUrl }],
+    paths,
+    components: {
+      schemas: COMPONENT_SCHEMAS,
+      responses: Object.fromEntries(
+        Object.values(ERROR_RESPONSES).map(([name, description]) => [
+          name,
+          {
+            description,
+            content: {
+              "application/json": { schema: ref("Error") },
+            },
+          },
+        ]),
+      ),
+      securitySchemes: SECURITY_SCHEMES,
+    },
+  };
+}
+
+/**
+ * Short, readable name of a schema for the docs page
+ * @param {Object} schema - JSON Schema
+ * @returns {string} Type name (e.g., "PostSummary[]", "integer")
+ */
+function describeSchema(schema = {}) {
+  if (schema.$ref) {
+    return schema.$ref.split("/").pop();
+  }
+  if (schema.oneOf) {
+    return schema.oneOf.map(describeSchema).join(" | ");
+  }
+  if (schema.enum) {
+    return schema.enum.map((value) => JSON.stringify(value)).join(" | ");
+  }
+  if (schema.type === "array") {
+    return `${describeSchema(schema.items)}[]`;
+  }
+  if (schema.properties?.data) {
+    return describeSchema(schema.properties.data);
+  }
+  return [].concat(schema.type ?? "object").join(" | ");
+}
+
+/**
+ * Render a lightweight, dependency-free HTML reference of an OpenAPI document
+ * @param {Object} document - Document from buildOpenApiDocument
+ * @returns {string} HTML page
+ */
+export function renderDocsPage(document) {
+  const operations = Object.entries(document.paths).flatMap(([path, item]) =>
+    Object.entries(item).map(([method, operation]) => ({
+      path,
+      method,
+      operation,
+    })),
+  );
+
+  const sections = operations.map(({ path, method, operation }) => {
+    const parameters = operation.parameters.length
+      ? `<table>
+<tr><th>Parameter</th><th>In</th><th>Type</th><th>Description</th></tr>
+${operation.parameters
+  .map(
+    (parameter) =>
+      `<tr><td><code>${escapeHtml(parameter.name)}</code>${parameter.required ? " *" : ""}</td><td>${parameter.in}</td><td>${escapeHtml(describeSchema(parameter.schema))}</td><td>${escapeHtml(parameter.description ?? "")}</td></tr>`,
+  )
+  .join("\n")}
+</table>`
+      : "";
+
+    const body = operation.requestBody
+      ? `<p>Body: <code>${escapeHtml(describeSchema(operation.requestBody.content["application/json"].schema))}</code></p>`
+      : "";
+
+    const responses = Object.entries(operation.responses)
+      .map(([status, response]) => {
+        const name = response.$ref?.split("/").pop();
+        const content = response.content
+          ? Object.entries(response.content)
+              .map(
+                ([type, { schema }]) =>
+                  ` <code>${escapeHtml(type === "application/json" ? describeSchema(schema) : type)}</code>`,
+              )
+              .join("")
+          : "";
+        return `<li><b>${status}</b> ${escapeHtml(name ?? response.description)}${content}</li>`;
+      })
+      .join("\n");
+
+    return `<section id="${escapeHtml(operation.operationId)}">
+<h3><span class="method">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code></h3>
+<p>${escapeHtml(operation.summary)}</p>
+${operation.description ? `<p>${escapeHtml(operation.description)}</p>` : ""}
+${parameters}
+${body}
+<ul>
+${responses}
+</ul>
+</section>`;
+  });
+
+  const schemas = Object.entries(document.components.schemas)
+    .map(
+      ([name, schema]) =>
+        `<h3 id="schema-${escapeHtml(name)}">${escapeHtml(name)}</h3>
+<pre>${escapeHtml(JSON.stringify(schema, null, 2))}</pre>`,
+    )
+    .join("\n");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(document.info.title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 60rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+section { border-top: 1px solid #ddd; padding-top: 0.5rem; }
+.method { font-size: 0.8em; padding: 0.1em 0.4em; border-radius: 0.2em; background: #eee; }
+table { border-collapse: collapse; }
+th, td { text-align: left; padding: 0.2em 0.6em; border-bottom: 1px solid #eee; vertical-align: top; }
+pre { background: #f6f6f6; padding: 0.5rem; overflow-x: auto; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(document.info.title)} <small>${escapeHtml(document.info.version)}</small></h1>
+<p>${escapeHtml(document.info.description)} Machine-readable: <a href="openapi.json">openapi.json</a>.</p>
+${sections.join("\n")}
+<h2>Schemas</h2>
+${schemas}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,145 @@
+/**
+ * Per-client rate limiting for write endpoints
+ *
+ * Counters live in the RATE_LIMITER Durable Object when it is bound; without
+ * the binding (e.g. plain `wrangler dev`), or when the Durable Object cannot
+ * be reached, an in-memory fallback is used, which is only accurate within a
+ * single isolate.
+ */
+
+/**
+ * Default budgets per route pattern. Override with the RATE_LIMITS variable,
+ * a JSON object of the same shape.
+ */
+export const DEFAULT_RATE_LIMITS = {
+  "POST /comments/:postId": { limit: 5, windowSeconds: 60 },
+  "PATCH /comments/:postId/:commentId": { limit: 10, windowSeconds: 60 },
+  "DELETE /comments/:postId/:commentId": { limit: 10, windowSeconds: 60 },
+  "PATCH /posts/:postId/views": { limit: 30, windowSeconds: 60 },
+};
+
+const memoryWindows = new Map();
+const MAX_MEMORY_KEYS = 10000;
+
+/**
+ * Resolve the rate limit budget for a route
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {string} pattern - Route pattern (e.g., "POST /comments/:postId")
+ * @returns {{limit: number, windowSeconds: number}|null} Budget, or null if unlimited
+ */
+export function getRateLimitConfig(env, pattern) {
+  let overrides = {};
+  if (env?.RATE_LIMITS) {
+    try {
+      overrides = JSON.parse(env.RATE_LIMITS);
+    } catch {
+      overrides = {};
+    }
+  }
+
+  const config = overrides[pattern] ?? DEFAULT_RATE_LIMITS[pattern];
+  if (!config || !(config.limit > 0) || !(config.windowSeconds > 0)) {
+    return null;
+  }
+
+  return { limit: config.limit, windowSeconds: config.windowSeconds };
+}
+
+/**
+ * Identify the client a request is counted against
+ * @param {Request} request - Request object
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {string} Client key (IP, optionally combined with ASN)
+ */
+export function getClientKey(request, env) {
+  const ip = request.headers.get("CF-Connecting-IP") || "unknown";
+
+  if (env?.RATE_LIMIT_BY_ASN === "true" && request.cf?.asn) {
+    return `${ip}|asn:${request.cf.asn}`;
+  }
+
+  return ip;
+}
+
+/**
+ * Count a request in an in-memory fixed window
+ * @param {string} key - Rate limit key
+ * @param {{limit: number, windowSeconds: number}} config - Budget
+ * @returns {Object} Rate limit result
+ */
+function checkMemoryRateLimit(key, { limit, windowSeconds }) {
+  const now = Date.now();
+  const windowMs = windowSeconds * 1000;
+
+  let window = memoryWindows.get(key);
+  if (!window || now - window.start >= windowMs) {
+    if (memoryWindows.size >= MAX_MEMORY_KEYS) {
+      for (const [staleKey, stale] of memoryWindows) {
+        if (now - stale.start >= windowMs) {
+          memoryWindows.delete(staleKey);
+        }
+      }
+    }
+    window = { start: now, count: 0 };
+    memoryWindows.set(key, window);
+  }
+
+  window.count += 1;
+
+  return {
+    allowed: window.count <= limit,
+    limit,
+    remaining: Math.max(0, limit - window.count),
+    resetSeconds: Math.max(
+      1,
+      Math.ceil((window.start + windowMs - now) / 1000),
+    ),
+  };
+}
+
+/**
+ * Count a request against a rate limit budget. Durable Object failures are
+ * logged and counted in memory instead, so they never fail the request.
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {string} key - Rate limit key (route + client)
+ * @param {{limit: number, windowSeconds: number}} config - Budget
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<{allowed: boolean, limit: number, remaining: number, resetSeconds: number}>}
+ */
+export async function checkRateLimit(env, key, config, logger) {
+  if (!env?.RATE_LIMITER) {
+    return checkMemoryRateLimit(key, config);
+  }
+
+  try {
+    const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(key));
+    const response = await stub.fetch("https://rate-limiter/check", {
+      method: "POST",
+      body: JSON.stringify(config),
+    });
+    if (!response.ok) {
+      throw new Error(`Rate limiter responded with ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    logger?.warn("Rate limiter unavailable, counting in memory", {
+      type: "routing",
+      error: { message: error.message, name: error.name },
+    });
+    return checkMemoryRateLimit(key, config);
+  }
+}
+
+/**
+ * Build IETF RateLimit-* headers for a rate limit result
+ * @param {Object} result - Result from checkRateLimit
+ * @returns {Object} Headers
+ */
+export function rateLimitHeaders(result) {
+  return {
+    "RateLimit-Limit": String(result.limit),
+    "RateLimit-Remaining": String(result.remaining),
+    "RateLimit-Reset": String(result.resetSeconds),
+  };
+}
@@ -15,6 +15,48 @@ export function jsonResponse(data, status = 200, additionalHeaders = {}) {
   });
 }
 
+/**
+ * Create a non-JSON response (XML feeds, sitemaps, HTML)
+ * @param {string} body - Response body
+ * @param {string} contentType - Content-Type header value
+ * @param {number} status - HTTP status code
+ * @param {Object} additionalHeaders - Additional headers to include
+ * @returns {Response}
+ */
+export function textResponse(
+  body,
+  contentType,
+  status = 200,
+  additionalHeaders = {},
+) {
+  return new Response(body, {
+    status,
+    headers: {
+      "Content-Type": contentType,
+      ...additionalHeaders,
+    },
+  });
+}
+
+/**
+ * Copy a response, adding headers
+ * @param {Response} response - Original response
+ * @param {Object} headers - Headers to set
+ * @returns {Response} Response with headers
+ */
+export function withHeaders(response, headers) {
+  const newHeaders = new Headers(response.headers);
+  Object.entries(headers).forEach(([key, value]) => {
+    newHeaders.set(key, value);
+  });
+
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: newHeaders,
+  });
+}
+
 /**
  * Create a standardized success response
  * @param {*} data - Response data payload
@@ -36,9 +78,16 @@ export function successResponse(data, status = 200) {
  * Create a standardized error response
  * @param {string} message - Error message
  * @param {number} status - HTTP status code (default: 400)
+ * @param {Object} additionalHeaders - Additional headers to include
+ * @param {Array<Object>|null} errors - Individual field errors, if any
  * @returns {Response}
  */
-export function errorResponse(message, status = 400) {
+export function errorResponse(
+  message,
+  status = 400,
+  additionalHeaders = {},
+  errors = null,
+) {
   return jsonResponse(
     {
       success: false,
@@ -46,9 +95,11 @@ export function errorResponse(message, status = 400) {
       error: {
         code: status,
         message,
+        ...(errors ? { errors } : {}),
       },
     },
     status,
+    additionalHeaders,
   );
 }
 
@@ -60,21 +111,29 @@ export function errorResponse(message, status = 400) {
 export function corsHeaders(allowedOrigins = "*") {
   return {
     "Access-Control-Allow-Origin": allowedOrigins,
-    "Access-Control-Allow-Methods": "GET, POST, PUT, PATCH, DELETE, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Headers":
+      "Content-Type, Authorization, If-None-Match, If-Modified-Since",
+    "Access-Control-Expose-Headers":
+      "ETag, Last-Modified, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After",
     "Access-Control-Max-Age": "86400",
   };
 }
 
 /**
- * Handle CORS preflight requests
+ * Handle CORS preflight and other OPTIONS requests
  * @param {string} allowedOrigins - Allowed origins
+ * @param {Array<string>} allowedMethods - Methods of the requested path
  * @returns {Response}
  */
-export function handleCORS(allowedOrigins = "*") {
+export function handleCORS(allowedOrigins = "*", allowedMethods = []) {
+  const methods = allowedMethods.join(", ");
   return new Response(null, {
     status: 204,
-    headers: corsHeaders(allowedOrigins),
+    headers: {
+      ...corsHeaders(allowedOrigins),
+      "Access-Control-Allow-Methods": methods,
+      Allow: methods,
+    },
   });
 }
 
@@ -85,16 +144,5 @@ export function handleCORS(allowedOrigins = "*") {
  * @returns {Response} Response with CORS headers
  */
 export function addCORSHeaders(response, allowedOrigins = "*") {
-  const newHeaders = new Headers(response.headers);
-  const cors = corsHeaders(allowedOrigins);
-
-  Object.entries(cors).forEach(([key, value]) => {
-    newHeaders.set(key, value);
-  });
-
-  return new Response(response.body, {
-    status: response.status,
-    statusText: response.statusText,
-    headers: newHeaders,
-  });
+  return withHeaders(response, corsHeaders(allowedOrigins));
 }
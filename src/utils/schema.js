@@ -0,0 +1,329 @@
+/**
+ * Declarative validation with a subset of JSON Schema, so the schemas the
+ * router enforces are the same ones published in the OpenAPI document.
+ *
+ * Supported keywords: type (string or list of "string", "integer", "number",
+ * "boolean", "array", "object", "null"), enum, const, minimum, maximum,
+ * minLength, maxLength, pattern, format ("date", "date-time"), items,
+ * minItems, maxItems, properties, required, additionalProperties (false only)
+ * and default. `errorMessage` replaces the messages of a failing value.
+ * Other keywords (description, examples, ...) are annotations and ignored.
+ */
+
+import { ValidationError } from "./errors.js";
+
+const FORMATS = {
+  date: (value) =>
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    new Date(`${value}T00:00:00Z`).toISOString().startsWith(value),
+  "date-time": (value) =>
+    /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(Date.parse(value)),
+};
+
+const TYPE_NAMES = {
+  string: "a string",
+  integer: "an integer",
+  number: "a number",
+  boolean: "a boolean",
+  array: "an array",
+  object: "an object",
+  null: "null",
+};
+
+/**
+ * Build an object schema
+ * @param {Object} properties - Property schemas
+ * @param {Array<string>} required - Required property names
+ * @returns {Object} JSON Schema
+ */
+export function objectSchema(properties, required = []) {
+  return { type: "object", properties, required };
+}
+
+/**
+ * Whether a value has a JSON Schema type
+ * @param {*} value - Value
+ * @param {string} type - JSON Schema type
+ * @returns {boolean}
+ */
+function hasType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return (
+        typeof value === "object" && value !== null && !Array.isArray(value)
+      );
+    case "null":
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Convert a query or path string to a type
+ * @param {string} value - Raw string
+ * @param {string} type - JSON Schema type
+ * @returns {{ok: boolean, value: *}} Converted value
+ */
+function coerceString(value, type) {
+  switch (type) {
+    case "integer":
+      return /^-?\d+$/.test(value)
+        ? { ok: true, value: Number(value) }
+        : { ok: false };
+    case "number": {
+      const number = Number(value);
+      return value.trim() !== "" && Number.isFinite(number)
+        ? { ok: true, value: number }
+        : { ok: false };
+    }
+    case "boolean":
+      return ["true", "false"].includes(value)
+        ? { ok: true, value: value === "true" }
+        : { ok: false };
+    case "array":
+      return {
+        ok: true,
+        value: value
+          .split(",")
+          .map((item) => item.trim())
+          .filter(Boolean),
+      };
+    default:
+      return { ok: false };
+  }
+}
+
+/**
+ * Match a value against the schema's types, converting strings if allowed
+ * @param {*} value - Value
+ * @param {Array<string>} types - Allowed types
+ * @param {boolean} coerce - Whether strings may be converted
+ * @returns {{ok: boolean, value: *}} Matched value
+ */
+function matchType(value, types, coerce) {
+  if (types.some((type) => hasType(value, type))) {
+    return { ok: true, value };
+  }
+
+  if (coerce && typeof value === "string") {
+    for (const type of types) {
+      const result = coerceString(value, type);
+      if (result.ok) {
+        return result;
+      }
+    }
+  }
+
+  return { ok: false };
+}
+
+/**
+ * Validate a value (recursively collecting every error)
+ * @param {Object} schema - JSON Schema
+ * @param {*} input - Value
+ * @param {string} field - Field name used in messages
+ * @param {boolean} coerce - Whether strings may be converted
+ * @param {Array<Object>} errors - Collected errors
+ * @returns {*} Validated (and possibly converted) value
+ */
+function check(schema, input, field, coerce, errors) {
+  const found = [];
+  const fail = (message) => found.push(message);
+  let value = input;
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    const result = matchType(value, types, coerce);
+    if (!result.ok) {
+      fail(
+        `${field} must be ${types.map((type) => TYPE_NAMES[type]).join(" or ")}`,
+      );
+      return report(schema, field, found, errors, value);
+    }
+    value = result.value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`${field} must be one of: ${schema.enum.join(", ")}`);
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`${field} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`${field} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`${field} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`${field} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`${field} must not exceed ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+      fail(`${field} must match the pattern ${schema.pattern}`);
+    }
+    if (
+      schema.format &&
+      FORMATS[schema.format] &&
+      !FORMATS[schema.format](value)
+    ) {
+      fail(`${field} must be a valid ${schema.format}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`${field} must contain at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`${field} must not exceed ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value = value.map((item, index) =>
+        check(schema.items, item, `${field}[${index}]`, coerce, errors),
+      );
+    }
+  }
+
+  if (hasType(value, "object") && (schema.properties || schema.required)) {
+    value = checkProperties(schema, value, field, coerce, errors);
+  }
+
+  return report(schema, field, found, errors, value);
+}
+
+/**
+ * Record a value's own errors (or its errorMessage instead)
+ * @param {Object} schema - JSON Schema
+ * @param {string} field - Field name
+ * @param {Array<string>} found - Messages for this value
+ * @param {Array<Object>} errors - Collected errors
+ * @param {*} value - Validated value
+ * @returns {*} The value
+ */
+function report(schema, field, found, errors, value) {
+  const messages =
+    found.length > 0 && schema.errorMessage ? [schema.errorMessage] : found;
+  errors.push(...messages.map((message) => ({ field, message })));
+  return value;
+}
+
+/**
+ * Validate the properties of an object. Absent properties get their default;
+ * with coercion, empty strings count as absent.
+ * @param {Object} schema - Object schema
+ * @param {Object} input - Object
+ * @param {string} field - Field name of the object
+ * @param {boolean} coerce - Whether strings may be converted
+ * @param {Array<Object>} errors - Collected errors
+ * @returns {Object} Validated copy
+ */
+function checkProperties(schema, input, field, coerce, errors) {
+  const output = { ...input };
+  const properties = schema.properties ?? {};
+  const required = schema.required ?? [];
+  const child = (name) => (field ? `${field}.${name}` : name);
+
+  for (const [name, propertySchema] of Object.entries(properties)) {
+    const present =
+      output[name] !== undefined && !(coerce && output[name] === "");
+
+    if (!present) {
+      delete output[name];
+      if (required.includes(name)) {
+        errors.push({
+          field: child(name),
+          message: `${child(name)} is required`,
+        });
+      } else if (propertySchema.default !== undefined) {
+        output[name] = propertySchema.default;
+      }
+      continue;
+    }
+
+    output[name] = check(
+      propertySchema,
+      output[name],
+      child(name),
+      coerce,
+      errors,
+    );
+  }
+
+  for (const name of required.filter((name) => !(name in properties))) {
+    if (output[name] === undefined) {
+      errors.push({
+        field: child(name),
+        message: `${child(name)} is required`,
+      });
+    }
+  }
+
+  if (schema.additionalProperties === false) {
+    for (const name of Object.keys(output).filter(
+      (name) => !(name in properties),
+    )) {
+      errors.push({
+        field: child(name),
+        message: `${child(name)} is not allowed`,
+      });
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {Object} options - Options
+ * @param {boolean} options.coerce - Convert strings to the schema's types
+ *   (for path and query parameters)
+ * @param {string} options.name - Name used for errors about the value itself
+ * @returns {{value: *, errors: Array<{field: string, message: string}>}}
+ *   Validated value (with defaults and conversions) and every error found
+ */
+export function validateSchema(
+  schema,
+  value,
+  { coerce = false, name = "" } = {},
+) {
+  const errors = [];
+  // Properties are named on their own; only a non-object value needs a name
+  const field = hasType(value, "object") ? "" : name || "value";
+  return { value: check(schema, value, field, coerce, errors), errors };
+}
+
+/**
+ * Validate a value against a schema, throwing if it does not match
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {Object} options - Options for validateSchema
+ * @returns {*} Validated value
+ * @throws {ValidationError} With every error found
+ */
+export function assertSchema(schema, value, options = {}) {
+  const { value: result, errors } = validateSchema(schema, value, options);
+  if (errors.length > 0) {
+    throw new ValidationError(
+      errors.map((error) => error.message).join(", "),
+      errors,
+    );
+  }
+  return result;
+}
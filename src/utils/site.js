@@ -0,0 +1,60 @@
+import { isValidTimeZone } from "./timezone.js";
+
+const DEFAULT_SITE_URL = "https://bumsiku.kr";
+const DEFAULT_TIME_ZONE = "Asia/Seoul";
+
+/**
+ * Resolve public site settings from the environment
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {Object} Site configuration
+ */
+export function getSiteConfig(env = {}) {
+  const url = (env.SITE_URL || DEFAULT_SITE_URL).replace(/\/+$/, "");
+
+  return {
+    url,
+    title: env.SITE_TITLE || "bumsiku.kr",
+    description: env.SITE_DESCRIPTION || "bumsiku.kr blog",
+    language: env.SITE_LANGUAGE || "ko",
+    author: env.SITE_AUTHOR || "bumsiku",
+    timeZone:
+      env.SITE_TIMEZONE && isValidTimeZone(env.SITE_TIMEZONE)
+        ? env.SITE_TIMEZONE
+        : DEFAULT_TIME_ZONE,
+  };
+}
+
+/**
+ * Build the public URL of a post page
+ * @param {Object} site - Site configuration from getSiteConfig
+ * @param {string} slug - Post slug
+ * @returns {string} Absolute post URL
+ */
+export function postUrl(site, slug) {
+  return `${site.url}/posts/${encodeURIComponent(slug)}`;
+}
+
+/**
+ * Build the public URL of a tag listing page
+ * @param {Object} site - Site configuration from getSiteConfig
+ * @param {string} tag - Tag name
+ * @returns {string} Absolute tag listing URL
+ */
+export function tagUrl(site, tag) {
+  return `${site.url}/tags/${encodeURIComponent(tag)}`;
+}
+
+/**
+ * Build the public URL of a date archive page
+ * @param {Object} site - Site configuration from getSiteConfig
+ * @param {string|number} year - Four digit year
+ * @param {string|number|null} month - Month (1-12), omitted for yearly archives
+ * @returns {string} Absolute archive URL
+ */
+export function archiveUrl(site, year, month = null) {
+  if (month === null || month === undefined) {
+    return `${site.url}/archive/${year}`;
+  }
+
+  return `${site.url}/archive/${year}/${String(month).padStart(2, "0")}`;
+}
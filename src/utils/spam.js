@@ -0,0 +1,184 @@
+/**
+ * Spam and abuse detection helpers for comment moderation
+ */
+
+/**
+ * Korean profanity, written the way it is matched after normalization
+ * (digits and punctuation removed, spaced-out letters re-joined). Common
+ * evasions such as "씨 발", "씨1발", "ㅅ.ㅂ" therefore all match these entries.
+ */
+const KOREAN_PROFANITY = [
+  "시발",
+  "씨발",
+  "씨바",
+  "씨빨",
+  "쉬발",
+  "슈발",
+  "ㅅㅂ",
+  "ㅆㅂ",
+  "ㅄ",
+  "병신",
+  "븅신",
+  "빙신",
+  "ㅂㅅ",
+  "좆",
+  "존나",
+  "졸라",
+  "ㅈㄴ",
+  "개새끼",
+  "개새기",
+  "개색기",
+  "개색히",
+  "ㄱㅅㄲ",
+  "ㅅㄲ",
+  "미친놈",
+  "미친년",
+  "ㅁㅊ",
+  "지랄",
+  "ㅈㄹ",
+  "닥쳐",
+  "꺼져",
+];
+
+/**
+ * Words that almost only appear in link spam (English and Korean)
+ */
+const SPAM_KEYWORDS = [
+  "viagra",
+  "cialis",
+  "casino",
+  "porn",
+  "escort",
+  "forex",
+  "seo service",
+  "buy followers",
+  "카지노",
+  "바카라",
+  "대출",
+  "야동",
+  "성인용품",
+  "출장안마",
+  "비아그라",
+];
+
+/**
+ * URLs with a scheme, `www.` hosts and bare hosts followed by a path. Other
+ * dotted words are not counted, so code such as `console.info` or
+ * `window.top` is not mistaken for a link.
+ */
+const LINK_PATTERN =
+  /\bhttps?:\/\/\S+|\bwww\.[a-z0-9-]+(?:\.[a-z0-9-]+)+\S*|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}\/\S*/gi;
+
+/**
+ * Korean particles and suffixes that may follow a banned word within the
+ * same word ("대출은", "개새끼들")
+ */
+const WORD_SUFFIXES = [
+  "은",
+  "는",
+  "이",
+  "가",
+  "을",
+  "를",
+  "의",
+  "에",
+  "도",
+  "로",
+  "으로",
+  "아",
+  "야",
+  "들",
+];
+
+/**
+ * Count links in text
+ * @param {string} text - Text to inspect
+ * @returns {number} Number of links
+ */
+export function countLinks(text) {
+  return (text || "").match(LINK_PATTERN)?.length || 0;
+}
+
+/**
+ * Normalize text for word-list matching: NFKC (fullwidth and compatibility
+ * forms), lowercase, and drop everything except letters and whitespace
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeForMatching(text) {
+  return (text || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\s]/gu, "");
+}
+
+/**
+ * Split normalized text into words, re-joining runs of single letters so
+ * spaced-out evasions ("씨 발", "v i a g r a") become one word again.
+ * Matching per word keeps innocent phrases like "다시 발견" from matching.
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Words
+ */
+function toMatchWords(text) {
+  const words = [];
+  let run = "";
+
+  for (const word of normalizeForMatching(text).split(/\s+/).filter(Boolean)) {
+    if (Array.from(word).length === 1) {
+      run += word;
+      continue;
+    }
+    if (run) {
+      words.push(run);
+      run = "";
+    }
+    words.push(word);
+  }
+  if (run) {
+    words.push(run);
+  }
+
+  return words;
+}
+
+/**
+ * Whether a word is a banned entry, alone or followed by a Korean particle
+ * @param {string} word - Normalized word
+ * @param {string} needle - Normalized single-word entry
+ * @returns {boolean}
+ */
+function matchesWord(word, needle) {
+  return (
+    word === needle ||
+    (word.startsWith(needle) &&
+      WORD_SUFFIXES.includes(word.slice(needle.length)))
+  );
+}
+
+/**
+ * Find banned words in text
+ * @param {string} text - Text to inspect
+ * @param {Array<string>} extraWords - Additional banned words (e.g. from env)
+ * @returns {{profanity: Array<string>, spam: Array<string>}} Matched words
+ */
+export function findBannedWords(text, extraWords = []) {
+  const words = toMatchWords(text);
+  const joined = ` ${words.join(" ")} `;
+
+  const matches = (list) =>
+    list.filter((entry) => {
+      const needle = normalizeForMatching(entry).trim();
+      if (needle.length === 0) {
+        return false;
+      }
+      // Multi-word entries match as a phrase, single words as a whole word
+      return needle.includes(" ")
+        ? joined.includes(` ${needle} `)
+        : words.some((word) => matchesWord(word, needle));
+    });
+
+  return {
+    profanity: matches([...KOREAN_PROFANITY, ...extraWords]),
+    spam: matches(SPAM_KEYWORDS),
+  };
+}
@@ -0,0 +1,114 @@
+/**
+ * View statistics series: calendar dates, period rollups and gap filling
+ */
+
+import { getZonedParts } from "./timezone.js";
+
+export const STATS_GRANULARITIES = ["day", "week", "month"];
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY_MS = 86400000;
+
+/**
+ * Format a UTC-midnight epoch as a calendar date
+ * @param {number} time - Epoch ms at UTC midnight
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function formatDate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a calendar date
+ * @param {string} value - Date as YYYY-MM-DD
+ * @returns {number|null} Epoch ms at UTC midnight, or null if the date is invalid
+ */
+export function parseDate(value) {
+  const match = DATE_PATTERN.exec(value || "");
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day] = match.map(Number);
+  const time = Date.UTC(year, month - 1, day);
+  return formatDate(time) === value ? time : null;
+}
+
+/**
+ * Calendar date of an instant in a time zone
+ * @param {Date|number|string} value - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} Date as YYYY-MM-DD
+ */
+export function getZonedDate(value, timeZone) {
+  const { year, month, day } = getZonedParts(value, timeZone);
+  return formatDate(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Shift a calendar date by a number of days
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {number} days - Days to add (negative for the past)
+ * @returns {string} Date as YYYY-MM-DD
+ */
+export function addDays(date, days) {
+  return formatDate(parseDate(date) + days * DAY_MS);
+}
+
+/**
+ * Number of days from one date to another, inclusive of both
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @returns {number}
+ */
+export function countDays(from, to) {
+  return Math.round((parseDate(to) - parseDate(from)) / DAY_MS) + 1;
+}
+
+/**
+ * First date of the period a date falls in (weeks start on Monday)
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {string} granularity - "day", "week" or "month"
+ * @returns {string} Period start as YYYY-MM-DD
+ */
+function periodStart(date, granularity) {
+  if (granularity === "month") {
+    return `${date.slice(0, 7)}-01`;
+  }
+  if (granularity === "week") {
+    const weekday = new Date(parseDate(date)).getUTCDay();
+    return addDays(date, -((weekday + 6) % 7));
+  }
+  return date;
+}
+
+/**
+ * Roll daily view rows up into a gap-filled series. Every period overlapping
+ * the range is present (with 0 views if there were none); the first and last
+ * periods only count the days inside the range.
+ * @param {Array<{day: string, views: number}>} rows - Daily views within the range
+ * @param {Object} range - Series range
+ * @param {string} range.from - First date (YYYY-MM-DD)
+ * @param {string} range.to - Last date (YYYY-MM-DD)
+ * @param {string} range.granularity - "day", "week" or "month"
+ * @returns {Array<{date: string, views: number}>} Periods in ascending order, keyed by start date
+ */
+export function buildViewSeries(rows, { from, to, granularity }) {
+  const series = new Map();
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const start = periodStart(date, granularity);
+    if (!series.has(start)) {
+      series.set(start, { date: start, views: 0 });
+    }
+  }
+
+  for (const row of rows) {
+    const period = series.get(periodStart(row.day, granularity));
+    if (period) {
+      period.views += row.views;
+    }
+  }
+
+  return [...series.values()];
+}
@@ -0,0 +1,110 @@
+/**
+ * Time zone helpers built on Intl. Timestamps are stored as UTC ISO strings;
+ * these convert between UTC instants and wall-clock dates in a named zone
+ * (DST-aware, so the same code works for "Asia/Seoul" and "Europe/Berlin").
+ */
+
+const formatters = new Map();
+
+/**
+ * Check whether a string is a time zone name Intl understands
+ * @param {string} timeZone - IANA time zone name (e.g., "Asia/Seoul")
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get a cached formatter for a time zone
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      }),
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Get the wall-clock date and time of an instant in a time zone
+ * @param {Date|string} value - Instant (Date or ISO timestamp)
+ * @param {string} timeZone - IANA time zone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+export function getZonedParts(value, timeZone) {
+  const parts = {};
+  for (const { type, value: part } of getFormatter(timeZone).formatToParts(
+    new Date(value),
+  )) {
+    if (type !== "literal") {
+      parts[type] = parseInt(part, 10);
+    }
+  }
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {number} time - Instant (epoch ms)
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getOffsetMs(time, timeZone) {
+  const wholeSeconds = Math.floor(time / 1000) * 1000;
+  const parts = getZonedParts(new Date(wholeSeconds), timeZone);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+  return asUtc - wholeSeconds;
+}
+
+/**
+ * Find the UTC instant of local midnight on a date in a time zone
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12; 13 rolls over into the next year)
+ * @param {number} day - Day of month
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} UTC instant
+ */
+export function zonedMidnightToUtc(year, month, day, timeZone) {
+  const local = Date.UTC(year, month - 1, day);
+
+  // The offset at the guessed instant can differ from the one at the result
+  // when a DST change falls in between, so correct once more
+  let utc = local - getOffsetMs(local, timeZone);
+  utc = local - getOffsetMs(utc, timeZone);
+
+  return new Date(utc);
+}
@@ -0,0 +1,65 @@
+/**
+ * Trending window and decay settings for daily post views
+ */
+
+import { ValidationError } from "./errors.js";
+
+const DEFAULT_TRENDING_WINDOW = "7d";
+const DEFAULT_MAX_WINDOW_DAYS = 30;
+const DEFAULT_HALF_LIFE_DAYS = 3;
+const DEFAULT_RETENTION_DAYS = 731;
+
+/**
+ * Longest trending window in days
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {number} Maximum window in days
+ */
+export function getTrendingMaxWindowDays(env) {
+  const days = parseInt(env?.TRENDING_MAX_WINDOW_DAYS, 10);
+  return isNaN(days) || days < 1 ? DEFAULT_MAX_WINDOW_DAYS : days;
+}
+
+/**
+ * Number of days daily view totals are kept. Never shorter than the longest
+ * trending window, so trending always sees its whole window.
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {number} Retention in days
+ */
+export function getViewRetentionDays(env) {
+  const days = parseInt(env?.VIEW_RETENTION_DAYS, 10);
+  return Math.max(
+    isNaN(days) || days < 1 ? DEFAULT_RETENTION_DAYS : days,
+    getTrendingMaxWindowDays(env),
+  );
+}
+
+/**
+ * Age in days at which a day's views count half
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {number} Half-life in days
+ */
+export function getTrendingHalfLifeDays(env) {
+  const days = parseFloat(env?.TRENDING_HALF_LIFE_DAYS);
+  return isNaN(days) || days <= 0 ? DEFAULT_HALF_LIFE_DAYS : days;
+}
+
+/**
+ * Parse a trending window such as "7d"
+ * @param {string|null} value - Window parameter (defaults to "7d")
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {number} Window length in days
+ * @throws {ValidationError} If the window is malformed or too long
+ */
+export function parseTrendingWindow(value, env) {
+  const match = /^(\d+)d$/.exec(value ?? DEFAULT_TRENDING_WINDOW);
+  const days = match ? parseInt(match[1], 10) : NaN;
+  const maxDays = getTrendingMaxWindowDays(env);
+
+  if (!(days >= 1 && days <= maxDays)) {
+    throw new ValidationError(
+      `Window must be between 1d and ${maxDays}d (e.g., "7d")`,
+    );
+  }
+
+  return days;
+}
@@ -0,0 +1,93 @@
+/**
+ * Visitor identification for unique view counting
+ */
+
+import { sha256Hex } from "./crypto.js";
+
+const BOT_USER_AGENT_PATTERN =
+  /bot|crawl|spider|slurp|archiver|facebookexternalhit|embedly|quora link preview|whatsapp|telegram|discord|slack|preview|headless|lighthouse|pingdom|uptime|monitor|curl|wget|python-requests|python-urllib|httpclient|okhttp|go-http-client|java\/|libwww|node-fetch|axios|postman/i;
+
+const DEFAULT_BOT_SCORE_THRESHOLD = 29;
+const DEFAULT_VIEW_WINDOW_HOURS = 24;
+
+/**
+ * Decide whether a request should not count as a human page view
+ * @param {Request} request - Request object
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {string|null} Reason the view is ignored, or null for human visitors
+ */
+export function detectAutomatedView(request, env) {
+  const purpose =
+    request.headers.get("Sec-Purpose") ||
+    request.headers.get("Purpose") ||
+    request.headers.get("X-Purpose") ||
+    request.headers.get("X-Moz");
+  if (purpose && /prefetch|prerender|preview/i.test(purpose)) {
+    return "prefetch";
+  }
+
+  const botManagement = request.cf?.botManagement;
+  if (botManagement) {
+    if (botManagement.verifiedBot) {
+      return "verified_bot";
+    }
+
+    const threshold = parseInt(
+      env?.BOT_SCORE_THRESHOLD || DEFAULT_BOT_SCORE_THRESHOLD,
+      10,
+    );
+    if (
+      typeof botManagement.score === "number" &&
+      botManagement.score <= threshold
+    ) {
+      return "bot_score";
+    }
+  }
+
+  const userAgent = request.headers.get("User-Agent");
+  if (!userAgent) {
+    return "missing_user_agent";
+  }
+  if (BOT_USER_AGENT_PATTERN.test(userAgent)) {
+    return "bot_user_agent";
+  }
+
+  return null;
+}
+
+/**
+ * Length of the window in which a visitor is counted at most once per post
+ * @param {Object} env - Cloudflare Worker environment
+ * @returns {number} Window length in milliseconds
+ */
+export function getViewWindowMs(env) {
+  const hours = parseFloat(env?.VIEW_DEDUP_WINDOW_HOURS);
+  return (
+    (isNaN(hours) || hours <= 0 ? DEFAULT_VIEW_WINDOW_HOURS : hours) * 3600000
+  );
+}
+
+/**
+ * Hash a visitor into an opaque fingerprint. The salt combines the
+ * VIEW_FINGERPRINT_SECRET with the current window number, so the same visitor
+ * gets a new fingerprint every window and raw IPs never reach storage.
+ * Without the secret the salt would be the (public) window number alone and
+ * the IP space small enough to brute-force, so no fingerprint is made.
+ * @param {Request} request - Request object
+ * @param {Object} env - Cloudflare Worker environment
+ * @param {number} now - Current time (epoch ms)
+ * @returns {Promise<string|null>} Hex-encoded SHA-256 fingerprint, or null
+ *   without VIEW_FINGERPRINT_SECRET
+ */
+export async function createVisitorFingerprint(request, env, now = Date.now()) {
+  if (!env?.VIEW_FINGERPRINT_SECRET) {
+    return null;
+  }
+
+  const ip = request.headers.get("CF-Connecting-IP") || "unknown";
+  const userAgent = request.headers.get("User-Agent") || "";
+  const windowNumber = Math.floor(now / getViewWindowMs(env));
+  const salt = `${env.VIEW_FINGERPRINT_SECRET}:${windowNumber}`;
+
+  return sha256Hex(`${salt}|${ip}|${userAgent}`);
+}
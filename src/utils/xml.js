@@ -0,0 +1,51 @@
+/**
+ * Whether a character is allowed in XML 1.0: tab, line feed, carriage return
+ * and everything from U+0020 except the noncharacters U+FFFE and U+FFFF
+ * @param {string} char - Single character (code point)
+ * @returns {boolean}
+ */
+function isXmlChar(char) {
+  const code = char.charCodeAt(0);
+  return code >= 0x20
+    ? code !== 0xfffe && code !== 0xffff
+    : code === 0x09 || code === 0x0a || code === 0x0d;
+}
+
+/**
+ * Escape a value for safe inclusion in XML text and attribute content
+ * @param {*} value - Value to escape (null/undefined become an empty string)
+ * @returns {string} Escaped string
+ */
+export function escapeXml(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  // Strip characters that are not allowed anywhere in XML 1.0, then escape
+  return Array.from(String(value))
+    .filter(isXmlChar)
+    .join("")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Format a timestamp as an RFC 822 date (used by RSS 2.0)
+ * @param {string|Date} value - ISO timestamp or Date
+ * @returns {string} RFC 822 formatted date
+ */
+export function toRfc822Date(value) {
+  return new Date(value).toUTCString();
+}
+
+/**
+ * Format a timestamp as an RFC 3339 date (used by Atom and JSON Feed)
+ * @param {string|Date} value - ISO timestamp or Date
+ * @returns {string} RFC 3339 formatted date
+ */
+export function toRfc3339Date(value) {
+  return new Date(value).toISOString();
+}
@@ -0,0 +1,80 @@
+import { describe, it, expect } from "vitest";
+import { getPeriodRange, groupPostsByMonth } from "../src/utils/archive.js";
+import { isValidTimeZone, zonedMidnightToUtc } from "../src/utils/timezone.js";
+
+describe("zonedMidnightToUtc", () => {
+  it("converts local midnight to UTC", () => {
+    expect(zonedMidnightToUtc(2024, 3, 1, "Asia/Seoul").toISOString()).toBe(
+      "2024-02-29T15:00:00.000Z",
+    );
+  });
+
+  it("uses the offset in effect on that day around DST changes", () => {
+    const zone = "America/New_York";
+    expect(zonedMidnightToUtc(2024, 3, 10, zone).toISOString()).toBe(
+      "2024-03-10T05:00:00.000Z",
+    );
+    expect(zonedMidnightToUtc(2024, 3, 11, zone).toISOString()).toBe(
+      "2024-03-11T04:00:00.000Z",
+    );
+  });
+});
+
+describe("isValidTimeZone", () => {
+  it("accepts IANA names only", () => {
+    expect(isValidTimeZone("Asia/Seoul")).toBe(true);
+    expect(isValidTimeZone("Mars/Olympus")).toBe(false);
+  });
+});
+
+describe("getPeriodRange", () => {
+  it("bounds a month in the site time zone", () => {
+    expect(getPeriodRange(2024, 3, "Asia/Seoul")).toEqual({
+      start: "2024-02-29T15:00:00.000Z",
+      end: "2024-03-31T15:00:00.000Z",
+    });
+  });
+
+  it("rolls December over into the next year", () => {
+    expect(getPeriodRange(2024, 12, "Asia/Seoul").end).toBe(
+      "2024-12-31T15:00:00.000Z",
+    );
+  });
+
+  it("bounds a whole year", () => {
+    expect(getPeriodRange(2024, null, "UTC")).toEqual({
+      start: "2024-01-01T00:00:00.000Z",
+      end: "2025-01-01T00:00:00.000Z",
+    });
+  });
+
+  it("follows DST changes within the month", () => {
+    expect(getPeriodRange(2024, 11, "America/New_York")).toEqual({
+      start: "2024-11-01T04:00:00.000Z",
+      end: "2024-12-01T05:00:00.000Z",
+    });
+  });
+});
+
+describe("groupPostsByMonth", () => {
+  it("buckets posts by their local month, newest first", () => {
+    const posts = [
+      // 01:30 on April 1 in Seoul
+      {
+        created_at: "2024-03-31T16:30:00.000Z",
+        updated_at: "2024-04-02T00:00:00.000Z",
+      },
+      // 23:00 on March 31 in Seoul
+      { created_at: "2024-03-31T14:00:00.000Z", updated_at: null },
+      {
+        created_at: "2024-03-02T00:00:00.000Z",
+        updated_at: "2024-03-05T00:00:00.000Z",
+      },
+    ];
+
+    expect(groupPostsByMonth(posts, "Asia/Seoul")).toEqual([
+      { year: 2024, month: 4, count: 1, lastmod: "2024-04-02T00:00:00.000Z" },
+      { year: 2024, month: 3, count: 2, lastmod: "2024-03-31T14:00:00.000Z" },
+    ]);
+  });
+});
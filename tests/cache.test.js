@@ -0,0 +1,110 @@
+import { describe, it, expect } from "vitest";
+import {
+  getCachedResponse,
+  normalizeCacheUrl,
+  purgeCacheTags,
+  purgeCacheUrls,
+  putCachedResponse,
+} from "../src/utils/cache.js";
+
+/**
+ * In-memory stand-in for a KV namespace (without expiration)
+ */
+function createKV() {
+  const entries = new Map();
+  return {
+    entries,
+    async get(key) {
+      if (Array.isArray(key)) {
+        return new Map(
+          key.map((name) => [name, entries.get(name)?.value ?? null]),
+        );
+      }
+      return entries.get(key)?.value ?? null;
+    },
+    async getWithMetadata(key) {
+      const entry = entries.get(key);
+      return { value: entry?.value ?? null, metadata: entry?.metadata ?? null };
+    },
+    async put(key, value, options = {}) {
+      entries.set(key, { value, metadata: options.metadata ?? null });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+const policy = { ttl: 60, staleWhileRevalidate: 300, tags: ["posts"] };
+
+const store = (env, url, tags, generatedAt = Date.now()) =>
+  putCachedResponse(
+    env,
+    url,
+    new Response("body", {
+      headers: { "Content-Type": "text/plain", "Cache-Tag": tags.join(",") },
+    }),
+    policy,
+    generatedAt,
+  );
+
+describe("normalizeCacheUrl", () => {
+  it("sorts parameters and drops empty and analytics ones", () => {
+    expect(
+      normalizeCacheUrl(
+        "https://api.example/posts/?tag=&size=5&utm_source=x&page=1",
+      ),
+    ).toBe("/posts?page=1&size=5");
+  });
+});
+
+describe("response cache", () => {
+  it("stores one key per entry and serves it back", async () => {
+    const env = { CACHE: createKV() };
+    await store(env, "/posts", ["post:1", "post:2"]);
+
+    expect(env.CACHE.entries.size).toBe(1);
+    const cached = await getCachedResponse(env, "/posts");
+    expect(cached.stale).toBe(false);
+    expect(await cached.response.text()).toBe("body");
+    expect(cached.response.headers.get("X-Cache")).toBe("HIT");
+  });
+
+  it("misses entries generated before a purge of one of their tags", async () => {
+    const env = { CACHE: createKV() };
+    await store(env, "/posts", ["post:1"], Date.now() - 1000);
+    await store(env, "/posts/2", ["post:2"], Date.now() - 1000);
+
+    expect(await purgeCacheTags(env, ["post:1", "post:1"])).toBe(1);
+
+    expect(await getCachedResponse(env, "/posts")).toBeNull();
+    expect(await getCachedResponse(env, "/posts/2")).not.toBeNull();
+  });
+
+  it("purges route policy tags too", async () => {
+    const env = { CACHE: createKV() };
+    await store(env, "/posts/2", ["post:2"], Date.now() - 1000);
+
+    await purgeCacheTags(env, ["posts"]);
+
+    expect(await getCachedResponse(env, "/posts/2")).toBeNull();
+  });
+
+  it("keeps entries generated after the purge", async () => {
+    const env = { CACHE: createKV() };
+    await purgeCacheTags(env, ["post:1"]);
+    await store(env, "/posts", ["post:1"], Date.now() + 1000);
+
+    expect(await getCachedResponse(env, "/posts")).not.toBeNull();
+  });
+
+  it("deletes entries by URL", async () => {
+    const env = { CACHE: createKV() };
+    await store(env, "/feed.xml", []);
+
+    expect(await purgeCacheUrls(env, ["https://api.example/feed.xml/"])).toBe(
+      1,
+    );
+    expect(await getCachedResponse(env, "/feed.xml")).toBeNull();
+  });
+});
@@ -0,0 +1,333 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { CommentService } from "../src/services/commentService.js";
+import {
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError,
+  ValidationError,
+} from "../src/utils/errors.js";
+import { sha256Hex } from "../src/utils/crypto.js";
+import { router } from "../src/router.js";
+
+const ctx = { waitUntil() {}, passThroughOnException() {} };
+
+/**
+ * In-memory stand-in for CommentRepository
+ * @param {Array<Object>} rows - Comment rows of post 1
+ */
+function createCommentRepository(rows = []) {
+  const comments = new Map(rows.map((row) => [row.id, { ...row }]));
+
+  return {
+    comments,
+    postExists: async (postId) => postId === 1 || postId === 2,
+    findByPostId: async (postId) =>
+      [...comments.values()]
+        .filter((c) => c.post_id === postId && c.status === "approved")
+        .sort((a, b) => a.created_at.localeCompare(b.created_at)),
+    findById: async (id) => comments.get(id) ?? null,
+    countRecentDuplicates: async () => 0,
+    create: async (comment) => {
+      comments.set(comment.id, {
+        id: comment.id,
+        content: comment.content,
+        author_name: comment.authorName,
+        created_at: comment.createdAt,
+        post_id: comment.postId,
+        parent_id: comment.parentId,
+        depth: comment.depth,
+        status: comment.status,
+        edit_token_hash: comment.editTokenHash,
+      });
+    },
+    update: async (id, { content, editedAt, status }) => {
+      Object.assign(comments.get(id), {
+        content,
+        edited_at: editedAt,
+        status,
+      });
+    },
+    softDelete: async (id, deletedAt) => {
+      Object.assign(comments.get(id), {
+        content: "",
+        author_name: "",
+        edit_token_hash: null,
+        deleted_at: deletedAt,
+      });
+    },
+  };
+}
+
+const comment = (id, minute, { parent = null, depth = 0, ...rest } = {}) => ({
+  id,
+  content: `comment ${id}`,
+  author_name: "reader",
+  created_at: `2024-05-01T00:0${minute}:00.000Z`,
+  post_id: 1,
+  parent_id: parent,
+  depth,
+  status: "approved",
+  deleted_at: null,
+  ...rest,
+});
+
+describe("threaded comments", () => {
+  const rows = [
+    comment("a", 1),
+    comment("b", 2),
+    comment("aa", 3, { parent: "a", depth: 1 }),
+    comment("aaa", 4, { parent: "aa", depth: 2 }),
+  ];
+
+  it("nests replies under their parents", async () => {
+    const service = new CommentService(createCommentRepository(rows), {});
+
+    const tree = await service.getCommentsByPostId(1);
+
+    expect(tree.map((c) => c.id)).toEqual(["a", "b"]);
+    expect(tree[0].replies[0].id).toBe("aa");
+    expect(tree[0].replies[0].replies[0]).toMatchObject({
+      id: "aaa",
+      parentId: "aa",
+      replies: [],
+    });
+  });
+
+  it("returns the flat list with parentId on request", async () => {
+    const service = new CommentService(createCommentRepository(rows), {});
+
+    const flat = await service.getCommentsByPostId(1, { format: "flat" });
+
+    expect(flat.map((c) => [c.id, c.parentId])).toEqual([
+      ["a", null],
+      ["b", null],
+      ["aa", "a"],
+      ["aaa", "aa"],
+    ]);
+    expect(flat[0]).not.toHaveProperty("replies");
+    await expect(
+      service.getCommentsByPostId(1, { format: "nested" }),
+    ).rejects.toThrow(ValidationError);
+  });
+
+  it("keeps deleted comments only while they have replies", async () => {
+    const service = new CommentService(
+      createCommentRepository([
+        comment("a", 1, { deleted_at: "2024-05-02T00:00:00.000Z" }),
+        comment("b", 2, { deleted_at: "2024-05-02T00:00:00.000Z" }),
+        comment("aa", 3, { parent: "a", depth: 1 }),
+      ]),
+      {},
+    );
+
+    const tree = await service.getCommentsByPostId(1);
+
+    expect(tree).toHaveLength(1);
+    expect(tree[0]).toMatchObject({
+      id: "a",
+      deleted: true,
+      content: "[deleted]",
+    });
+    expect(tree[0].replies[0].id).toBe("aa");
+  });
+
+  it("records the depth of a reply", async () => {
+    const repository = createCommentRepository(rows);
+    const service = new CommentService(repository, {});
+
+    const reply = await service.createComment(1, {
+      content: "Thanks for the reply",
+      author: "writer",
+      parentId: "aa",
+    });
+
+    expect(reply.parentId).toBe("aa");
+    expect(repository.comments.get(reply.id).depth).toBe(2);
+  });
+
+  it("rejects parents from other posts and replies nested too deep", async () => {
+    const service = new CommentService(createCommentRepository(rows), {
+      COMMENT_MAX_DEPTH: "2",
+    });
+    const reply = (postId, parentId) =>
+      service.createComment(postId, {
+        content: "A reply",
+        author: "writer",
+        parentId,
+      });
+
+    await expect(reply(2, "a")).rejects.toThrow(
+      "Parent comment does not exist on this post",
+    );
+    await expect(reply(1, "missing")).rejects.toThrow(ValidationError);
+    await expect(reply(1, "aaa")).rejects.toThrow(
+      "Replies cannot be nested more than 2 levels deep",
+    );
+  });
+});
+
+describe("comment edit tokens", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2024-05-01T00:10:00.000Z"));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  /**
+   * Create a comment and return it with the service and repository
+   */
+  async function createOwnComment(env = {}) {
+    const repository = createCommentRepository([comment("a", 1)]);
+    const service = new CommentService(repository, env);
+    const created = await service.createComment(1, {
+      content: "First draft with a typo",
+      author: "writer",
+    });
+    return { repository, service, created };
+  }
+
+  it("returns the token once and stores only its hash", async () => {
+    const { repository, created } = await createOwnComment();
+
+    expect(created.editToken).toMatch(/^\S{20,}$/);
+    expect(created.editableUntil).toBe("2024-05-01T00:25:00.000Z");
+    expect(repository.comments.get(created.id).edit_token_hash).toBe(
+      await sha256Hex(created.editToken),
+    );
+  });
+
+  it("edits the content within the window and marks it edited", async () => {
+    const { service, created } = await createOwnComment();
+
+    vi.advanceTimersByTime(60000);
+    const edited = await service.updateComment(
+      1,
+      created.id,
+      created.editToken,
+      {
+        content: "First draft without a typo",
+      },
+    );
+
+    expect(edited).toMatchObject({
+      content: "First draft without a typo",
+      editedAt: "2024-05-01T00:11:00.000Z",
+      status: "approved",
+    });
+    const mine = (await service.getCommentsByPostId(1)).find(
+      (c) => c.id === created.id,
+    );
+    expect(mine.editedAt).toBe("2024-05-01T00:11:00.000Z");
+  });
+
+  it("refuses other tokens, other posts and closed windows", async () => {
+    const { service, created } = await createOwnComment({
+      COMMENT_EDIT_WINDOW_MINUTES: "5",
+    });
+    const edit = (postId, token) =>
+      service.updateComment(postId, created.id, token, { content: "Changed" });
+
+    await expect(edit(1, null)).rejects.toThrow(UnauthorizedError);
+    await expect(edit(1, "not-the-token")).rejects.toThrow(UnauthorizedError);
+    await expect(edit(2, created.editToken)).rejects.toThrow(NotFoundError);
+
+    vi.advanceTimersByTime(6 * 60000);
+    await expect(edit(1, created.editToken)).rejects.toThrow(ForbiddenError);
+  });
+
+  it("soft-deletes comments and keeps threads with replies", async () => {
+    const { repository, service, created } = await createOwnComment();
+    const reply = await service.createComment(1, {
+      content: "A reply to the draft",
+      author: "reader",
+      parentId: created.id,
+    });
+
+    await service.deleteComment(1, created.id, created.editToken);
+    const deleted = await service.deleteComment(1, reply.id, reply.editToken);
+
+    expect(deleted).toEqual({
+      id: reply.id,
+      postId: 1,
+      status: "approved",
+      deletedAt: "2024-05-01T00:10:00.000Z",
+    });
+    expect(repository.comments.get(created.id)).toMatchObject({
+      content: "",
+      edit_token_hash: null,
+    });
+    // Without its only reply, the deleted comment leaves the thread
+    expect((await service.getCommentsByPostId(1)).map((c) => c.id)).toEqual([
+      "a",
+    ]);
+    await expect(
+      service.deleteComment(1, created.id, created.editToken),
+    ).rejects.toThrow(NotFoundError);
+  });
+
+  it("lists a deleted comment with replies as a placeholder", async () => {
+    const { service, created } = await createOwnComment();
+    await service.createComment(1, {
+      content: "A reply to the draft",
+      author: "reader",
+      parentId: created.id,
+    });
+
+    await service.deleteComment(1, created.id, created.editToken);
+    const thread = (await service.getCommentsByPostId(1)).find(
+      (c) => c.id === created.id,
+    );
+
+    expect(thread).toMatchObject({
+      content: "[deleted]",
+      authorName: "[deleted]",
+      deleted: true,
+      editedAt: null,
+    });
+    expect(thread.replies).toHaveLength(1);
+  });
+});
+
+describe("comment body validation", () => {
+  beforeEach(() => {
+    for (const level of ["debug", "info", "warn", "error", "log"]) {
+      vi.spyOn(console, level).mockImplementation(() => {});
+    }
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const send = (method, path, body) =>
+    router(
+      new Request(`https://api.example${path}`, {
+        method,
+        headers: {
+          Authorization: "Bearer token",
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(body),
+      }),
+      {},
+      ctx,
+    );
+
+  it("lists every invalid field when creating and editing", async () => {
+    const created = await send("POST", "/comments/1", { author: "x" });
+    const edited = await send("PATCH", "/comments/1/a", { content: "" });
+
+    expect(created.status).toBe(400);
+    expect((await created.json()).error.errors).toEqual([
+      expect.objectContaining({ in: "body", field: "content" }),
+      expect.objectContaining({ in: "body", field: "author" }),
+    ]);
+    expect(edited.status).toBe(400);
+    expect((await edited.json()).error.errors).toEqual([
+      expect.objectContaining({ in: "body", field: "content" }),
+    ]);
+  });
+});
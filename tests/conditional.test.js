@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  cacheHeaders,
+  conditionalResponse,
+  createETag,
+  latestTimestamp,
+} from "../src/utils/conditional.js";
+import { router } from "../src/router.js";
+
+const LAST_MODIFIED = "Wed, 01 May 2024 00:00:00 GMT";
+
+const respond = () =>
+  new Response('{"ok":true}', {
+    status: 200,
+    headers: {
+      "Content-Type": "application/json",
+      "Cache-Control": "public, max-age=60",
+      "Last-Modified": LAST_MODIFIED,
+    },
+  });
+
+const get = (headers = {}) =>
+  new Request("https://api.example/posts", { headers });
+
+describe("latestTimestamp", () => {
+  it("returns the newest valid timestamp", () => {
+    expect(
+      latestTimestamp([
+        "2024-05-01T00:00:00.000Z",
+        null,
+        "not a date",
+        "2024-06-01T00:00:00.000Z",
+      ]),
+    ).toEqual(new Date("2024-06-01T00:00:00.000Z"));
+    expect(latestTimestamp([null, undefined])).toBeNull();
+  });
+});
+
+describe("cacheHeaders", () => {
+  it("adds Last-Modified as an HTTP date", () => {
+    expect(
+      cacheHeaders("public", new Date("2024-05-01T00:00:00.000Z")),
+    ).toEqual({ "Cache-Control": "public", "Last-Modified": LAST_MODIFIED });
+    expect(cacheHeaders("public")).toEqual({ "Cache-Control": "public" });
+  });
+});
+
+describe("conditionalResponse", () => {
+  it("adds a strong ETag to full responses", async () => {
+    const response = await conditionalResponse(get(), respond());
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("ETag")).toBe(await createETag('{"ok":true}'));
+    expect(await response.text()).toBe('{"ok":true}');
+  });
+
+  it("answers a matching If-None-Match with 304", async () => {
+    const etag = await createETag('{"ok":true}');
+    const response = await conditionalResponse(
+      get({ "If-None-Match": `"other", W/${etag}` }),
+      respond(),
+    );
+
+    expect(response.status).toBe(304);
+    expect(response.headers.get("ETag")).toBe(etag);
+    expect(response.headers.get("Cache-Control")).toBe("public, max-age=60");
+    expect(response.headers.has("Content-Type")).toBe(false);
+    expect(await response.text()).toBe("");
+  });
+
+  it("answers If-Modified-Since no older than Last-Modified with 304", async () => {
+    const notModified = await conditionalResponse(
+      get({ "If-Modified-Since": LAST_MODIFIED }),
+      respond(),
+    );
+    const modified = await conditionalResponse(
+      get({ "If-Modified-Since": "Tue, 30 Apr 2024 23:59:59 GMT" }),
+      respond(),
+    );
+
+    expect(notModified.status).toBe(304);
+    expect(modified.status).toBe(200);
+  });
+
+  it("prefers If-None-Match over If-Modified-Since", async () => {
+    const response = await conditionalResponse(
+      get({ "If-None-Match": '"other"', "If-Modified-Since": LAST_MODIFIED }),
+      respond(),
+    );
+
+    expect(response.status).toBe(200);
+  });
+
+  it("leaves other methods and statuses alone", async () => {
+    const post = new Request("https://api.example/posts", { method: "POST" });
+    const notFound = new Response("{}", { status: 404 });
+
+    expect(
+      (await conditionalResponse(post, respond())).headers.has("ETag"),
+    ).toBe(false);
+    expect(await conditionalResponse(get(), notFound)).toBe(notFound);
+  });
+});
+
+describe("list responses", () => {
+  const ctx = { waitUntil() {}, passThroughOnException() {} };
+  const tags = [{ name: "intro", post_count: 1, created_at: "2024-05-01" }];
+  const db = {
+    prepare() {
+      return {
+        bind() {
+          return this;
+        },
+        async all() {
+          return { results: tags };
+        },
+        async first() {
+          return null;
+        },
+      };
+    },
+  };
+
+  beforeEach(() => {
+    for (const level of ["debug", "info", "warn", "error", "log"]) {
+      vi.spyOn(console, level).mockImplementation(() => {});
+    }
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("revalidate by ETag only", async () => {
+    const send = (headers) =>
+      router(
+        new Request("https://api.example/tags", { headers }),
+        { DB: db },
+        ctx,
+      );
+
+    const response = await send({});
+    expect(response.status).toBe(200);
+    expect(response.headers.has("Last-Modified")).toBe(false);
+
+    const etag = response.headers.get("ETag");
+    expect((await send({ "If-None-Match": etag })).status).toBe(304);
+    expect((await send({ "If-Modified-Since": LAST_MODIFIED })).status).toBe(
+      200,
+    );
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect } from "vitest";
+import {
+  analyzeContent,
+  countWords,
+  createExcerpt,
+  estimateReadingMinutes,
+} from "../src/utils/content.js";
+import { PostService } from "../src/services/postService.js";
+
+describe("countWords", () => {
+  it("counts Hangul by syllable and other text by word", () => {
+    expect(countWords("한국어 문장 and don't stop 3.14")).toEqual({
+      hangul: 5,
+      words: 4,
+    });
+    expect(countWords("")).toEqual({ hangul: 0, words: 0 });
+  });
+});
+
+describe("estimateReadingMinutes", () => {
+  it("reads 500 Hangul syllables or 200 words a minute", () => {
+    expect(estimateReadingMinutes({ hangul: 0, words: 0 })).toBe(0);
+    expect(estimateReadingMinutes({ hangul: 1, words: 0 })).toBe(1);
+    expect(estimateReadingMinutes({ hangul: 500, words: 200 })).toBe(2);
+    expect(estimateReadingMinutes({ hangul: 0, words: 201 })).toBe(2);
+  });
+});
+
+describe("createExcerpt", () => {
+  it("cuts long text between words", () => {
+    expect(createExcerpt("alpha beta gamma delta", 15)).toBe("alpha beta…");
+    expect(createExcerpt("short", 15)).toBe("short");
+  });
+
+  it("cuts text without spaces by character", () => {
+    expect(createExcerpt("한글로된아주긴문장입니다", 5)).toBe("한글로된아…");
+  });
+});
+
+describe("analyzeContent", () => {
+  const markdown = [
+    "# 안녕하세요",
+    "Hello **world**, it's a [link](https://x.io).",
+    "```js\nconst ignored = 1;\n```",
+    "![cover](/images/a.png)",
+  ].join("\n\n");
+
+  it("counts the rendered text without syntax or code blocks", () => {
+    expect(analyzeContent(markdown)).toMatchObject({
+      wordCount: 10,
+      readingTimeMinutes: 1,
+      excerpt: "안녕하세요 Hello world, it's a link.",
+    });
+  });
+
+  it("takes the first image as the cover, resolved against the site", () => {
+    expect(
+      analyzeContent(markdown, { baseUrl: "https://blog.example" }).coverImage,
+    ).toBe("https://blog.example/images/a.png");
+    expect(analyzeContent("No images").coverImage).toBeNull();
+  });
+
+  it("describes empty content", () => {
+    expect(analyzeContent("")).toEqual({
+      wordCount: 0,
+      readingTimeMinutes: 0,
+      coverImage: null,
+      excerpt: "",
+    });
+  });
+});
+
+describe("PostService.contentDetailsFor", () => {
+  // Each test uses its own post versions, as details are cached in memory
+  const post = (id, version, summary = "") => ({
+    id,
+    summary,
+    created_at: "2024-05-01T00:00:00.000Z",
+    updated_at: version,
+  });
+
+  it("prefers the author's summary and analyzes content once", async () => {
+    const requested = [];
+    const service = new PostService(
+      {
+        getContentForPosts: async (ids) => {
+          requested.push(ids);
+          return new Map(ids.map((id) => [id, "Generated **excerpt** text"]));
+        },
+      },
+      { SITE_URL: "https://blog.example" },
+    );
+    const posts = [
+      post(1, "2024-06-01T00:00:00.000Z", "Written by hand"),
+      post(2, "2024-06-01T00:00:00.000Z"),
+    ];
+
+    const details = await service.contentDetailsFor(posts);
+    await service.contentDetailsFor(posts);
+
+    expect(details.get(1)).toMatchObject({
+      excerpt: "Written by hand",
+      wordCount: 3,
+    });
+    expect(details.get(2)).toEqual({
+      excerpt: "Generated excerpt text",
+      wordCount: 3,
+      readingTimeMinutes: 1,
+      coverImage: null,
+    });
+    expect(requested).toEqual([[1, 2], []]);
+  });
+
+  it("shares the analysis through the CACHE namespace", async () => {
+    const stored = new Map();
+    const env = {
+      CACHE: {
+        get: async (key) => stored.get(key) ?? null,
+        put: async (key, value) => stored.set(key, JSON.parse(value)),
+      },
+    };
+    const requested = [];
+    const service = new PostService(
+      {
+        getContentForPosts: async (ids) => {
+          requested.push(ids);
+          return new Map(ids.map((id) => [id, "![a](https://i.io/a.png)"]));
+        },
+      },
+      env,
+    );
+
+    await service.contentDetailsFor([post(3, "2024-07-01T00:00:00.000Z")]);
+    const [[key, analysis]] = stored;
+    expect(analysis).toMatchObject({ coverImage: "https://i.io/a.png" });
+
+    // Another isolate finds post 4's analysis in KV and skips its content
+    stored.set(key.replace(":3:", ":4:"), { ...analysis, wordCount: 42 });
+    const details = await service.contentDetailsFor([
+      post(4, "2024-07-01T00:00:00.000Z"),
+    ]);
+
+    expect(details.get(4).wordCount).toBe(42);
+    expect(requested).toEqual([[3], []]);
+  });
+});
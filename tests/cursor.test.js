@@ -0,0 +1,42 @@
+import { describe, it, expect } from "vitest";
+import { encodeCursor, decodeCursor } from "../src/utils/cursor.js";
+import { ValidationError } from "../src/utils/errors.js";
+
+describe("cursors", () => {
+  it("round-trips cursor contents", () => {
+    const position = {
+      sort: "title,asc",
+      value: "클라우드플레어 D1",
+      id: 2,
+      direction: "next",
+    };
+
+    expect(decodeCursor(encodeCursor(position))).toEqual(position);
+  });
+
+  it("encodes as URL-safe base64 without padding", () => {
+    const cursor = encodeCursor({
+      sort: "views,desc",
+      value: 1000,
+      id: 12,
+      direction: "prev",
+    });
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  it.each([
+    ["not base64", "%%%"],
+    ["not JSON", btoa("hello")],
+    [
+      "an unknown direction",
+      btoa(JSON.stringify({ s: "views,desc", v: 1, i: 1, d: "up" })),
+    ],
+    [
+      "a non-integer id",
+      btoa(JSON.stringify({ s: "views,desc", v: 1, i: "1", d: "next" })),
+    ],
+  ])("rejects %s", (_, cursor) => {
+    expect(() => decodeCursor(cursor)).toThrow(ValidationError);
+  });
+});
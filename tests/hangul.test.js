@@ -0,0 +1,111 @@
+import { describe, it, expect } from "vitest";
+import {
+  containsHangul,
+  getInitialConsonant,
+  splitWords,
+  wordNgrams,
+  toIndexTokens,
+  toInitials,
+  toSuggestionKeys,
+  toSuggestionQuery,
+} from "../src/utils/hangul.js";
+import {
+  buildNgramMatchExpression,
+  buildNgramSnippet,
+} from "../src/services/searchService.js";
+
+describe("Hangul helpers", () => {
+  it("detects Hangul syllables and jamo", () => {
+    expect(containsHangul("abc ㄱ")).toBe(true);
+    expect(containsHangul("abc")).toBe(false);
+  });
+
+  it("finds the initial consonant of a syllable", () => {
+    expect(getInitialConsonant("한")).toBe("ㅎ");
+    expect(getInitialConsonant("까")).toBe("ㄲ");
+    expect(getInitialConsonant("a")).toBeNull();
+  });
+
+  it("splits text into lowercase words, separating Hangul runs", () => {
+    expect(splitWords("클라우드플레어에서 Workers-API 사용!")).toEqual([
+      "클라우드플레어에서",
+      "workers",
+      "api",
+      "사용",
+    ]);
+    expect(splitWords(null)).toEqual([]);
+  });
+
+  it("builds character n-grams", () => {
+    expect(wordNgrams("클라우드", 3)).toEqual(["클라우", "라우드"]);
+    expect(wordNgrams("한글", 3)).toEqual(["한글"]);
+  });
+
+  it("indexes Hangul words as bigrams and trigrams and other words whole", () => {
+    expect(toIndexTokens("클라우드 D1")).toEqual([
+      "클라",
+      "라우",
+      "우드",
+      "클라우",
+      "라우드",
+      "d1",
+    ]);
+  });
+
+  it("reduces syllables to their initial consonants", () => {
+    expect(toInitials("클라우드 D1")).toBe("ㅋㄹㅇㄷ D1");
+  });
+
+  it("keys a label at every position without whitespace", () => {
+    const keys = toSuggestionKeys("클라우드 플레어", 50);
+
+    expect(keys).toHaveLength(7);
+    expect(keys[3]).toEqual({
+      position: 3,
+      term: "드플레어",
+      initials: "ㄷㅍㄹㅇ",
+    });
+    expect(
+      keys[4].initials.startsWith(toSuggestionQuery("ㅍㄹ").initials),
+    ).toBe(true);
+    expect(toSuggestionKeys("JavaScript", 4)[0].term).toBe("java");
+  });
+
+  it("turns initial consonants into syllable ranges", () => {
+    expect(toSuggestionQuery("ㅋㄹ우")).toEqual({
+      initials: "ㅋㄹㅇ",
+      pattern: "[ㅋ카-킿][ㄹ라-맇]우*",
+    });
+    expect(toSuggestionQuery("JS")).toEqual({ initials: "js", pattern: "js*" });
+  });
+
+  it("matches GLOB wildcards in queries literally", () => {
+    expect(toSuggestionQuery("a*b?[c]").pattern).toBe("a[*]b[?][[]c]*");
+    expect(toSuggestionQuery(" \t")).toBeNull();
+  });
+});
+
+describe("buildNgramMatchExpression", () => {
+  it("ORs the trigrams of a Hangul word and ANDs words", () => {
+    expect(buildNgramMatchExpression("클라우드플 D1")).toBe(
+      '("클라우" OR "라우드" OR "우드플") "d1"*',
+    );
+  });
+
+  it("keeps short Hangul words whole", () => {
+    expect(buildNgramMatchExpression("데이터")).toBe('"데이터"');
+    expect(buildNgramMatchExpression("한")).toBe('"한"*');
+  });
+
+  it("returns null without searchable words", () => {
+    expect(buildNgramMatchExpression("!! ??")).toBeNull();
+  });
+});
+
+describe("buildNgramSnippet", () => {
+  it("marks matches and escapes the text", () => {
+    expect(
+      buildNgramSnippet("D1 데이터베이스를 <사용>하는 방법", "데이터베이스"),
+    ).toBe("D1 <mark>데이터베이스</mark>를 &lt;사용&gt;하는 방법");
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect } from "vitest";
+import { renderMarkdown, slugifyHeading } from "../src/utils/markdown.js";
+
+const html = (markdown) => renderMarkdown(markdown).html;
+
+describe("renderMarkdown", () => {
+  it("renders blocks and inline formatting", () => {
+    expect(html("Some **bold**, *em* and ~~del~~")).toBe(
+      "<p>Some <strong>bold</strong>, <em>em</em> and <del>del</del></p>",
+    );
+    expect(html("- one\n- two")).toBe(
+      "<ul>\n<li>one</li>\n<li>two</li>\n</ul>",
+    );
+  });
+
+  it("collects headings with unique ids", () => {
+    const { html: output, toc } = renderMarkdown(
+      "# Title\n\n## 설치 방법\n\n## 설치 방법",
+    );
+
+    expect(output).toContain('<h2 id="설치-방법-1">설치 방법</h2>');
+    expect(toc).toEqual([
+      { level: 1, text: "Title", id: "title" },
+      { level: 2, text: "설치 방법", id: "설치-방법" },
+      { level: 2, text: "설치 방법", id: "설치-방법-1" },
+    ]);
+  });
+
+  describe("sanitizing", () => {
+    it("escapes raw HTML", () => {
+      expect(html("<script>alert(1)</script>")).toBe(
+        "<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>",
+      );
+      expect(html("<img src=x onerror=alert(1)>")).toBe(
+        "<p>&lt;img src=x onerror=alert(1)&gt;</p>",
+      );
+    });
+
+    it("escapes HTML in code blocks, code spans and link labels", () => {
+      expect(html("```html\n<script>x</script>\n```")).toContain(
+        "&lt;script&gt;x&lt;/script&gt;",
+      );
+      expect(html("`<b>`")).toBe("<p><code>&lt;b&gt;</code></p>");
+      expect(html("[<b>](https://a.example)")).toBe(
+        '<p><a href="https://a.example">&lt;b&gt;</a></p>',
+      );
+    });
+
+    it("drops links and images with unsafe schemes", () => {
+      expect(html("[x](javascript:alert(1))")).toBe("<p>x</p>");
+      expect(html("[x](JavaScript:alert(1))")).toBe("<p>x</p>");
+      expect(html("[x](data:text/html;base64,PHNjcmlwdD4=)")).toBe("<p>x</p>");
+      expect(html("![a](javascript:alert(1))")).toBe("<p>a</p>");
+    });
+
+    it("keeps http, https, mailto and relative URLs", () => {
+      expect(
+        html("[a](https://a.example) [m](mailto:a@b.example) [r](/x)"),
+      ).toBe(
+        '<p><a href="https://a.example">a</a> <a href="mailto:a@b.example">m</a> <a href="/x">r</a></p>',
+      );
+    });
+
+    it("escapes quotes in attributes", () => {
+      expect(
+        html('[x](https://a.example "t\\" onmouseover=\\"alert(1)")'),
+      ).toBe(
+        '<p><a href="https://a.example" title="t&quot; onmouseover=&quot;alert(1)">x</a></p>',
+      );
+      expect(html('![x" onerror="alert(1)](https://a.example/i.png)')).toBe(
+        '<p><img src="https://a.example/i.png" alt="x&quot; onerror=&quot;alert(1)" loading="lazy"></p>',
+      );
+    });
+
+    it("escapes ampersands in autolinks", () => {
+      expect(html("<https://a.example/?a=1&b=2>")).toBe(
+        '<p><a href="https://a.example/?a=1&amp;b=2">https://a.example/?a=1&amp;b=2</a></p>',
+      );
+    });
+
+    it("does not let the source forge inline placeholders", () => {
+      expect(html("\uE0000\uE000")).toBe("<p>\uFFFD0\uFFFD</p>");
+    });
+  });
+});
+
+describe("slugifyHeading", () => {
+  it("keeps letters of any script and drops punctuation", () => {
+    expect(slugifyHeading("Hello, World!")).toBe("hello-world");
+    expect(slugifyHeading("설치 방법")).toBe("설치-방법");
+  });
+
+  it("never returns an empty id", () => {
+    expect(slugifyHeading("!!!")).toBe("section");
+  });
+});
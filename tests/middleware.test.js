@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { compose } from "../src/middleware/compose.js";
+import { requireBearerSecret } from "../src/middleware/auth.js";
+import { router, registerRoute, use } from "../src/router.js";
+import { jsonResponse, withHeaders } from "../src/utils/response.js";
+
+const ctx = { waitUntil() {}, passThroughOnException() {} };
+
+describe("compose", () => {
+  it("runs middleware in onion order around the handler", async () => {
+    const calls = [];
+    const layer = (name) => async (context, next) => {
+      calls.push(`${name} in`);
+      const result = await next();
+      calls.push(`${name} out`);
+      return result;
+    };
+
+    const result = await compose([layer("outer"), layer("inner")])(
+      { value: 1 },
+      async (context) => {
+        calls.push("handler");
+        return context.value;
+      },
+    );
+
+    expect(result).toBe(1);
+    expect(calls).toEqual([
+      "outer in",
+      "inner in",
+      "handler",
+      "inner out",
+      "outer out",
+    ]);
+  });
+
+  it("skips everything after a middleware that does not call next", async () => {
+    const handler = vi.fn();
+    const inner = vi.fn();
+
+    const result = await compose([async () => "cached", inner])({}, handler);
+
+    expect(result).toBe("cached");
+    expect(inner).not.toHaveBeenCalled();
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
+
+describe("router middleware", () => {
+  beforeEach(() => {
+    for (const level of ["debug", "info", "warn", "error", "log"]) {
+      vi.spyOn(console, level).mockImplementation(() => {});
+    }
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const calls = [];
+  const record = (name) => async (context, next) => {
+    calls.push([name, context.body]);
+    return next();
+  };
+
+  async function handleEcho(_request, _env, _ctx, params, body) {
+    calls.push(["handler", body]);
+    return jsonResponse({ params, body });
+  }
+
+  registerRoute("POST /echo/:id", handleEcho, {
+    middleware: [record("first"), record("second")],
+  });
+  registerRoute("GET /blocked", handleEcho, {
+    middleware: [
+      async () => jsonResponse({ blocked: true }, 403),
+      record("unreachable"),
+    ],
+  });
+  registerRoute("GET /private", handleEcho, {
+    middleware: [requireBearerSecret("TEST_SECRET")],
+  });
+  use(async (context, next) =>
+    withHeaders(await next(), { "X-Pattern": context.pattern ?? "none" }),
+  );
+
+  const send = (method, path, init = {}, env = {}) =>
+    router(
+      new Request(`https://api.example${path}`, { method, ...init }),
+      env,
+      ctx,
+    );
+
+  it("runs route middleware in order before body parsing", async () => {
+    calls.length = 0;
+
+    const response = await send("POST", "/echo/7", { body: '{"a":1}' });
+
+    expect(await response.json()).toEqual({
+      params: { id: "7" },
+      body: { a: 1 },
+    });
+    expect(calls).toEqual([
+      ["first", null],
+      ["second", null],
+      ["handler", { a: 1 }],
+    ]);
+  });
+
+  it("keeps global headers on short-circuited responses", async () => {
+    calls.length = 0;
+
+    const response = await send("GET", "/blocked");
+
+    expect(response.status).toBe(403);
+    expect(await response.json()).toEqual({ blocked: true });
+    expect(calls).toEqual([]);
+    expect(response.headers.get("X-Request-ID")).toBeTruthy();
+    expect(response.headers.get("Access-Control-Allow-Origin")).toBe("*");
+  });
+
+  it("runs added global middleware for every request", async () => {
+    const matched = await send("GET", "/blocked");
+    const unmatched = await send("GET", "/missing");
+
+    expect(matched.headers.get("X-Pattern")).toBe("GET /blocked");
+    expect(unmatched.status).toBe(404);
+    expect(unmatched.headers.get("X-Pattern")).toBe("none");
+  });
+
+  it("turns middleware errors into error responses", async () => {
+    const env = { TEST_SECRET: "secret" };
+    const get = (authorization) =>
+      send(
+        "GET",
+        "/private",
+        { headers: { Authorization: authorization } },
+        env,
+      );
+
+    expect((await send("GET", "/private")).status).toBe(403);
+    expect((await get("Bearer wrong")).status).toBe(401);
+    expect((await get("Bearer secret")).status).toBe(200);
+  });
+});
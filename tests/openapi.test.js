@@ -0,0 +1,171 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  buildOpenApiDocument,
+  renderDocsPage,
+  ref,
+} from "../src/utils/openapi.js";
+import { CREATE_COMMENT_SCHEMA } from "../src/utils/validation.js";
+import { objectSchema } from "../src/utils/schema.js";
+import { router, getRoutes } from "../src/router.js";
+
+const ctx = { waitUntil() {}, passThroughOnException() {} };
+const options = { serverUrl: "https://api.example", title: "Test API" };
+
+/**
+ * Collect every `$ref` in a document
+ * @param {*} value - Document or part of it
+ * @returns {Array<string>} References
+ */
+function collectRefs(value) {
+  if (!value || typeof value !== "object") {
+    return [];
+  }
+  return Object.entries(value).flatMap(([key, child]) =>
+    key === "$ref" ? [child] : collectRefs(child),
+  );
+}
+
+describe("buildOpenApiDocument", () => {
+  async function handleGetWidget() {}
+  async function handleCreateWidget() {}
+
+  const routes = [
+    {
+      pattern: "GET /widgets/:id",
+      handler: handleGetWidget,
+      params: objectSchema(
+        { id: { type: "integer", minimum: 1, description: "Widget ID" } },
+        ["id"],
+      ),
+      query: objectSchema({
+        tags: { type: "array", items: { type: "string" }, description: "Tags" },
+      }),
+      docs: { tag: "Widgets", response: ref("Tag"), errors: [404] },
+    },
+    {
+      pattern: "POST /widgets/:id",
+      handler: handleCreateWidget,
+      body: CREATE_COMMENT_SCHEMA,
+      docs: { status: 201, security: "cachePurgeSecret", errors: [400] },
+    },
+  ];
+
+  it("describes parameters from the route schemas", () => {
+    const document = buildOpenApiDocument(routes, options);
+    const operation = document.paths["/widgets/{id}"].get;
+
+    expect(document.openapi).toBe("3.1.0");
+    expect(document.servers).toEqual([{ url: "https://api.example" }]);
+    expect(operation.operationId).toBe("getWidget");
+    expect(operation.parameters).toEqual([
+      {
+        name: "id",
+        in: "path",
+        required: true,
+        description: "Widget ID",
+        schema: { type: "integer", minimum: 1 },
+      },
+      expect.objectContaining({
+        name: "tags",
+        in: "query",
+        style: "form",
+        explode: false,
+      }),
+    ]);
+  });
+
+  it("wraps responses in the envelope and lists error responses", () => {
+    const { paths } = buildOpenApiDocument(routes, options);
+    const get = paths["/widgets/{id}"].get.responses;
+    const post = paths["/widgets/{id}"].post;
+
+    expect(get[200].content["application/json"].schema.properties.data).toEqual(
+      ref("Tag"),
+    );
+    expect(Object.keys(get)).toEqual(["200", "304", "404", "429", "500"]);
+    expect(Object.keys(post.responses)).toEqual(["201", "400", "429", "500"]);
+    expect(post.requestBody.content["application/json"].schema).toEqual(
+      ref("CreateCommentRequest"),
+    );
+    expect(post.security).toEqual([{ cachePurgeSecret: [] }]);
+  });
+
+  it("rejects duplicate operation ids", () => {
+    expect(() =>
+      buildOpenApiDocument(
+        [routes[0], { ...routes[0], pattern: "GET /gadgets/:id" }],
+        options,
+      ),
+    ).toThrow("Duplicate operationId: getWidget");
+  });
+});
+
+describe("API documentation routes", () => {
+  beforeEach(() => {
+    for (const level of ["debug", "info", "warn", "error", "log"]) {
+      vi.spyOn(console, level).mockImplementation(() => {});
+    }
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const get = (path) =>
+    router(new Request(`https://api.example${path}`), {}, ctx);
+
+  it("documents every registered route", async () => {
+    const response = await get("/openapi.json");
+    const document = await response.json();
+
+    expect(response.status).toBe(200);
+    const documented = Object.entries(document.paths).flatMap(([path, item]) =>
+      Object.keys(item).map(
+        (method) =>
+          `${method.toUpperCase()} ${path.replace(/\{(\w+)\}/g, ":$1")}`,
+      ),
+    );
+    expect(documented.sort()).toEqual([...getRoutes()].sort());
+  });
+
+  it("only references components it defines", async () => {
+    const document = await (await get("/openapi.json")).json();
+
+    const references = collectRefs(document);
+
+    expect(references).toContain("#/components/schemas/PostPage");
+    for (const reference of references) {
+      const [, , group, name] = reference.split("/");
+      expect(document.components[group], reference).toHaveProperty(name);
+    }
+  });
+
+  it("renders the docs page from the same document", async () => {
+    const response = await get("/docs");
+    const html = await response.text();
+
+    expect(response.headers.get("Content-Type")).toContain("text/html");
+    expect(html).toContain("/posts/{slug}");
+    expect(html).toContain("/openapi.json");
+  });
+});
+
+describe("renderDocsPage", () => {
+  it("escapes descriptions", () => {
+    const document = buildOpenApiDocument(
+      [
+        {
+          pattern: "GET /things",
+          handler: async function handleGetThings() {},
+          docs: { summary: "<script>alert(1)</script>" },
+        },
+      ],
+      options,
+    );
+
+    const html = renderDocsPage(document);
+
+    expect(html).not.toContain("<script>alert(1)</script>");
+    expect(html).toContain("&lt;script&gt;");
+  });
+});
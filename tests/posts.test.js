@@ -0,0 +1,409 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { PostRepository } from "../src/repositories/postRepository.js";
+import { PostService } from "../src/services/postService.js";
+import { NotFoundError, ValidationError } from "../src/utils/errors.js";
+import { router } from "../src/router.js";
+
+const ctx = { waitUntil() {}, passThroughOnException() {} };
+
+/**
+ * D1 stand-in that records every statement and answers with fixed rows
+ * @param {Array<Object>} results - Rows returned by `all()`
+ * @param {Object|null} row - Row returned by `first()`
+ */
+function createRecordingDB(results = [], row = results[0] ?? null) {
+  const db = {
+    statements: [],
+    prepare(sql) {
+      const statement = { sql, bindings: [] };
+      db.statements.push(statement);
+      return {
+        bind(...bindings) {
+          statement.bindings = bindings;
+          return this;
+        },
+        async all() {
+          return { results };
+        },
+        async first() {
+          return row;
+        },
+      };
+    },
+  };
+  return db;
+}
+
+const post = (id, slug, extra = {}) => ({
+  id,
+  slug,
+  title: slug,
+  summary: "",
+  created_at: `2024-05-0${id}T00:00:00.000Z`,
+  updated_at: `2024-05-0${id}T00:00:00.000Z`,
+  views: 0,
+  ...extra,
+});
+
+/**
+ * PostService over a stub repository that knows posts 1-3
+ */
+function createService(repository = {}, env = {}) {
+  const posts = [post(1, "hello"), post(2, "d1"), post(3, "rust")];
+  return new PostService(
+    {
+      findById: async (id) => posts.find((p) => p.id === id) ?? null,
+      findBySlug: async (slug) => posts.find((p) => p.slug === slug) ?? null,
+      getTagsForPost: async () => ["cloudflare", "d1"],
+      getTagsForPosts: async () => new Map(),
+      getContentForPosts: async () => new Map(),
+      ...repository,
+    },
+    env,
+  );
+}
+
+describe("related posts", () => {
+  it("ranks published posts by rarity-weighted shared tags", async () => {
+    const db = createRecordingDB([post(2, "d1", { score: 1.5 })]);
+    const repository = new PostRepository(db);
+
+    const rows = await repository.findRelated(1, ["cloudflare", "d1"], 5);
+
+    const [{ sql, bindings }] = db.statements;
+    expect(rows).toHaveLength(1);
+    expect(sql).toContain("SUM(1.0 / MAX(t.post_count, 1)) as score");
+    expect(sql).toContain("p.state = 'published'");
+    expect(sql).toContain(
+      "ORDER BY score DESC, p.created_at DESC, p.views DESC",
+    );
+    expect(bindings).toEqual(["cloudflare", "d1", 1, 5]);
+  });
+
+  it("skips the query for untagged posts", async () => {
+    const db = createRecordingDB();
+
+    expect(await new PostRepository(db).findRelated(1, [], 5)).toEqual([]);
+    expect(db.statements).toHaveLength(0);
+  });
+
+  it("looks posts up by slug or ID and formats summaries", async () => {
+    const calls = [];
+    const service = createService({
+      findRelated: async (postId, tags, limit) => {
+        calls.push([postId, tags, limit]);
+        return [post(2, "d1")];
+      },
+    });
+
+    const related = await service.getRelatedPosts("hello");
+    await service.getRelatedPosts("3", { limit: 2 });
+
+    expect(related).toEqual([
+      expect.objectContaining({ id: 2, slug: "d1", title: "d1" }),
+    ]);
+    expect(calls).toEqual([
+      [1, ["cloudflare", "d1"], 5],
+      [3, ["cloudflare", "d1"], 2],
+    ]);
+  });
+
+  it("validates the limit and takes the default from RELATED_POSTS_LIMIT", async () => {
+    let size;
+    const service = createService(
+      {
+        findRelated: async (_postId, _tags, limit) => {
+          size = limit;
+          return [];
+        },
+      },
+      { RELATED_POSTS_LIMIT: "8" },
+    );
+
+    await service.getRelatedPosts("hello");
+    expect(size).toBe(8);
+
+    for (const limit of [0, 21, 1.5]) {
+      await expect(service.getRelatedPosts("hello", { limit })).rejects.toThrow(
+        ValidationError,
+      );
+    }
+    await expect(service.getRelatedPosts("missing")).rejects.toThrow(
+      NotFoundError,
+    );
+  });
+});
+
+describe("post neighbors", () => {
+  it("finds the adjacent published posts by date and ID", async () => {
+    const db = createRecordingDB();
+    const repository = new PostRepository(db);
+
+    expect(await repository.findNeighbors(post(2, "d1"))).toEqual({
+      previous: null,
+      next: null,
+    });
+
+    const [previous, next] = db.statements;
+    expect(previous.sql).toContain("(p.created_at, p.id) < (?, ?)");
+    expect(previous.sql).toContain("ORDER BY p.created_at DESC, p.id DESC");
+    expect(next.sql).toContain("(p.created_at, p.id) > (?, ?)");
+    expect(next.sql).toContain("ORDER BY p.created_at ASC, p.id ASC");
+    expect(next.sql).toContain("p.state = 'published'");
+    expect(next.sql).not.toContain("t.name = ?");
+    expect(next.bindings).toEqual(["2024-05-02T00:00:00.000Z", 2]);
+  });
+
+  it("scopes neighbors to a tag", async () => {
+    const db = createRecordingDB();
+
+    await new PostRepository(db).findNeighbors(post(2, "d1"), "rust");
+
+    for (const { sql, bindings } of db.statements) {
+      expect(sql).toContain("WHERE t.name = ?");
+      expect(bindings).toEqual(["2024-05-02T00:00:00.000Z", 2, "rust"]);
+    }
+  });
+
+  it("adds previous and next links only when asked", async () => {
+    const calls = [];
+    const service = createService({
+      findNeighbors: async (current, tag) => {
+        calls.push([current.id, tag]);
+        return { previous: post(1, "hello"), next: null };
+      },
+    });
+
+    const { data: plain } = await service.getPostBySlug("d1");
+    const { data } = await service.getPostBySlug("d1", {
+      includeNeighbors: true,
+      neighborTag: "cloudflare",
+    });
+
+    expect(plain).not.toHaveProperty("previous");
+    expect(data.previous).toEqual({
+      id: 1,
+      slug: "hello",
+      title: "hello",
+      createdAt: "2024-05-01T00:00:00.000Z",
+    });
+    expect(data.next).toBeNull();
+    expect(calls).toEqual([[2, "cloudflare"]]);
+  });
+});
+
+describe("multi-tag filters", () => {
+  const repository = new PostRepository(createRecordingDB());
+
+  it("matches any of the tags, counting a repeated tag once", () => {
+    const { conditions, bindings } = repository.filterConditions({
+      tag: "d1",
+      tags: ["d1", "rust"],
+    });
+
+    expect(conditions).toHaveLength(1);
+    expect(conditions[0]).toContain("WHERE t.name IN (?, ?)");
+    expect(conditions[0]).not.toContain("HAVING");
+    expect(bindings).toEqual(["d1", "rust"]);
+  });
+
+  it("requires every tag with match=all", () => {
+    const { conditions, bindings } = repository.filterConditions({
+      tags: ["d1", "rust", "d1"],
+      match: "all",
+    });
+
+    expect(conditions[0]).toContain("HAVING COUNT(DISTINCT t.id) = ?");
+    expect(bindings).toEqual(["d1", "rust", 2]);
+    expect(
+      repository.filterConditions({ tags: ["d1"], match: "all" }).conditions[0],
+    ).not.toContain("HAVING");
+  });
+
+  it("leaves out excluded tags", () => {
+    const { conditions, bindings } = repository.filterConditions({
+      tags: ["d1"],
+      excludeTags: ["draft", "rust"],
+    });
+
+    expect(conditions[1]).toContain("p.id NOT IN");
+    expect(conditions[1]).toContain("WHERE t.name IN (?, ?)");
+    expect(bindings).toEqual(["d1", "draft", "rust"]);
+  });
+
+  it("counts with the same filter as the page", async () => {
+    const db = createRecordingDB([], { total: 3 });
+    const filter = { tags: ["d1", "rust"], match: "all", excludeTags: ["go"] };
+
+    expect(await new PostRepository(db).count(filter)).toBe(3);
+
+    const [{ sql, bindings }] = db.statements;
+    expect(sql).toContain("SELECT COUNT(*) as total");
+    expect(sql).toContain("HAVING COUNT(DISTINCT t.id) = ?");
+    expect(sql).toContain("p.id NOT IN");
+    expect(bindings).toEqual(["d1", "rust", 2, "go"]);
+  });
+
+  it("passes the filter to both the page and the total", async () => {
+    const filters = [];
+    const service = createService({
+      findAll: async (options) => {
+        filters.push(options);
+        return [post(2, "d1")];
+      },
+      count: async (options) => {
+        filters.push(options);
+        return 1;
+      },
+    });
+
+    const page = await service.getPosts({
+      tags: ["d1", "rust"],
+      match: "all",
+      excludeTags: ["go"],
+    });
+
+    expect(page.totalElements).toBe(1);
+    expect(page.nextCursor).toBeNull();
+    for (const options of filters) {
+      expect(options).toMatchObject({
+        tags: ["d1", "rust"],
+        match: "all",
+        excludeTags: ["go"],
+      });
+    }
+  });
+});
+
+describe("GET /posts tag filters", () => {
+  beforeEach(() => {
+    for (const level of ["debug", "info", "warn", "error", "log"]) {
+      vi.spyOn(console, level).mockImplementation(() => {});
+    }
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const get = (search, db = createRecordingDB([], { total: 0 })) =>
+    router(new Request(`https://api.example/posts${search}`), { DB: db }, ctx);
+
+  it("reads comma-separated tags and excluded tags", async () => {
+    const db = createRecordingDB([], { total: 0 });
+
+    const response = await get("?tags=d1,rust&match=all&excludeTags=go", db);
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).data.totalElements).toBe(0);
+    const count = db.statements.find(({ sql }) => sql.includes("COUNT(*)"));
+    expect(count.bindings).toEqual(["d1", "rust", 2, "go"]);
+  });
+
+  it("rejects an unknown match mode and too many tags", async () => {
+    const tooMany = Array.from({ length: 11 }, (_, i) => `t${i}`).join(",");
+
+    expect((await get("?tags=d1&match=some")).status).toBe(400);
+    expect((await get(`?tags=${tooMany}`)).status).toBe(400);
+  });
+});
+
+describe("sparse fieldsets", () => {
+  it("selects only the columns the fields need", () => {
+    const service = createService();
+
+    expect(service.summarySelection(["slug", "title"])).toEqual({
+      names: ["slug", "title"],
+      columns: ["id", "created_at", "updated_at", "slug", "title"],
+    });
+    expect(
+      service.summarySelection(["id"], ["commentCount", "content"]).columns,
+    ).toEqual(["id", "created_at", "updated_at", "comment_count", "content"]);
+  });
+
+  it("returns only the selected fields, without fetching tags", async () => {
+    const requested = { columns: null, tags: 0 };
+    const service = createService({
+      findAll: async ({ columns }) => {
+        requested.columns = columns;
+        return [post(1, "hello")];
+      },
+      count: async () => 1,
+      getTagsForPosts: async () => {
+        requested.tags++;
+        return new Map();
+      },
+    });
+
+    const page = await service.getPosts({ fields: ["slug", "title"] });
+
+    expect(page.content).toEqual([{ slug: "hello", title: "hello" }]);
+    expect(requested.tags).toBe(0);
+    // The sort key is selected for cursors
+    expect(requested.columns).toContain("created_at");
+    expect(requested.columns).not.toContain("summary");
+  });
+
+  it("embeds tags, comment counts and content on request", async () => {
+    const service = createService({
+      findAll: async () => [
+        post(1, "hello", { comment_count: 2, content: "# Hello" }),
+      ],
+      count: async () => 1,
+      getTagsForPosts: async () => new Map([[1, ["d1"]]]),
+    });
+
+    const page = await service.getPosts({
+      fields: ["id"],
+      include: ["commentCount", "content", "tags"],
+    });
+
+    expect(page.content).toEqual([
+      { id: 1, tags: ["d1"], commentCount: 2, content: "# Hello" },
+    ]);
+  });
+
+  it("selects the columns in SQL", async () => {
+    const db = createRecordingDB();
+
+    await new PostRepository(db).findAll({
+      offset: 0,
+      limit: 10,
+      orderClause: "p.created_at DESC, p.id DESC",
+      columns: ["id", "slug", "comment_count"],
+    });
+
+    const [{ sql }] = db.statements;
+    expect(sql).toMatch(/SELECT p\.id, p\.slug, \(\s+SELECT COUNT\(\*\)/);
+    expect(sql).not.toContain("p.content");
+  });
+});
+
+describe("GET /posts fields and include", () => {
+  beforeEach(() => {
+    for (const level of ["debug", "info", "warn", "error", "log"]) {
+      vi.spyOn(console, level).mockImplementation(() => {});
+    }
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const get = (search, db = createRecordingDB([], { total: 0 })) =>
+    router(new Request(`https://api.example/posts${search}`), { DB: db }, ctx);
+
+  it("reads comma-separated fields", async () => {
+    const db = createRecordingDB([], { total: 0 });
+
+    expect((await get("?fields=slug,title", db)).status).toBe(200);
+    const list = db.statements.find(({ sql }) => sql.includes("LIMIT"));
+    expect(list.sql).toContain("p.slug, p.title");
+    expect(list.sql).not.toContain("p.summary");
+  });
+
+  it("rejects unknown fields and includes", async () => {
+    expect((await get("?fields=password")).status).toBe(400);
+    expect((await get("?include=neighbors")).status).toBe(400);
+  });
+});
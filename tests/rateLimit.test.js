@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  checkRateLimit,
+  getClientKey,
+  getRateLimitConfig,
+  rateLimitHeaders,
+} from "../src/utils/rateLimit.js";
+import { RateLimiter } from "../src/durableObjects/rateLimiter.js";
+import { router } from "../src/router.js";
+
+const ctx = { waitUntil() {}, passThroughOnException() {} };
+const config = { limit: 2, windowSeconds: 60 };
+
+describe("getRateLimitConfig", () => {
+  it("uses the default budgets", () => {
+    expect(getRateLimitConfig({}, "POST /comments/:postId")).toEqual({
+      limit: 5,
+      windowSeconds: 60,
+    });
+    expect(getRateLimitConfig({}, "GET /posts")).toBeNull();
+  });
+
+  it("applies RATE_LIMITS overrides and ignores invalid JSON", () => {
+    const env = {
+      RATE_LIMITS: JSON.stringify({
+        "POST /comments/:postId": { limit: 1, windowSeconds: 10 },
+        "PATCH /posts/:postId/views": { limit: 0, windowSeconds: 60 },
+      }),
+    };
+
+    expect(getRateLimitConfig(env, "POST /comments/:postId")).toEqual({
+      limit: 1,
+      windowSeconds: 10,
+    });
+    expect(getRateLimitConfig(env, "PATCH /posts/:postId/views")).toBeNull();
+    expect(
+      getRateLimitConfig({ RATE_LIMITS: "{" }, "POST /comments/:postId"),
+    ).toEqual({ limit: 5, windowSeconds: 60 });
+  });
+});
+
+describe("getClientKey", () => {
+  const request = new Request("https://api.example/", {
+    headers: { "CF-Connecting-IP": "203.0.113.7" },
+  });
+  Object.defineProperty(request, "cf", { value: { asn: 64496 } });
+
+  it("keys clients by IP, and by ASN when enabled", () => {
+    expect(getClientKey(request, {})).toBe("203.0.113.7");
+    expect(getClientKey(request, { RATE_LIMIT_BY_ASN: "true" })).toBe(
+      "203.0.113.7|asn:64496",
+    );
+  });
+});
+
+describe("checkRateLimit", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2024-05-01T00:00:00.000Z"));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("counts requests in memory until the window ends", async () => {
+    expect(await checkRateLimit({}, "memory", config)).toEqual({
+      allowed: true,
+      limit: 2,
+      remaining: 1,
+      resetSeconds: 60,
+    });
+    await checkRateLimit({}, "memory", config);
+
+    vi.advanceTimersByTime(15000);
+    expect(await checkRateLimit({}, "memory", config)).toMatchObject({
+      allowed: false,
+      remaining: 0,
+      resetSeconds: 45,
+    });
+
+    vi.advanceTimersByTime(45000);
+    expect((await checkRateLimit({}, "memory", config)).allowed).toBe(true);
+  });
+
+  it("falls back to memory when the Durable Object fails", async () => {
+    const env = {
+      RATE_LIMITER: {
+        idFromName: (name) => name,
+        get: () => ({
+          fetch: async () => new Response("", { status: 500 }),
+        }),
+      },
+    };
+    const logger = { warn: vi.fn() };
+
+    const result = await checkRateLimit(env, "unavailable", config, logger);
+
+    expect(result).toMatchObject({ allowed: true, remaining: 1 });
+    expect(logger.warn).toHaveBeenCalledOnce();
+  });
+
+  it("formats RateLimit headers", () => {
+    expect(
+      rateLimitHeaders({ limit: 2, remaining: 0, resetSeconds: 45 }),
+    ).toEqual({
+      "RateLimit-Limit": "2",
+      "RateLimit-Remaining": "0",
+      "RateLimit-Reset": "45",
+    });
+  });
+});
+
+describe("RateLimiter", () => {
+  it("keeps one fixed window per key in storage", async () => {
+    const stored = new Map();
+    const storage = {
+      get: async (key) => stored.get(key),
+      put: async (key, value) => stored.set(key, value),
+      setAlarm: vi.fn(async () => {}),
+      deleteAll: async () => stored.clear(),
+    };
+    const limiter = new RateLimiter({ storage }, {});
+    const check = async () =>
+      (
+        await limiter.fetch(
+          new Request("https://rate-limiter/check", {
+            method: "POST",
+            body: JSON.stringify({ limit: 1, windowSeconds: 60 }),
+          }),
+        )
+      ).json();
+
+    expect((await check()).allowed).toBe(true);
+    expect(await check()).toMatchObject({ allowed: false, remaining: 0 });
+    expect(storage.setAlarm).toHaveBeenCalled();
+
+    await limiter.alarm();
+    expect((await check()).allowed).toBe(true);
+  });
+});
+
+describe("rate-limited routes", () => {
+  beforeEach(() => {
+    for (const level of ["debug", "info", "warn", "error", "log"]) {
+      vi.spyOn(console, level).mockImplementation(() => {});
+    }
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const env = {
+    RATE_LIMITS: JSON.stringify({
+      "POST /comments/:postId": { limit: 1, windowSeconds: 60 },
+    }),
+  };
+  const send = () =>
+    router(
+      new Request("https://api.example/comments/1", {
+        method: "POST",
+        headers: {
+          "CF-Connecting-IP": "198.51.100.1",
+          "Content-Type": "application/json",
+        },
+        body: "{}",
+      }),
+      env,
+      ctx,
+    );
+
+  it("answers exhausted clients with 429 and exposes the headers", async () => {
+    const first = await send();
+    expect(first.status).toBe(400);
+
+    const second = await send();
+    expect(second.status).toBe(429);
+    expect(Number(second.headers.get("Retry-After"))).toBeGreaterThan(0);
+
+    const exposed = second.headers
+      .get("Access-Control-Expose-Headers")
+      .split(", ");
+    expect(exposed).toEqual(
+      expect.arrayContaining([
+        "RateLimit-Limit",
+        "RateLimit-Remaining",
+        "RateLimit-Reset",
+        "Retry-After",
+      ]),
+    );
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { router } from "../src/router.js";
+
+const ctx = { waitUntil() {}, passThroughOnException() {} };
+
+const send = (method, path, env = {}) =>
+  router(new Request(`https://api.example${path}`, { method }), env, ctx);
+
+describe("router", () => {
+  beforeEach(() => {
+    for (const level of ["debug", "info", "warn", "error", "log"]) {
+      vi.spyOn(console, level).mockImplementation(() => {});
+    }
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("answers HEAD with the GET route's headers and no body", async () => {
+    const get = await send("GET", "/openapi.json");
+    const head = await send("HEAD", "/openapi.json");
+
+    expect(head.status).toBe(200);
+    expect(head.headers.get("Content-Type")).toBe(
+      get.headers.get("Content-Type"),
+    );
+    expect(head.headers.get("ETag")).toBe(get.headers.get("ETag"));
+    expect(await head.text()).toBe("");
+  });
+
+  it("answers unsupported methods with 405 and Allow", async () => {
+    const response = await send("DELETE", "/openapi.json");
+
+    expect(response.status).toBe(405);
+    expect(response.headers.get("Allow")).toBe("GET, HEAD, OPTIONS");
+    expect((await response.json()).error.code).toBe(405);
+  });
+
+  it("answers unknown paths with 404", async () => {
+    const response = await send("GET", "/nope");
+
+    expect(response.status).toBe(404);
+    expect(response.headers.has("Allow")).toBe(false);
+  });
+
+  it("rejects malformed paths with 400", async () => {
+    expect((await send("GET", "/posts/%E0%A4%A")).status).toBe(400);
+  });
+
+  describe("trailing slashes", () => {
+    it("redirect to the path without them by default", async () => {
+      const response = await send("GET", "/openapi.json/?x=1");
+
+      expect(response.status).toBe(308);
+      expect(response.headers.get("Location")).toBe("/openapi.json?x=1");
+    });
+
+    it("do not redirect to paths without a route", async () => {
+      expect((await send("GET", "/nope/")).status).toBe(404);
+    });
+
+    it("reach the same route with TRAILING_SLASH=ignore", async () => {
+      const response = await send("GET", "/openapi.json/", {
+        TRAILING_SLASH: "ignore",
+      });
+
+      expect(response.status).toBe(200);
+    });
+
+    it("match no route with TRAILING_SLASH=strict", async () => {
+      const response = await send("GET", "/openapi.json/", {
+        TRAILING_SLASH: "strict",
+      });
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect } from "vitest";
+import {
+  objectSchema,
+  validateSchema,
+  assertSchema,
+} from "../src/utils/schema.js";
+import { ValidationError } from "../src/utils/errors.js";
+
+describe("validateSchema", () => {
+  const query = objectSchema({
+    page: { type: "integer", minimum: 0, default: 0 },
+    size: { type: "integer", minimum: 1, maximum: 100, default: 10 },
+    tags: { type: "array", items: { type: "string" }, maxItems: 2 },
+    match: { enum: ["any", "all"], default: "any" },
+    draft: { type: "boolean" },
+  });
+
+  it("converts query strings and fills in defaults", () => {
+    const { value, errors } = validateSchema(
+      query,
+      { size: "20", tags: "a, b,", draft: "false" },
+      { coerce: true },
+    );
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({
+      page: 0,
+      size: 20,
+      tags: ["a", "b"],
+      match: "any",
+      draft: false,
+    });
+  });
+
+  it("treats empty query strings as absent", () => {
+    const { value } = validateSchema(query, { page: "" }, { coerce: true });
+    expect(value.page).toBe(0);
+  });
+
+  it("does not convert strings without coercion", () => {
+    const { errors } = validateSchema(query, { size: "20" });
+    expect(errors).toEqual([
+      { field: "size", message: "size must be an integer" },
+    ]);
+  });
+
+  it("collects every error", () => {
+    const { errors } = validateSchema(
+      query,
+      { page: "-1", size: "1.5", tags: "a,b,c", match: "some" },
+      { coerce: true },
+    );
+
+    expect(errors.map((error) => error.message)).toEqual([
+      "page must be at least 0",
+      "size must be an integer",
+      "tags must not exceed 2 items",
+      "match must be one of: any, all",
+    ]);
+  });
+
+  it("checks string length, pattern and format", () => {
+    const schema = objectSchema({
+      name: { type: "string", minLength: 2, maxLength: 4, pattern: "^[a-z]+$" },
+      day: { type: "string", format: "date" },
+    });
+
+    expect(
+      validateSchema(schema, { name: "a1", day: "2024-02-30" }).errors,
+    ).toEqual([
+      { field: "name", message: "name must match the pattern ^[a-z]+$" },
+      { field: "day", message: "day must be a valid date" },
+    ]);
+    expect(validateSchema(schema, { name: "abcde" }).errors).toEqual([
+      { field: "name", message: "name must not exceed 4 characters" },
+    ]);
+    expect(validateSchema(schema, { day: "2024-02-29" }).errors).toEqual([]);
+  });
+
+  it("names nested fields and array items", () => {
+    const schema = objectSchema({
+      author: objectSchema({ name: { type: "string" } }, ["name"]),
+      ids: { type: "array", items: { type: "integer" } },
+    });
+
+    expect(
+      validateSchema(schema, { author: {}, ids: [1, "2"] }).errors,
+    ).toEqual([
+      { field: "author.name", message: "author.name is required" },
+      { field: "ids[1]", message: "ids[1] must be an integer" },
+    ]);
+  });
+
+  it("rejects unknown properties when additionalProperties is false", () => {
+    const schema = {
+      ...objectSchema({ content: { type: "string" } }),
+      additionalProperties: false,
+    };
+
+    expect(validateSchema(schema, { content: "x", extra: 1 }).errors).toEqual([
+      { field: "extra", message: "extra is not allowed" },
+    ]);
+  });
+
+  it("replaces the messages of a failing value with errorMessage", () => {
+    const schema = objectSchema({
+      author: {
+        type: "string",
+        minLength: 2,
+        maxLength: 20,
+        errorMessage: "author must be between 2 and 20 characters",
+      },
+    });
+
+    expect(validateSchema(schema, { author: 1 }).errors).toEqual([
+      {
+        field: "author",
+        message: "author must be between 2 and 20 characters",
+      },
+    ]);
+  });
+
+  it("accepts any of several types", () => {
+    const schema = objectSchema({ parentId: { type: ["string", "null"] } });
+
+    expect(validateSchema(schema, { parentId: null }).errors).toEqual([]);
+    expect(validateSchema(schema, { parentId: 1 }).errors).toEqual([
+      { field: "parentId", message: "parentId must be a string or null" },
+    ]);
+  });
+
+  it("names a non-object value after the name option", () => {
+    expect(
+      validateSchema(objectSchema({}), "text", { name: "body" }).errors,
+    ).toEqual([{ field: "body", message: "body must be an object" }]);
+  });
+});
+
+describe("assertSchema", () => {
+  const schema = objectSchema({ content: { type: "string" } }, ["content"]);
+
+  it("returns the validated value", () => {
+    expect(assertSchema(schema, { content: "hi" })).toEqual({ content: "hi" });
+  });
+
+  it("throws a ValidationError with the field errors", () => {
+    let thrown;
+    try {
+      assertSchema(schema, {});
+    } catch (error) {
+      thrown = error;
+    }
+
+    expect(thrown).toBeInstanceOf(ValidationError);
+    expect(thrown.status).toBe(400);
+    expect(thrown.message).toBe("content is required");
+    expect(thrown.errors).toEqual([
+      { field: "content", message: "content is required" },
+    ]);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect } from "vitest";
+import {
+  SearchService,
+  buildMatchExpression,
+  highlightSnippet,
+} from "../src/services/searchService.js";
+import {
+  SearchRepository,
+  SNIPPET_MATCH_START,
+  SNIPPET_MATCH_END,
+} from "../src/repositories/searchRepository.js";
+
+describe("buildMatchExpression", () => {
+  it("quotes every term and makes the last one a prefix", () => {
+    expect(buildMatchExpression("cloudflare work")).toBe(
+      '"cloudflare" "work"*',
+    );
+  });
+
+  it("matches FTS5 operators and quotes literally", () => {
+    expect(buildMatchExpression('rust "borrow" OR NOT')).toBe(
+      '"rust" "borrow" "OR" "NOT"*',
+    );
+  });
+
+  it("returns null without letters or digits", () => {
+    expect(buildMatchExpression("* - .")).toBeNull();
+  });
+});
+
+describe("highlightSnippet", () => {
+  it("escapes the snippet and turns match markers into <mark>", () => {
+    expect(
+      highlightSnippet(`a ${SNIPPET_MATCH_START}<b>${SNIPPET_MATCH_END} c`),
+    ).toBe("a <mark>&lt;b&gt;</mark> c");
+    expect(highlightSnippet(null)).toBe("");
+  });
+});
+
+describe("suggest", () => {
+  it("looks suggestions up by initial-consonant prefix", async () => {
+    let options;
+    const service = new SearchService(
+      {
+        findSuggestions: async (value) => {
+          options = value;
+          return [
+            {
+              type: "tag",
+              label: "클라우드",
+              id: null,
+              slug: null,
+              post_count: 3,
+            },
+            {
+              type: "post",
+              label: "클라우드플레어 D1",
+              id: 2,
+              slug: "cloudflare-d1",
+              post_count: null,
+            },
+          ];
+        },
+      },
+      null,
+      {},
+    );
+
+    expect(await service.suggest({ q: "ㅋㄹ", limit: 5 })).toEqual([
+      { type: "tag", label: "클라우드", postCount: 3 },
+      {
+        type: "post",
+        label: "클라우드플레어 D1",
+        id: 2,
+        slug: "cloudflare-d1",
+      },
+    ]);
+    expect(options).toEqual({
+      initials: "ㅋㄹ",
+      pattern: "[ㅋ카-킿][ㄹ라-맇]*",
+      limit: 5,
+    });
+  });
+
+  it("bounds the prefix range so the initials index is used", async () => {
+    let bindings;
+    const repository = new SearchRepository({
+      prepare: () => ({
+        bind(...values) {
+          bindings = values;
+          return this;
+        },
+        all: async () => ({ results: [] }),
+      }),
+    });
+
+    await repository.findSuggestions({
+      initials: "ㅋ",
+      pattern: "x*",
+      limit: 3,
+    });
+
+    const match = ["ㅋ", "ㅋ\u{10FFFF}", "x*"];
+    expect(bindings).toEqual([...match, ...match, 3]);
+  });
+});
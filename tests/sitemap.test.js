@@ -0,0 +1,89 @@
+import { describe, it, expect } from "vitest";
+import { SitemapService } from "../src/services/sitemapService.js";
+import { NotFoundError } from "../src/utils/errors.js";
+
+const posts = [
+  {
+    slug: "hello-world",
+    created_at: "2024-04-30T16:00:00.000Z",
+    updated_at: "2024-05-03T09:00:00.000Z",
+  },
+  {
+    slug: "til-rust",
+    created_at: "2024-05-02T00:00:00.000Z",
+    updated_at: null,
+  },
+];
+
+const repository = {
+  findAllPublishedForSitemap: async () => posts,
+  findActiveWithLastmod: async () => [
+    { name: "rust", lastmod: "2024-05-02T00:00:00.000Z" },
+  ],
+};
+
+const createService = (env = {}) =>
+  new SitemapService(repository, {
+    SITE_URL: "https://blog.example",
+    SITE_TIMEZONE: "Asia/Seoul",
+    ...env,
+  });
+
+describe("SitemapService", () => {
+  it("clamps SITEMAP_MAX_URLS to the protocol limit", () => {
+    expect(createService().maxUrls).toBe(50000);
+    expect(createService({ SITEMAP_MAX_URLS: "abc" }).maxUrls).toBe(50000);
+    expect(createService({ SITEMAP_MAX_URLS: "0" }).maxUrls).toBe(1);
+    expect(createService({ SITEMAP_MAX_URLS: "100000" }).maxUrls).toBe(50000);
+    expect(createService({ SITEMAP_MAX_URLS: "3" }).maxUrls).toBe(3);
+  });
+
+  it("dates each URL by its newest change", async () => {
+    const { xml, isIndex, urlCount } = await createService().generateSitemapXml(
+      "https://api.example",
+    );
+
+    expect(isIndex).toBe(false);
+    // Home, two posts, one tag, one year and one month
+    expect(urlCount).toBe(6);
+    expect(xml).toContain(
+      "<loc>https://blog.example</loc>\n    <lastmod>2024-05-03T09:00:00.000Z</lastmod>",
+    );
+    expect(xml).toContain(
+      "<loc>https://blog.example/posts/til-rust</loc>\n    <lastmod>2024-05-02T00:00:00.000Z</lastmod>",
+    );
+    expect(xml).toContain(
+      "<loc>https://blog.example/tags/rust</loc>\n    <lastmod>2024-05-02T00:00:00.000Z</lastmod>",
+    );
+  });
+
+  it("splits into numbered sitemaps above SITEMAP_MAX_URLS", async () => {
+    const service = createService({ SITEMAP_MAX_URLS: "4" });
+
+    const root = await service.generateSitemapXml("https://api.example");
+    expect(root.isIndex).toBe(true);
+    expect(root.xml).toContain("<sitemapindex");
+
+    const index = await service.generateSitemapIndex("https://api.example");
+    expect(index.pageCount).toBe(2);
+    expect(index.xml).toBe(root.xml);
+    expect(index.xml).toContain(
+      "<loc>https://api.example/sitemaps/2.xml</loc>",
+    );
+
+    expect((await service.generateSitemapPage(1)).urlCount).toBe(4);
+    expect((await service.generateSitemapPage(2)).urlCount).toBe(2);
+    await expect(service.generateSitemapPage(3)).rejects.toThrow(NotFoundError);
+  });
+
+  it("always serves an index with at least one page", async () => {
+    const index = await createService().generateSitemapIndex(
+      "https://api.example",
+    );
+
+    expect(index.pageCount).toBe(1);
+    expect(index.xml).toContain(
+      "<loc>https://api.example/sitemaps/1.xml</loc>",
+    );
+  });
+});
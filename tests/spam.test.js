@@ -0,0 +1,61 @@
+import { describe, it, expect } from "vitest";
+import {
+  countLinks,
+  findBannedWords,
+  normalizeForMatching,
+} from "../src/utils/spam.js";
+
+describe("countLinks", () => {
+  it("counts URLs, www hosts and bare domains with a path", () => {
+    expect(
+      countLinks("see https://a.example and www.b.co.kr/x and c.io/path"),
+    ).toBe(3);
+  });
+
+  it("ignores dotted words that are not links", () => {
+    expect(countLinks("console.info(x) window.top e.g. 3.14")).toBe(0);
+    expect(countLinks(null)).toBe(0);
+  });
+});
+
+describe("normalizeForMatching", () => {
+  it("folds width and case and drops everything but letters and spaces", () => {
+    expect(normalizeForMatching("Ｃａｓｉｎｏ 1!")).toBe("casino ");
+  });
+});
+
+describe("findBannedWords", () => {
+  it("finds nothing in ordinary comments", () => {
+    expect(findBannedWords("good post, thanks")).toEqual({
+      profanity: [],
+      spam: [],
+    });
+  });
+
+  it("matches whole words, allowing Korean particles", () => {
+    expect(findBannedWords("대출은 여기").spam).toEqual(["대출"]);
+    expect(findBannedWords("카지노를 추천").spam).toEqual(["카지노"]);
+    expect(findBannedWords("신용대출상품 문의").spam).toEqual([]);
+  });
+
+  it("joins syllables spaced out to dodge the filter", () => {
+    expect(findBannedWords("시 발 진짜").profanity).toEqual(["시발"]);
+  });
+
+  it("matches phrases on word boundaries", () => {
+    expect(findBannedWords("Buy   Followers now").spam).toEqual([
+      "buy followers",
+    ]);
+    expect(findBannedWords("buy followerscheap").spam).toEqual([]);
+  });
+
+  it("ignores punctuation and case", () => {
+    expect(findBannedWords("CASINO!!").spam).toEqual(["casino"]);
+  });
+
+  it("checks extra banned words as profanity", () => {
+    expect(findBannedWords("you are a foo", ["foo"]).profanity).toEqual([
+      "foo",
+    ]);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect } from "vitest";
+import {
+  addDays,
+  buildViewSeries,
+  countDays,
+  getZonedDate,
+  parseDate,
+} from "../src/utils/stats.js";
+
+describe("date helpers", () => {
+  it("parses real calendar dates only", () => {
+    expect(parseDate("2024-02-29")).toBe(Date.UTC(2024, 1, 29));
+    expect(parseDate("2024-02-30")).toBeNull();
+    expect(parseDate("2024-2-1")).toBeNull();
+  });
+
+  it("takes the calendar day in the site time zone", () => {
+    expect(getZonedDate("2024-03-31T16:30:00.000Z", "Asia/Seoul")).toBe(
+      "2024-04-01",
+    );
+    expect(getZonedDate("2024-03-31T16:30:00.000Z", "UTC")).toBe("2024-03-31");
+  });
+
+  it("adds and counts days across month ends", () => {
+    expect(addDays("2024-02-28", 2)).toBe("2024-03-01");
+    expect(addDays("2024-03-01", -1)).toBe("2024-02-29");
+    expect(countDays("2024-02-28", "2024-03-01")).toBe(3);
+  });
+});
+
+describe("buildViewSeries", () => {
+  const rows = [
+    { day: "2024-04-30", views: 2 },
+    { day: "2024-05-06", views: 3 },
+  ];
+
+  it("fills days without views with zero", () => {
+    expect(
+      buildViewSeries(rows, {
+        from: "2024-04-29",
+        to: "2024-05-01",
+        granularity: "day",
+      }),
+    ).toEqual([
+      { date: "2024-04-29", views: 0 },
+      { date: "2024-04-30", views: 2 },
+      { date: "2024-05-01", views: 0 },
+    ]);
+  });
+
+  it("sums weeks starting on Monday", () => {
+    expect(
+      buildViewSeries(rows, {
+        from: "2024-04-30",
+        to: "2024-05-07",
+        granularity: "week",
+      }),
+    ).toEqual([
+      { date: "2024-04-29", views: 2 },
+      { date: "2024-05-06", views: 3 },
+    ]);
+  });
+
+  it("sums calendar months", () => {
+    expect(
+      buildViewSeries(rows, {
+        from: "2024-04-15",
+        to: "2024-05-15",
+        granularity: "month",
+      }),
+    ).toEqual([
+      { date: "2024-04-01", views: 2 },
+      { date: "2024-05-01", views: 3 },
+    ]);
+  });
+});
@@ -0,0 +1,208 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  getViewRetentionDays,
+  parseTrendingWindow,
+} from "../src/utils/trending.js";
+import { PostRepository } from "../src/repositories/postRepository.js";
+import { PostService } from "../src/services/postService.js";
+import { ValidationError } from "../src/utils/errors.js";
+import { router } from "../src/router.js";
+
+const ctx = { waitUntil() {}, passThroughOnException() {} };
+
+/**
+ * D1 stand-in that records the last statement and its bindings
+ */
+function createRecordingDB(results = []) {
+  const db = {
+    prepare(sql) {
+      db.sql = sql;
+      return {
+        bind(...bindings) {
+          db.bindings = bindings;
+          return this;
+        },
+        async all() {
+          return { results };
+        },
+        async run() {
+          return { meta: { changes: results.length } };
+        },
+      };
+    },
+  };
+  return db;
+}
+
+describe("parseTrendingWindow", () => {
+  it("defaults to seven days", () => {
+    expect(parseTrendingWindow(null, {})).toBe(7);
+    expect(parseTrendingWindow("30d", {})).toBe(30);
+  });
+
+  it("rejects malformed and out-of-range windows", () => {
+    for (const value of ["7", "d", "0d", "31d", "-1d", "1.5d"]) {
+      expect(() => parseTrendingWindow(value, {})).toThrow(ValidationError);
+    }
+  });
+
+  it("honors TRENDING_MAX_WINDOW_DAYS", () => {
+    const env = { TRENDING_MAX_WINDOW_DAYS: "90" };
+    expect(parseTrendingWindow("90d", env)).toBe(90);
+    expect(() => parseTrendingWindow("91d", env)).toThrow(
+      'Window must be between 1d and 90d (e.g., "7d")',
+    );
+  });
+});
+
+describe("getViewRetentionDays", () => {
+  it("defaults to two years", () => {
+    expect(getViewRetentionDays({})).toBe(731);
+    expect(getViewRetentionDays({ VIEW_RETENTION_DAYS: "abc" })).toBe(731);
+  });
+
+  it("never drops views inside the longest trending window", () => {
+    expect(getViewRetentionDays({ VIEW_RETENTION_DAYS: "7" })).toBe(30);
+    expect(
+      getViewRetentionDays({
+        VIEW_RETENTION_DAYS: "60",
+        TRENDING_MAX_WINDOW_DAYS: "90",
+      }),
+    ).toBe(90);
+  });
+});
+
+describe("PostRepository trending", () => {
+  it("ranks published posts by decayed views since the window start", async () => {
+    const rows = [{ id: 1, recent_views: 3, score: 2.5 }];
+    const db = createRecordingDB(rows);
+    const repository = new PostRepository(db);
+
+    const result = await repository.findTrending({
+      since: "2024-05-01",
+      today: "2024-05-07",
+      halfLifeDays: 3,
+      limit: 10,
+    });
+
+    expect(result).toBe(rows);
+    expect(db.sql).toContain("FROM post_view_daily d");
+    expect(db.sql).toContain("p.state = 'published'");
+    expect(db.sql).toContain("d.day >= ?");
+    expect(db.bindings).toEqual([3, 3, "2024-05-07", "2024-05-01", 10]);
+  });
+
+  it("deletes daily views before a cutoff day", async () => {
+    const db = createRecordingDB([{}, {}]);
+    const repository = new PostRepository(db);
+
+    expect(await repository.deleteDailyViewsBefore("2024-01-01")).toBe(2);
+    expect(db.sql).toContain("DELETE FROM post_view_daily");
+    expect(db.bindings).toEqual(["2024-01-01"]);
+  });
+});
+
+describe("PostService trending", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    // 2024-05-07 00:30 in Seoul
+    vi.setSystemTime(new Date("2024-05-06T15:30:00.000Z"));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const createService = (repository, env = {}) =>
+    new PostService(
+      {
+        getTagsForPosts: async () => new Map(),
+        getContentForPosts: async () => new Map(),
+        ...repository,
+      },
+      { SITE_TIMEZONE: "Asia/Seoul", ...env },
+    );
+
+  it("counts the window in site-local days", async () => {
+    let options;
+    const service = createService({
+      findTrending: async (value) => {
+        options = value;
+        return [
+          {
+            id: 1,
+            slug: "hello-world",
+            title: "Hello",
+            summary: "",
+            created_at: "2024-05-01T00:00:00.000Z",
+            updated_at: "2024-05-01T00:00:00.000Z",
+            views: 10,
+            recent_views: 4,
+            score: 2.34567,
+          },
+        ];
+      },
+    });
+
+    const data = await service.getTrendingPosts({ window: "7d" });
+
+    expect(options).toEqual({
+      since: "2024-05-01",
+      today: "2024-05-07",
+      halfLifeDays: 3,
+      limit: 10,
+    });
+    expect(data.window).toBe("7d");
+    expect(data.since).toBe("2024-05-01");
+    expect(data.content[0]).toMatchObject({
+      slug: "hello-world",
+      recentViews: 4,
+      score: 2.346,
+    });
+  });
+
+  it("prunes daily views outside the retention period", async () => {
+    let before;
+    const service = createService(
+      {
+        deleteDailyViewsBefore: async (value) => {
+          before = value;
+          return 5;
+        },
+      },
+      { VIEW_RETENTION_DAYS: "30" },
+    );
+
+    expect(await service.pruneDailyViews()).toBe(5);
+    expect(before).toBe("2024-04-08");
+  });
+});
+
+describe("GET /posts/trending", () => {
+  beforeEach(() => {
+    for (const level of ["debug", "info", "warn", "error", "log"]) {
+      vi.spyOn(console, level).mockImplementation(() => {});
+    }
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const send = (path, env = {}) =>
+    router(new Request(`https://api.example${path}`), env, ctx);
+
+  it("rejects a malformed window before querying", async () => {
+    const response = await send("/posts/trending?window=abc");
+
+    expect(response.status).toBe(400);
+  });
+
+  it("rejects a window beyond the configured maximum", async () => {
+    const response = await send("/posts/trending?window=31d");
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.error.message).toContain("1d and 30d");
+  });
+});
@@ -0,0 +1,240 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  createVisitorFingerprint,
+  detectAutomatedView,
+} from "../src/utils/visitor.js";
+import { PostRepository } from "../src/repositories/postRepository.js";
+import { PostService } from "../src/services/postService.js";
+import { NotFoundError } from "../src/utils/errors.js";
+import { router } from "../src/router.js";
+
+const ctx = { waitUntil() {}, passThroughOnException() {} };
+const BROWSER = "Mozilla/5.0 (Macintosh) Safari/605.1.15";
+
+const visit = (headers = {}, cf = undefined) => {
+  const request = new Request("https://api.example/posts/1/views", {
+    method: "PATCH",
+    headers: { "User-Agent": BROWSER, ...headers },
+  });
+  if (cf) {
+    Object.defineProperty(request, "cf", { value: cf });
+  }
+  return request;
+};
+
+/**
+ * D1 stand-in that records batched statements and answers the view count
+ */
+function createViewsDB(views = 1) {
+  const db = {
+    batches: [],
+    prepare(sql) {
+      return {
+        sql,
+        bind(...bindings) {
+          this.bindings = bindings;
+          return this;
+        },
+        async first() {
+          return { views };
+        },
+      };
+    },
+    async batch(statements) {
+      db.batches.push(statements);
+      return statements.map(() => ({
+        meta: { changes: 1 },
+        results: [{ views: views + 1 }],
+      }));
+    },
+  };
+  return db;
+}
+
+describe("detectAutomatedView", () => {
+  it("lets browsers through", () => {
+    expect(detectAutomatedView(visit(), {})).toBeNull();
+  });
+
+  it("ignores prefetches, bots and requests without a user agent", () => {
+    expect(detectAutomatedView(visit({ "Sec-Purpose": "prefetch" }), {})).toBe(
+      "prefetch",
+    );
+    expect(
+      detectAutomatedView(visit({ "User-Agent": "Googlebot/2.1" }), {}),
+    ).toBe("bot_user_agent");
+    expect(detectAutomatedView(visit({ "User-Agent": "" }), {})).toBe(
+      "missing_user_agent",
+    );
+  });
+
+  it("uses Bot Management signals when present", () => {
+    expect(
+      detectAutomatedView(
+        visit({}, { botManagement: { verifiedBot: true } }),
+        {},
+      ),
+    ).toBe("verified_bot");
+    expect(
+      detectAutomatedView(visit({}, { botManagement: { score: 10 } }), {}),
+    ).toBe("bot_score");
+    expect(
+      detectAutomatedView(visit({}, { botManagement: { score: 10 } }), {
+        BOT_SCORE_THRESHOLD: "5",
+      }),
+    ).toBeNull();
+  });
+});
+
+describe("createVisitorFingerprint", () => {
+  const env = { VIEW_FINGERPRINT_SECRET: "secret" };
+  const now = Date.UTC(2024, 4, 1, 12);
+  const request = () => visit({ "CF-Connecting-IP": "203.0.113.7" });
+
+  it("hashes the same visitor the same way within a window", async () => {
+    const first = await createVisitorFingerprint(request(), env, now);
+
+    expect(first).toMatch(/^[0-9a-f]{64}$/);
+    expect(first).not.toContain("203.0.113.7");
+    expect(await createVisitorFingerprint(request(), env, now + 1000)).toBe(
+      first,
+    );
+  });
+
+  it("changes with the window, the visitor and the secret", async () => {
+    const first = await createVisitorFingerprint(request(), env, now);
+
+    expect(
+      await createVisitorFingerprint(request(), env, now + 86400000),
+    ).not.toBe(first);
+    expect(
+      await createVisitorFingerprint(
+        visit({ "CF-Connecting-IP": "203.0.113.8" }),
+        env,
+        now,
+      ),
+    ).not.toBe(first);
+    expect(
+      await createVisitorFingerprint(
+        request(),
+        { VIEW_FINGERPRINT_SECRET: "other" },
+        now,
+      ),
+    ).not.toBe(first);
+  });
+
+  it("makes no fingerprint without VIEW_FINGERPRINT_SECRET", async () => {
+    expect(await createVisitorFingerprint(request(), {}, now)).toBeNull();
+  });
+});
+
+describe("PostRepository views", () => {
+  it("counts only views of published posts", async () => {
+    const db = createViewsDB();
+    const repository = new PostRepository(db);
+
+    await repository.recordView({
+      postId: 1,
+      fingerprint: "abc",
+      viewedAt: "2024-05-01T00:00:00.000Z",
+      day: "2024-05-01",
+    });
+
+    const [fingerprint, update, daily] = db.batches[0];
+    expect(fingerprint.sql).toContain("state = 'published'");
+    expect(update.sql).toContain("state = 'published'");
+    expect(daily.sql).toContain("INSERT INTO post_view_daily");
+    // The daily upsert depends on the fingerprint row, which needs a published post
+    expect(daily.sql).toContain("FROM post_view_fingerprints");
+  });
+
+  it("checks the post state without a fingerprint", async () => {
+    const db = createViewsDB();
+    const repository = new PostRepository(db);
+
+    const result = await repository.recordView({
+      postId: 1,
+      fingerprint: null,
+      viewedAt: "2024-05-01T00:00:00.000Z",
+      day: "2024-05-01",
+    });
+
+    const [update, daily] = db.batches[0];
+    expect(result).toEqual({ counted: true, views: 2 });
+    expect(update.sql).toContain("state = 'published'");
+    expect(daily.sql).toContain("state = 'published'");
+    expect(daily.bindings).toEqual([1, "2024-05-01", 1]);
+  });
+
+  it("reads the view count of published posts only", async () => {
+    let sql;
+    const repository = new PostRepository({
+      prepare(value) {
+        sql = value;
+        return { bind: () => ({ first: async () => null }) };
+      },
+    });
+
+    expect(await repository.getViews(4)).toBeNull();
+    expect(sql).toContain("state = 'published'");
+  });
+});
+
+describe("PostService.incrementPostViews", () => {
+  const createService = (repository) => new PostService(repository, {});
+
+  it("rejects posts that are not published", async () => {
+    const service = createService({ getViews: async () => null });
+
+    await expect(
+      service.incrementPostViews("4", { fingerprint: "abc" }),
+    ).rejects.toThrow(NotFoundError);
+  });
+
+  it("reports automated views without recording them", async () => {
+    const recordView = vi.fn();
+    const service = createService({ getViews: async () => 7, recordView });
+
+    expect(
+      await service.incrementPostViews("1", { automatedReason: "bot_score" }),
+    ).toEqual({ views: 7, counted: false, reason: "bot_score" });
+    expect(recordView).not.toHaveBeenCalled();
+  });
+
+  it("reports repeat views as duplicates", async () => {
+    const service = createService({
+      getViews: async () => 7,
+      recordView: async () => ({ counted: false, views: 7 }),
+    });
+
+    expect(
+      await service.incrementPostViews("1", { fingerprint: "abc" }),
+    ).toEqual({ views: 7, counted: false, reason: "duplicate" });
+  });
+});
+
+describe("PATCH /posts/:postId/views", () => {
+  beforeEach(() => {
+    for (const level of ["debug", "info", "warn", "error", "log"]) {
+      vi.spyOn(console, level).mockImplementation(() => {});
+    }
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("warns about a missing VIEW_FINGERPRINT_SECRET once", async () => {
+    const env = { DB: createViewsDB() };
+
+    for (let i = 0; i < 3; i++) {
+      const response = await router(visit(), env, ctx);
+      expect(response.status).toBe(200);
+    }
+
+    const warnings = console.warn.mock.calls.filter(([entry]) =>
+      entry.includes("VIEW_FINGERPRINT_SECRET"),
+    );
+    expect(warnings).toHaveLength(1);
+  });
+});
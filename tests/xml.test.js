@@ -0,0 +1,90 @@
+import { describe, it, expect } from "vitest";
+import { escapeXml } from "../src/utils/xml.js";
+import { renderMarkdown } from "../src/utils/markdown.js";
+import { FeedService } from "../src/services/feedService.js";
+
+describe("escapeXml", () => {
+  it("escapes markup characters", () => {
+    expect(escapeXml(`<a href="x">Tom & Jerry's</a>`)).toBe(
+      "&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;",
+    );
+  });
+
+  it("drops characters XML 1.0 does not allow", () => {
+    expect(escapeXml("a\u0000b\u0008c\u000Bd\u001Fe\uFFFEf\uFFFFg")).toBe(
+      "abcdefg",
+    );
+  });
+
+  it("keeps whitespace controls and characters outside the BMP", () => {
+    expect(escapeXml("a\tb\nc\rd 한글 😀")).toBe("a\tb\nc\rd 한글 😀");
+  });
+
+  it("turns null and undefined into an empty string", () => {
+    expect(escapeXml(null)).toBe("");
+    expect(escapeXml(undefined)).toBe("");
+    expect(escapeXml(0)).toBe("0");
+  });
+});
+
+describe("full-content feeds", () => {
+  const post = {
+    id: 1,
+    slug: "hello-world",
+    title: "Hello",
+    summary: "Greeting",
+    content: "# Hi\n\nSome **bold** & <b>raw</b> text",
+    created_at: "2024-05-01T00:00:00.000Z",
+    updated_at: "2024-05-02T00:00:00.000Z",
+  };
+  const repository = {
+    findAll: async () => [post],
+    getTagsForPosts: async () => new Map([[1, ["intro"]]]),
+  };
+  const service = new FeedService(repository, {
+    SITE_URL: "https://blog.example",
+  });
+  const html = renderMarkdown(post.content).html;
+
+  const getFeed = () =>
+    service.getFeed({
+      mode: "full",
+      selfUrl: "https://api.example/feed.xml",
+    });
+
+  it("puts rendered HTML, escaped, in RSS content:encoded", async () => {
+    const rss = service.renderRss(await getFeed());
+
+    expect(html).toContain("<strong>bold</strong>");
+    expect(rss).toContain(
+      `<content:encoded>${escapeXml(html)}</content:encoded>`,
+    );
+    expect(rss).not.toContain("**bold**");
+  });
+
+  it("marks Atom content as HTML", async () => {
+    const atom = service.renderAtom(await getFeed());
+
+    expect(atom).toContain(`<content type="html">${escapeXml(html)}</content>`);
+  });
+
+  it("adds content_html to JSON Feed items", async () => {
+    const [item] = service.renderJsonFeed(await getFeed()).items;
+
+    expect(item.content_html).toBe(html);
+    expect(item.content_text).toBe(post.content);
+  });
+
+  it("leaves content out in summary mode", async () => {
+    const feed = await service.getFeed({
+      mode: "summary",
+      selfUrl: "https://api.example/feed.xml",
+    });
+
+    expect(service.renderRss(feed)).not.toContain("content:encoded>");
+    expect(service.renderAtom(feed)).not.toContain("<content");
+    expect(service.renderJsonFeed(feed).items[0]).not.toHaveProperty(
+      "content_html",
+    );
+  });
+});